@@ -9,6 +9,11 @@
 
 import { Node } from './constants.js';
 
+// Shared UTF-8 codec instances (both are stateless for one-shot calls)
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+const strictTextDecoder = new TextDecoder('utf-8', { fatal: true });
+
 /**
  * Create a DataView from a Uint8Array
  *
@@ -181,7 +186,85 @@ export function fillBytes(buffer, offset, length, value = 0) {
  * @returns {Uint8Array} UTF-8 encoded bytes
  */
 export function encodeString(str) {
-  return new TextEncoder().encode(str);
+  return textEncoder.encode(str);
+}
+
+/**
+ * Count the UTF-8 bytes of a string without encoding it
+ * Lone surrogates count as U+FFFD (3 bytes), which is what gets written.
+ *
+ * @param {string} str - String to measure
+ * @returns {number} Encoded length in bytes
+ */
+export function utf8Length(str) {
+  let length = str.length;
+  for (let i = 0; i < str.length; i++) {
+    const code = str.charCodeAt(i);
+    if (code < 0x80) {
+      continue;
+    }
+    if (code < 0x800) {
+      length += 1;
+    } else if (code >= 0xD800 && code <= 0xDBFF && (str.charCodeAt(i + 1) & 0xFC00) === 0xDC00) {
+      // Surrogate pair: 2 code units, 4 bytes
+      length += 2;
+      i++;
+    } else {
+      length += 2;
+    }
+  }
+  return length;
+}
+
+/**
+ * Encode a string to UTF-8 directly into a buffer
+ *
+ * @param {Uint8Array} buffer - Destination buffer
+ * @param {number} offset - Destination offset
+ * @param {string} str - String to encode
+ * @param {number} length - Encoded length, from utf8Length()
+ */
+export function encodeStringInto(buffer, offset, str, length) {
+  textEncoder.encodeInto(str, buffer.subarray(offset, offset + length));
+}
+
+/**
+ * Decode UTF-8 bytes to string, rejecting malformed input
+ *
+ * @param {Uint8Array} bytes - UTF-8 bytes
+ * @param {number} offset - Start offset
+ * @param {number} length - Number of bytes
+ * @returns {string|null} Decoded string, or null if not valid UTF-8
+ */
+export function decodeStringStrict(bytes, offset, length) {
+  try {
+    return strictTextDecoder.decode(bytes.subarray(offset, offset + length));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Compare two byte ranges lexicographically
+ * For UTF-8 strings this is the same as comparing code points.
+ *
+ * @param {Uint8Array} a - First buffer
+ * @param {number} aOffset - Start offset in a
+ * @param {number} aLength - Number of bytes in a
+ * @param {Uint8Array} b - Second buffer
+ * @param {number} bOffset - Start offset in b
+ * @param {number} bLength - Number of bytes in b
+ * @returns {number} Negative, zero or positive
+ */
+export function compareBytes(a, aOffset, aLength, b, bOffset, bLength) {
+  const length = Math.min(aLength, bLength);
+  for (let i = 0; i < length; i++) {
+    const diff = a[aOffset + i] - b[bOffset + i];
+    if (diff !== 0) {
+      return diff < 0 ? -1 : 1;
+    }
+  }
+  return aLength === bLength ? 0 : (aLength < bLength ? -1 : 1);
 }
 
 /**
@@ -193,5 +276,49 @@ export function encodeString(str) {
  * @returns {string} Decoded string
  */
 export function decodeString(bytes, offset, length) {
-  return new TextDecoder().decode(bytes.subarray(offset, offset + length));
+  return textDecoder.decode(bytes.subarray(offset, offset + length));
+}
+
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Encode bytes as base64 (RFC 4648, with padding)
+ *
+ * @param {Uint8Array} bytes - The bytes
+ * @param {number} [offset=0] - Start offset
+ * @param {number} [length] - Number of bytes (defaults to the rest)
+ * @returns {string} Base64 text
+ */
+export function encodeBase64(bytes, offset = 0, length = bytes.length - offset) {
+  let result = '';
+  const end = offset + length;
+
+  for (let i = offset; i < end; i += 3) {
+    const b0 = bytes[i];
+    const b1 = i + 1 < end ? bytes[i + 1] : 0;
+    const b2 = i + 2 < end ? bytes[i + 2] : 0;
+
+    result += BASE64_ALPHABET[b0 >> 2];
+    result += BASE64_ALPHABET[((b0 & 0x03) << 4) | (b1 >> 4)];
+    result += i + 1 < end ? BASE64_ALPHABET[((b1 & 0x0F) << 2) | (b2 >> 6)] : '=';
+    result += i + 2 < end ? BASE64_ALPHABET[b2 & 0x3F] : '=';
+  }
+
+  return result;
+}
+
+/**
+ * Encode bytes as lowercase hex
+ *
+ * @param {Uint8Array} bytes - The bytes
+ * @param {number} [offset=0] - Start offset
+ * @param {number} [length] - Number of bytes (defaults to the rest)
+ * @returns {string} Hex text
+ */
+export function encodeHex(bytes, offset = 0, length = bytes.length - offset) {
+  let result = '';
+  for (let i = offset; i < offset + length; i++) {
+    result += (bytes[i] < 0x10 ? '0' : '') + bytes[i].toString(16);
+  }
+  return result;
 }
@@ -71,6 +71,11 @@ export const VAL_SIZE = 1;
  */
 export const DJB2_HASH_SEED = 5381;
 
+/**
+ * Maximum number of probe attempts when resolving hash collisions
+ */
+export const HASH_PROBE_MAX = 128;
+
 /**
  * Maximum buffer size (32-bit limit)
  */
@@ -81,6 +86,36 @@ export const BUF_SIZE_MAX = 0xFFFFFFFF;
  */
 export const JSON_NESTING_DEPTH_MAX = 64;
 
+/**
+ * Control words in front of a SharedArrayBuffer-backed document
+ * (Int32 indices; the Lite3 data starts at SIZE bytes)
+ */
+export const SharedHeader = Object.freeze({
+  LOCK: 0,     // 0 = free, 1 = held by a writer
+  LENGTH: 1,   // Used length of the data
+  SIZE: 8,
+});
+
+/**
+ * Insertion-order side-index (keyOrder: 'insertion')
+ *
+ * A header directly after the root node points at the newest record of a
+ * backwards-linked log of [prev, container, hash] records, one per key
+ * inserted into an object. Nothing in the tree references these bytes, so
+ * readers that don't know about them treat them as dead space.
+ *
+ * Records are never reclaimed in place: deleting and re-inserting a key
+ * adds another one, and the whole log is decoded again after each write.
+ * Documents with a lot of key churn need an occasional compact(), which
+ * keeps only the newest record of every live key.
+ */
+export const KeyOrderIndex = Object.freeze({
+  OFFSET: 96,            // Node.SIZE
+  MAGIC: 0x4F4BFFFC,     // Bytes FC FF 'K' 'O', never the start of an entry
+  HEADER_SIZE: 8,        // magic + offset of newest record (0 if none)
+  RECORD_SIZE: 12,
+});
+
 /**
  * Iterator return values
  */
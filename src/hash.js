@@ -30,6 +30,20 @@ export function djb2Hash(key) {
   return hash >>> 0;
 }
 
+/**
+ * Calculate probe hash for a collision attempt
+ *
+ * Colliding keys are stored under the next free slot of a quadratic
+ * probe sequence: hash, hash + 1, hash + 4, hash + 9, ...
+ *
+ * @param {number} hash - Base DJB2 hash of the key
+ * @param {number} attempt - Probe attempt (0 = base hash)
+ * @returns {number} 32-bit unsigned probe hash
+ */
+export function probeHash(hash, attempt) {
+  return (hash + attempt * attempt) >>> 0;
+}
+
 /**
  * Calculate key data including hash and size
  *
@@ -60,6 +60,11 @@ export declare const VAL_SIZE: 1;
  */
 export declare const DJB2_HASH_SEED: 5381;
 
+/**
+ * Maximum number of probe attempts for colliding keys
+ */
+export declare const HASH_PROBE_MAX: 128;
+
 /**
  * Maximum buffer size
  */
@@ -96,6 +101,25 @@ export declare const NodeField: {
   readonly SIZE_MASK: number;
 };
 
+/**
+ * Control words in front of a SharedArrayBuffer-backed document
+ */
+export declare const SharedHeader: {
+  readonly LOCK: 0;
+  readonly LENGTH: 1;
+  readonly SIZE: 8;
+};
+
+/**
+ * Insertion-order side-index written after the root node
+ */
+export declare const KeyOrderIndex: {
+  readonly OFFSET: 96;
+  readonly MAGIC: number;
+  readonly HEADER_SIZE: 8;
+  readonly RECORD_SIZE: 12;
+};
+
 /**
  * Error codes
  */
@@ -105,6 +129,7 @@ export declare const ErrorCode: {
   readonly KEY_NOT_FOUND: 'ENOENT';
   readonly BAD_MESSAGE: 'EBADMSG';
   readonly OUT_OF_BOUNDS: 'EFAULT';
+  readonly READ_ONLY: 'EROFS';
 };
 
 export type Lite3ErrorCode = typeof ErrorCode[keyof typeof ErrorCode];
@@ -115,6 +140,12 @@ export type Lite3ErrorCode = typeof ErrorCode[keyof typeof ErrorCode];
 export declare class Lite3Error extends Error {
   name: 'Lite3Error';
   code: Lite3ErrorCode;
+  /** Line of a JSON syntax error (Lite3.parse) */
+  line?: number;
+  /** Column of a JSON syntax error (Lite3.parse) */
+  column?: number;
+  /** Offset of the problem found by Lite3.validate() */
+  offset?: number;
   constructor(message: string, code: Lite3ErrorCode);
 }
 
@@ -131,6 +162,164 @@ export type Lite3Value =
   | Lite3Value[]
   | { [key: string]: Lite3Value };
 
+/**
+ * Order of object keys in iteration and serialization: 'hash' (storage
+ * order), 'sorted' (by key) or 'insertion' (needs the side-index)
+ */
+export type Lite3KeyOrder = 'hash' | 'sorted' | 'insertion';
+
+/**
+ * Path to a value: a JSON Pointer ('/items/3/price'), a dot/bracket
+ * string ('items[3].price') or an array of keys and indices
+ */
+export type Lite3Path = string | Array<string | number>;
+
+/**
+ * JSON Patch (RFC 6902) operation; paths are JSON Pointers
+ */
+export type Lite3PatchOperation =
+  | { op: 'add'; path: string; value: Lite3Value }
+  | { op: 'remove'; path: string }
+  | { op: 'replace'; path: string; value: Lite3Value }
+  | { op: 'move'; from: string; path: string }
+  | { op: 'copy'; from: string; path: string }
+  | { op: 'test'; path: string; value: Lite3Value };
+
+/**
+ * Options for new Lite3() and the static constructors
+ */
+export interface Lite3Options {
+  /**
+   * Maximum nesting of objects/arrays when encoding JS values, parsing
+   * and decoding (default: JSON_NESTING_DEPTH_MAX)
+   */
+  maxDepth?: number;
+  /**
+   * Default key order; 'insertion' also makes initObject()/initArray()
+   * write the insertion-order side-index (default: 'hash'). The index
+   * grows with every key deleted and re-inserted until compact().
+   */
+  keyOrder?: Lite3KeyOrder;
+  /**
+   * Reallocate when full; when false, writes that do not fit throw
+   * ENOBUFS and leave the document unchanged (default: true). Space for
+   * objects/arrays is reserved by the Lite3.estimateSize() bound, so they
+   * may be refused a little before the buffer is completely full.
+   */
+  growable?: boolean;
+  /** Maximum used length; longer writes throw ENOBUFS (default: BUF_SIZE_MAX) */
+  maxSize?: number;
+}
+
+/**
+ * Options for new Lite3({ ... })
+ */
+export interface Lite3ConstructorOptions extends Lite3Options {
+  /** Initial buffer size (default: 1024) */
+  initialSize?: number;
+  /** Memory to build the document in, from byte 0 (not copied) */
+  buffer?: Uint8Array;
+}
+
+/**
+ * Options accepted by the iteration methods and toJSON()
+ */
+export interface Lite3IterateOptions {
+  /** Key order (default: the instance's keyOrder) */
+  keyOrder?: Lite3KeyOrder;
+}
+
+/**
+ * Entry record yielded by iterRaw()
+ */
+export interface Lite3RawEntry {
+  /** Key (objects) or index (arrays) */
+  key: string | number;
+  /** Value type */
+  type: Lite3Type;
+  /** Offset of the value (the node, for nested objects/arrays) */
+  valueOffset: number;
+  /** Offset of the entry (the key tag for objects, the value for arrays) */
+  kvOffset: number;
+}
+
+/**
+ * Options for Lite3.validate()
+ */
+export interface Lite3ValidateOptions {
+  /** Used length (defaults to buffer length) */
+  length?: number;
+  /** Maximum nesting of objects/arrays (default: JSON_NESTING_DEPTH_MAX) */
+  maxDepth?: number;
+  /** Maximum used length (default: BUF_SIZE_MAX) */
+  maxSize?: number;
+}
+
+/**
+ * Options for Lite3.fromBuffer()
+ */
+export interface Lite3FromBufferOptions extends Lite3Options {
+  /** Used length (defaults to buffer length) */
+  length?: number;
+  /** Run Lite3.validate() before loading (default: false) */
+  validate?: boolean;
+  /** Maximum used length, also checked when validating (default: BUF_SIZE_MAX) */
+  maxSize?: number;
+}
+
+/**
+ * Options for Lite3.wrap()
+ */
+export interface Lite3WrapOptions extends Lite3FromBufferOptions {
+  /** Reject all mutating methods with EROFS (default: false) */
+  readOnly?: boolean;
+  /**
+   * Move to a private, larger copy when the buffer is full instead of
+   * throwing ENOBUFS (default: true)
+   */
+  growable?: boolean;
+}
+
+/**
+ * Options for stringify() and stringifyTo()
+ */
+export interface Lite3StringifyOptions {
+  /** Indentation, as in JSON.stringify() */
+  indent?: number | string;
+  /** Encoding of BYTES values (default: 'base64') */
+  bytes?: 'base64' | 'hex' | 'array';
+  /** Integers beyond 2^53 as exact number literals or strings (default: 'number') */
+  bigint?: 'number' | 'string';
+  /** Key order (default: the instance's keyOrder) */
+  keyOrder?: Lite3KeyOrder;
+}
+
+/**
+ * Buffer usage report returned by stats()
+ */
+export interface Lite3Stats {
+  length: number;
+  capacity: number;
+  unusedCapacity: number;
+  /** Bytes of nodes, keys and values reachable from the root */
+  liveBytes: number;
+  /** Unreachable bytes and alignment padding */
+  deadBytes: number;
+  keyBytes: number;
+  nodeCount: number;
+  /** Number of object keys per key tag size (1-4) */
+  keyTagSizes: Record<1 | 2 | 3 | 4, number>;
+  /** Value bytes per type; nodes count under OBJECT/ARRAY */
+  bytesByType: Record<Exclude<Lite3Type, typeof Type.INVALID>, number>;
+  containers: Array<{
+    offset: number;
+    type: typeof Type.OBJECT | typeof Type.ARRAY;
+    size: number;
+    nodeCount: number;
+    height: number;
+  }>;
+}
+
 /**
  * Main Lite3 class for working with Lite3 binary format
  */
@@ -138,8 +327,16 @@ export declare class Lite3 {
   /**
    * Create a new Lite3 instance
    * @param initialSize - Initial buffer size (default: 1024)
+   * @param options - Instance options
+   */
+  constructor(initialSize?: number, options?: Lite3Options);
+
+  /**
+   * Create a new Lite3 instance, e.g. in caller-provided memory with
+   * new Lite3({ buffer, growable: false })
+   * @param options - Instance options
    */
-  constructor(initialSize?: number);
+  constructor(options: Lite3ConstructorOptions);
 
   /**
    * Get the underlying buffer (up to current length)
@@ -156,6 +353,21 @@ export declare class Lite3 {
    */
   readonly capacity: number;
 
+  /**
+   * Whether mutating methods are rejected (see Lite3.wrap)
+   */
+  readonly readOnly: boolean;
+
+  /**
+   * Get the root generation, bumped by every write (0 if not initialized)
+   */
+  readonly generation: number;
+
+  /**
+   * Get the SharedArrayBuffer of a shared document (null otherwise)
+   */
+  readonly sharedBuffer: SharedArrayBuffer | null;
+
   /**
    * Initialize as an object
    * @returns this instance for chaining
@@ -254,6 +466,67 @@ export declare class Lite3 {
    */
   appendValue(value: Lite3Value, arrayOffset?: number): this;
 
+  /**
+   * Append values to array, producing the same bytes as appendValue()
+   * for each but reserving space once and skipping per-element searches
+   * @param values - The values
+   * @param arrayOffset - Array offset (default: 0)
+   * @returns this instance for chaining
+   */
+  appendMany(values: Iterable<Lite3Value>, arrayOffset?: number): this;
+
+  /**
+   * Append the elements of a typed array to array, stored as
+   * appendValue() would store them
+   * @param values - The values
+   * @param arrayOffset - Array offset (default: 0)
+   * @returns this instance for chaining
+   */
+  appendTypedArray(values: Float64Array | BigInt64Array | Int32Array, arrayOffset?: number): this;
+
+  /**
+   * Overwrite array element (index === size appends)
+   * @param index - The index
+   * @param value - The value
+   * @param arrayOffset - Array offset (default: 0)
+   * @returns this instance for chaining
+   */
+  setAt(index: number, value: Lite3Value, arrayOffset?: number): this;
+
+  /**
+   * Insert element into array, shifting following elements up
+   * @param index - The index (index === size appends)
+   * @param value - The value
+   * @param arrayOffset - Array offset (default: 0)
+   * @returns this instance for chaining
+   */
+  insertAt(index: number, value: Lite3Value, arrayOffset?: number): this;
+
+  /**
+   * Remove element from array, shifting following elements down
+   * @param index - The index
+   * @param arrayOffset - Array offset (default: 0)
+   * @returns The removed value or undefined if out of range
+   */
+  removeAt(index: number, arrayOffset?: number): Lite3Value | undefined;
+
+  /**
+   * Remove last element from array
+   * @param arrayOffset - Array offset (default: 0)
+   * @returns The removed value or undefined if array is empty
+   */
+  pop(arrayOffset?: number): Lite3Value | undefined;
+
+  /**
+   * Remove and/or insert elements, like Array.prototype.splice()
+   * @param start - Start index (negative counts from the end)
+   * @param deleteCount - Number of elements to remove (default: to the end)
+   * @param items - Values to insert at start (default: [])
+   * @param arrayOffset - Array offset (default: 0)
+   * @returns The removed values
+   */
+  splice(start: number, deleteCount?: number, items?: Lite3Value[], arrayOffset?: number): Lite3Value[];
+
   /**
    * Get value at key
    * @param key - The key
@@ -270,6 +543,89 @@ export declare class Lite3 {
    */
   getAt(index: number, arrayOffset?: number): Lite3Value | undefined;
 
+  /**
+   * Get type of value at key
+   * @param key - The key
+   * @param offset - Parent object offset (default: 0)
+   * @returns Type of the value, Type.INVALID if not found
+   */
+  typeOf(key: string, offset?: number): Lite3Type;
+
+  /**
+   * Get type of value at array index
+   * @param index - The index
+   * @param arrayOffset - Array offset (default: 0)
+   * @returns Type of the value, Type.INVALID if not found
+   */
+  typeAt(index: number, arrayOffset?: number): Lite3Type;
+
+  /**
+   * Get string value at key
+   * @throws Lite3Error ENOENT if not found, EINVAL on type mismatch
+   */
+  getString(key: string, offset?: number): string;
+
+  /**
+   * Get 64-bit integer value at key
+   * @throws Lite3Error ENOENT if not found, EINVAL on type mismatch
+   */
+  getInt64(key: string, offset?: number): bigint;
+
+  /**
+   * Get 64-bit float value at key
+   * @throws Lite3Error ENOENT if not found, EINVAL on type mismatch
+   */
+  getFloat64(key: string, offset?: number): number;
+
+  /**
+   * Get boolean value at key
+   * @throws Lite3Error ENOENT if not found, EINVAL on type mismatch
+   */
+  getBool(key: string, offset?: number): boolean;
+
+  /**
+   * Get bytes value at key (copy)
+   * @throws Lite3Error ENOENT if not found, EINVAL on type mismatch
+   */
+  getBytes(key: string, offset?: number): Uint8Array;
+
+  /**
+   * Get bytes value at key as a view aliasing the buffer (no copy)
+   * @throws Lite3Error ENOENT if not found, EINVAL on type mismatch
+   */
+  getBytesView(key: string, offset?: number): Uint8Array;
+
+  /**
+   * Get raw UTF-8 bytes of string at key as a view aliasing the buffer
+   * @throws Lite3Error ENOENT if not found, EINVAL on type mismatch
+   */
+  getStringBytes(key: string, offset?: number): Uint8Array;
+
+  /**
+   * Get UTF-8 byte length of string at key without decoding
+   * @throws Lite3Error ENOENT if not found, EINVAL on type mismatch
+   */
+  stringByteLength(key: string, offset?: number): number;
+
+  /**
+   * Compare string at key with another string by code point, without decoding
+   * @returns -1, 0 or 1
+   * @throws Lite3Error ENOENT if not found, EINVAL on type mismatch
+   */
+  compareString(key: string, other: string, offset?: number): -1 | 0 | 1;
+
+  /**
+   * Get offset of nested object at key
+   * @throws Lite3Error ENOENT if not found, EINVAL on type mismatch
+   */
+  getObjectOffset(key: string, offset?: number): number;
+
+  /**
+   * Get offset of nested array at key
+   * @throws Lite3Error ENOENT if not found, EINVAL on type mismatch
+   */
+  getArrayOffset(key: string, offset?: number): number;
+
   /**
    * Check if key exists
    * @param key - The key
@@ -278,6 +634,141 @@ export declare class Lite3 {
    */
   has(key: string, offset?: number): boolean;
 
+  /**
+   * Get value at path
+   * @param path - JSON Pointer, dot/bracket string or array of keys/indices
+   * @returns The value or undefined if not found
+   */
+  getPath(path: Lite3Path): Lite3Value | undefined;
+
+  /**
+   * Check if path exists
+   * @param path - JSON Pointer, dot/bracket string or array of keys/indices
+   * @returns True if path exists
+   */
+  hasPath(path: Lite3Path): boolean;
+
+  /**
+   * Set value at path, creating missing intermediate objects/arrays
+   * @param path - JSON Pointer, dot/bracket string or array of keys/indices
+   * @param value - The value
+   * @returns this instance for chaining
+   */
+  setPath(path: Lite3Path, value: Lite3Value): this;
+
+  /**
+   * Delete key from object
+   * @param key - The key
+   * @param offset - Parent object offset (default: 0)
+   * @returns True if the key existed and was removed
+   */
+  delete(key: string, offset?: number): boolean;
+
+  /**
+   * Delete element from array, shifting following elements down
+   * @param index - The index
+   * @param arrayOffset - Array offset (default: 0)
+   * @returns True if the element existed and was removed
+   */
+  deleteAt(index: number, arrayOffset?: number): boolean;
+
+  /**
+   * Rename key within an object (an existing newKey is replaced)
+   *
+   * A renamed object/array gets a new offset; writes through the old
+   * offset throw EINVAL.
+   * @param oldKey - Current key
+   * @param newKey - New key
+   * @param offset - Parent object offset (default: 0)
+   * @returns this instance for chaining
+   */
+  rename(oldKey: string, newKey: string, offset?: number): this;
+
+  /**
+   * Move value to another location, relinking existing entries
+   *
+   * An object/array moved under a different key gets a new offset;
+   * writes through the old offset throw EINVAL.
+   * @param srcPath - Path of the value
+   * @param dstPath - Path of the destination
+   * @returns this instance for chaining
+   */
+  move(srcPath: Lite3Path, dstPath: Lite3Path): this;
+
+  /**
+   * Deep copy value to another location
+   * @param srcPath - Path of the value
+   * @param dstPath - Path of the destination
+   * @returns this instance for chaining
+   */
+  copy(srcPath: Lite3Path, dstPath: Lite3Path): this;
+
+  /**
+   * Deep-merge a plain object into an existing object; atomic on failure
+   * @param offset - Target object offset
+   * @param obj - Plain object to merge in
+   * @returns this instance for chaining
+   */
+  merge(offset: number, obj: Record<string, Lite3Value>): this;
+
+  /**
+   * Apply a JSON Patch (RFC 6902) in place; atomic on failure
+   * @param ops - Patch operations
+   * @returns this instance for chaining
+   * @throws Lite3Error ENOENT for missing paths and array indices past the
+   *   end, EINVAL for malformed operations and failed tests
+   */
+  applyPatch(ops: Lite3PatchOperation[]): this;
+
+  /**
+   * Apply a JSON Merge Patch (RFC 7396) in place; atomic on failure
+   * @param patch - Merge patch (null values remove keys)
+   * @returns this instance for chaining
+   */
+  mergePatch(patch: Lite3Value | Lite3): this;
+
+  /**
+   * Rewrite reachable nodes and values into a tight buffer.
+   * Previously returned offsets are invalid afterwards.
+   * @param options.shrink - Reduce capacity to the new length (default: false;
+   *   ignored when the document is not growable)
+   * @returns Number of bytes reclaimed
+   */
+  compact(options?: { shrink?: boolean }): number;
+
+  /**
+   * Run fn holding the writer lock of a shared document (re-entrant).
+   * Shared documents may only be modified inside write().
+   * @param fn - Callback doing the writes
+   * @returns fn's return value
+   */
+  write<T>(fn: (doc: this) => T): T;
+
+  /**
+   * Run fn against a consistent view of a shared document, retrying while
+   * a writer holds the lock or the generation changed. fn must be free of
+   * side effects and return plain values.
+   * @param fn - Callback doing the reads
+   * @returns fn's return value
+   */
+  read<T>(fn: (doc: this) => T): T;
+
+  /**
+   * Set a value only if the document is still at expectedGeneration
+   * @param key - The key
+   * @param expectedGeneration - Generation the caller last read
+   * @param value - The value
+   * @param offset - Parent object offset (default: 0)
+   * @returns True if the value was written
+   */
+  compareAndSet(key: string, expectedGeneration: number, value: Lite3Value, offset?: number): boolean;
+
+  /**
+   * Report buffer usage without materializing values
+   * @returns Live/dead bytes, node counts and per-type byte counts
+   */
+  stats(): Lite3Stats;
+
   /**
    * Get the size of the object/array
    * @param offset - Object/array offset (default: 0)
@@ -291,51 +782,312 @@ export declare class Lite3 {
    */
   getType(): typeof Type.OBJECT | typeof Type.ARRAY;
 
+  /**
+   * Get a frozen, read-only copy of the document; offsets stay valid
+   * @returns The copy
+   */
+  snapshot(): Lite3;
+
+  /**
+   * Get reference to the root object/array
+   * @param options.snapshot - Refer into a snapshot() (default: false)
+   * @returns Reference to the root
+   */
+  root(options?: { snapshot?: boolean }): Lite3Ref;
+
+  /**
+   * Get a live Proxy facade over an object/array; nested containers
+   * are returned as further proxies and writes go through set()/setAt().
+   * Proxies follow their path from the root across compact(), rename()
+   * and move(), and throw EINVAL once that path is gone.
+   * @param offset - Object/array offset (default: 0)
+   * @returns Proxy over the object/array
+   */
+  asObject<T = Record<string, any>>(offset?: number): T;
+
+  /**
+   * Get array-like view over an array
+   * @param offset - Array offset (default: 0)
+   * @param options.snapshot - View a snapshot() (default: false)
+   * @returns View over the array
+   */
+  arrayView(offset?: number, options?: { snapshot?: boolean }): Lite3ArrayView;
+
+  /**
+   * Iterate root entries: [key, value] pairs (object) or values (array)
+   */
+  [Symbol.iterator](): Generator<[string, Lite3Value] | Lite3Value, void, undefined>;
+
+  /**
+   * Lazily iterate raw entries without decoding values
+   * @param offset - Object/array offset (default: 0)
+   * @param options.keyOrder - Key order
+   * @returns Entry records; key is the index for arrays
+   */
+  iterRaw(offset?: number, options?: Lite3IterateOptions): Generator<Lite3RawEntry, void, undefined>;
+
+  /**
+   * Lazily iterate keys of object
+   * Throws EINVAL if the document is written to meanwhile, unless
+   * options.snapshot is set.
+   * @param offset - Object offset (default: 0)
+   * @param options.keyOrder - Key order
+   * @param options.snapshot - Iterate a snapshot() (default: false)
+   */
+  iterKeys(offset?: number, options?: Lite3IterateOptions & { snapshot?: boolean }): Generator<string, void, undefined>;
+
+  /**
+   * Lazily iterate values of object/array, decoding one at a time
+   * @param offset - Object/array offset (default: 0)
+   * @param options.keyOrder - Key order
+   * @param options.snapshot - Iterate a snapshot() (default: false)
+   */
+  iterValues(offset?: number, options?: Lite3IterateOptions & { snapshot?: boolean }): Generator<Lite3Value, void, undefined>;
+
+  /**
+   * Lazily iterate [key, value] pairs of object
+   * @param offset - Object offset (default: 0)
+   * @param options.keyOrder - Key order
+   * @param options.snapshot - Iterate a snapshot() (default: false)
+   */
+  iterEntries(offset?: number, options?: Lite3IterateOptions & { snapshot?: boolean }): Generator<[string, Lite3Value], void, undefined>;
+
   /**
    * Get keys of object
    * @param offset - Object offset (default: 0)
+   * @param options.keyOrder - Key order
    * @returns Array of keys
    */
-  keys(offset?: number): string[];
+  keys(offset?: number, options?: Lite3IterateOptions): string[];
 
   /**
    * Get values of object/array
    * @param offset - Object/array offset (default: 0)
+   * @param options.keyOrder - Key order
    * @returns Array of values
    */
-  values(offset?: number): Lite3Value[];
+  values(offset?: number, options?: Lite3IterateOptions): Lite3Value[];
 
   /**
    * Get entries of object
    * @param offset - Object offset (default: 0)
+   * @param options.keyOrder - Key order
    * @returns Array of [key, value] pairs
    */
-  entries(offset?: number): Array<[string, Lite3Value]>;
+  entries(offset?: number, options?: Lite3IterateOptions): Array<[string, Lite3Value]>;
 
   /**
    * Convert to plain JavaScript object/array
+   * @param options.keyOrder - Key order
    * @returns Plain JS object or array
    */
-  toJSON(): Record<string, Lite3Value> | Lite3Value[];
+  toJSON(options?: Lite3IterateOptions): Record<string, Lite3Value> | Lite3Value[];
+
+  /**
+   * Serialize directly to JSON text without building a JS object tree
+   * @param options - Formatting options
+   * @returns JSON text
+   */
+  stringify(options?: Lite3StringifyOptions): string;
+
+  /**
+   * Serialize to JSON text written in chunks to a Node Writable,
+   * waiting for 'drain' when the stream asks to. Rejects with EINVAL if
+   * the document is modified meanwhile, unless options.snapshot is set,
+   * or if the stream ends or is destroyed first.
+   * @param writable - Destination stream
+   * @param options - Formatting options, chunk size (a positive integer,
+   *   default: 65536) and snapshot (default: false)
+   * @returns Resolves once everything is written
+   */
+  stringifyTo(
+    writable: import('node:stream').Writable,
+    options?: Lite3StringifyOptions & { chunkSize?: number; snapshot?: boolean }
+  ): Promise<void>;
 
   /**
    * Create from plain JavaScript object/array
    * @param data - The data
+   * @param options - Instance options
    * @returns New Lite3 instance
    */
-  static fromJSON(data: Record<string, Lite3Value> | Lite3Value[]): Lite3;
+  static fromJSON(data: Record<string, Lite3Value> | Lite3Value[], options?: Lite3Options): Lite3;
+
+  /**
+   * Encode plain JavaScript object/array into caller-provided memory,
+   * which never grows (throws ENOBUFS if the data does not fit)
+   * @param data - The data
+   * @param target - Buffer to write into, from byte 0
+   * @param options - Instance options
+   * @returns Number of bytes written
+   */
+  static encodeInto(
+    data: Record<string, Lite3Value> | Lite3Value[],
+    target: Uint8Array,
+    options?: Lite3Options
+  ): number;
+
+  /**
+   * Upper bound on the bytes encodeInto()/fromJSON() need for data,
+   * computed without encoding it
+   * @param data - The data
+   * @param options - Instance options
+   * @returns Size in bytes
+   */
+  static estimateSize(data: Record<string, Lite3Value> | Lite3Value[], options?: Lite3Options): number;
+
+  /**
+   * Parse JSON text directly into a new Lite3 buffer;
+   * integers beyond 2^53 that fit in 64 bits are kept as I64
+   * @param input - JSON text or its UTF-8 bytes
+   * @param options - Instance options
+   * @returns New Lite3 instance
+   * @throws Lite3Error EBADMSG with line and column on syntax errors,
+   *   EINVAL for invalid UTF-8 in byte input
+   */
+  static parse(input: string | Uint8Array, options?: Lite3Options): Lite3;
 
   /**
    * Create from existing buffer
    * @param buffer - The buffer
    * @param length - Used length (defaults to buffer length)
+   * @param options - Instance options
    * @returns New Lite3 instance
    */
-  static fromBuffer(buffer: Uint8Array, length?: number): Lite3;
+  static fromBuffer(buffer: Uint8Array, length?: number, options?: Lite3FromBufferOptions): Lite3;
+  static fromBuffer(buffer: Uint8Array, options: Lite3FromBufferOptions): Lite3;
+
+  /**
+   * Wrap an existing buffer without copying it. Writes go to the caller's
+   * memory until the document outgrows it.
+   * @param buffer - The buffer to alias
+   * @param options - Length, readOnly, growable and validation options
+   * @returns New Lite3 instance sharing buffer's memory
+   */
+  static wrap(buffer: Uint8Array, options?: Lite3WrapOptions): Lite3;
+
+  /**
+   * Create a document backed by a new SharedArrayBuffer. It cannot grow
+   * past capacity and may only be modified inside write().
+   * @param capacity - Data capacity in bytes (default: 1024)
+   * @param options - Instance options
+   * @returns New shared Lite3 instance (not initialized)
+   */
+  static createShared(capacity?: number, options?: Lite3Options): Lite3;
+
+  /**
+   * Open a document created by Lite3.createShared(), e.g. in a worker
+   * @param sharedBuffer - The sharedBuffer of the document
+   * @param options - Instance options
+   * @returns New Lite3 instance sharing the document
+   */
+  static fromShared(sharedBuffer: SharedArrayBuffer, options?: Lite3Options): Lite3;
+
+  /**
+   * Check that an untrusted buffer is well-formed: offsets in range, hashes
+   * ordered and matching their keys, balanced trees, valid UTF-8, and no
+   * overlapping nodes or entries
+   * @param buffer - The buffer
+   * @param options - Length and limits
+   * @throws Lite3Error EFAULT for out-of-range offsets, EBADMSG for malformed
+   *   data, with offset set to the problem
+   */
+  static validate(buffer: Uint8Array, options?: Lite3ValidateOptions): void;
+
+  /**
+   * Create compacted copy of an existing buffer
+   * @param buffer - The buffer
+   * @param length - Used length (defaults to buffer length)
+   * @returns New Lite3 instance with capacity fitted to its length
+   */
+  static compacted(buffer: Uint8Array, length?: number): Lite3;
+}
+
+/**
+ * Handle to an object or array inside a Lite3 document.
+ * Becomes stale (and throws EINVAL on use) after any mutation of the document
+ * not made through the ref itself.
+ */
+export declare class Lite3Ref implements Iterable<Lite3Value | [string, Lite3Value]> {
+  /** Object/array offset, for use as offset argument */
+  readonly offset: number;
+
+  /** Type.OBJECT or Type.ARRAY */
+  readonly type: typeof Type.OBJECT | typeof Type.ARRAY;
+
+  /** Number of entries */
+  readonly size: number;
+
+  /** True if the document was modified since this ref was created */
+  readonly stale: boolean;
+
+  /**
+   * Get reference to nested object/array at key
+   * @throws Lite3Error ENOENT if not found, EINVAL if not an object/array
+   */
+  child(key: string): Lite3Ref;
+
+  /**
+   * Get reference to nested object/array at array index
+   * @throws Lite3Error ENOENT if not found, EINVAL if not an object/array
+   */
+  at(index: number): Lite3Ref;
+
+  /**
+   * Get value at key (objects) or index (arrays)
+   * @returns The value or undefined if not found
+   */
+  get(keyOrIndex: string | number): Lite3Value | undefined;
+
+  /**
+   * Set value at key (objects) or index (arrays, index === size appends)
+   * @returns this ref for chaining
+   */
+  set(keyOrIndex: string | number, value: Lite3Value): this;
+
+  /**
+   * Convert to plain JavaScript object/array
+   */
+  toJSON(): Record<string, Lite3Value> | Lite3Value[];
+
+  /**
+   * Iterate [key, value] pairs (objects) or values (arrays)
+   */
+  [Symbol.iterator](): Iterator<Lite3Value | [string, Lite3Value]>;
+}
+
+/**
+ * Read-only, array-like view over a Lite3 array; elements are visited in
+ * order and decoded only when needed
+ */
+export declare class Lite3ArrayView implements Iterable<Lite3Value> {
+  /** Number of elements */
+  readonly length: number;
+
+  /** Get element at index (negative counts from the end) */
+  at(index: number): Lite3Value | undefined;
+
+  forEach(fn: (value: Lite3Value, index: number, view: this) => void, thisArg?: any): void;
+  map<U>(fn: (value: Lite3Value, index: number, view: this) => U, thisArg?: any): U[];
+  filter(fn: (value: Lite3Value, index: number, view: this) => unknown, thisArg?: any): Lite3Value[];
+  find(fn: (value: Lite3Value, index: number, view: this) => unknown, thisArg?: any): Lite3Value | undefined;
+  some(fn: (value: Lite3Value, index: number, view: this) => unknown, thisArg?: any): boolean;
+  every(fn: (value: Lite3Value, index: number, view: this) => unknown, thisArg?: any): boolean;
+  reduce(fn: (acc: Lite3Value, value: Lite3Value, index: number, view: this) => Lite3Value): Lite3Value;
+  reduce<U>(fn: (acc: U, value: Lite3Value, index: number, view: this) => U, initialValue: U): U;
+
+  /** Copy a range of elements to a plain array */
+  slice(start?: number, end?: number): Lite3Value[];
+
+  /** Index of first element strictly equal to value (primitives only) */
+  indexOf(value: Lite3Value, fromIndex?: number): number;
+
+  [Symbol.iterator](): Iterator<Lite3Value>;
 }
 
 // Hash utilities
 export declare function djb2Hash(key: string): number;
+export declare function probeHash(hash: number, attempt: number): number;
 export declare function getKeyData(key: string): { hash: number; size: number };
 export declare function getKeyTagSize(keySize: number): number;
 
@@ -349,5 +1101,8 @@ export declare function writeFloat64(buffer: Uint8Array, offset: number, value:
 export declare function alignOffset(offset: number, alignment?: number): number;
 export declare function encodeString(str: string): Uint8Array;
 export declare function decodeString(bytes: Uint8Array, offset: number, length: number): string;
+export declare function encodeBase64(bytes: Uint8Array, offset?: number, length?: number): string;
+export declare function encodeHex(bytes: Uint8Array, offset?: number, length?: number): string;
+export declare function compareBytes(a: Uint8Array, aOffset: number, aLength: number, b: Uint8Array, bOffset: number, bLength: number): -1 | 0 | 1;
 
 export default Lite3;
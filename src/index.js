@@ -15,6 +15,8 @@
 // Main class and utilities
 export {
   Lite3,
+  Lite3Ref,
+  Lite3ArrayView,
   Lite3Error,
   ErrorCode,
   Type,
@@ -26,6 +28,7 @@ export {
 // Hash utilities
 export {
   djb2Hash,
+  probeHash,
   getKeyData,
   getKeyTagSize,
 } from './hash.js';
@@ -41,16 +44,22 @@ export {
   alignOffset,
   encodeString,
   decodeString,
+  compareBytes,
+  encodeBase64,
+  encodeHex,
 } from './buffer-utils.js';
 
 // Constants
 export {
   VAL_SIZE,
   DJB2_HASH_SEED,
+  HASH_PROBE_MAX,
   BUF_SIZE_MAX,
   JSON_NESTING_DEPTH_MAX,
   KeyTag,
   NodeField,
+  SharedHeader,
+  KeyOrderIndex,
 } from './constants.js';
 
 // Default export
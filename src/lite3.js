@@ -17,10 +17,14 @@ import {
   KeyTag,
   NodeField,
   IterResult,
+  HASH_PROBE_MAX,
   BUF_SIZE_MAX,
+  JSON_NESTING_DEPTH_MAX,
+  SharedHeader,
+  KeyOrderIndex,
 } from './constants.js';
 
-import { getKeyData, getKeyTagSize } from './hash.js';
+import { djb2Hash, getKeyData, getKeyTagSize, probeHash } from './hash.js';
 
 import {
   readUint32,
@@ -33,20 +37,28 @@ import {
   writeVarUint,
   alignOffset,
   encodeString,
+  encodeStringInto,
+  utf8Length,
   decodeString,
+  decodeStringStrict,
   copyBytes,
+  compareBytes,
+  encodeBase64,
+  encodeHex,
   fillBytes,
 } from './buffer-utils.js';
 
 import {
   getNodeType,
   getNodeGeneration,
+  setNodeGeneration,
   incrementGeneration,
   getNodeKeyCount,
   setNodeKeyCount,
   getNodeSize,
   setNodeSize,
   incrementNodeSize,
+  decrementNodeSize,
   getNodeHash,
   setNodeHash,
   getNodeKvOffset,
@@ -56,6 +68,7 @@ import {
   hasChildren,
   initNode,
   shiftNodeEntriesRight,
+  shiftNodeEntriesLeft,
   copyNodeEntries,
 } from './node.js';
 
@@ -77,8 +90,13 @@ export const ErrorCode = Object.freeze({
   KEY_NOT_FOUND: 'ENOENT',
   BAD_MESSAGE: 'EBADMSG',
   OUT_OF_BOUNDS: 'EFAULT',
+  READ_ONLY: 'EROFS',
 });
 
+// Space reserved ahead of a write may exceed what it ends up using by
+// the padding of every split it could make
+const RESERVE_SLACK = Node.ALIGNMENT * (Node.TREE_HEIGHT_MAX + 2);
+
 /**
  * Lite3 class - High-level API for working with Lite3 binary format
  *
@@ -89,12 +107,76 @@ export class Lite3 {
   /**
    * Create a new Lite3 instance
    *
-   * @param {number} [initialSize=1024] - Initial buffer size
+   * Pass the options object alone (new Lite3({ buffer, growable: false }))
+   * to write into caller-provided memory, like the C API does.
+   *
+   * @param {number|Object} [initialSize=1024] - Initial buffer size, or the
+   *   options with an optional initialSize field
+   * @param {Object} [options]
+   * @param {Uint8Array} [options.buffer] - Memory to build the document in,
+   *   from byte 0 (used as is, not copied; initialSize is ignored)
+   * @param {boolean} [options.growable=true] - Reallocate when full; when
+   *   false, writes that do not fit throw ENOBUFS and leave the document
+   *   unchanged. Objects/arrays need room for their estimateSize() bound,
+   *   so they may be refused a little before the buffer is full.
+   * @param {number} [options.maxSize=BUF_SIZE_MAX] - Maximum used length;
+   *   writes that would go past it throw ENOBUFS
+   * @param {number} [options.maxDepth=JSON_NESTING_DEPTH_MAX] - Maximum nesting
+   *   of objects/arrays when encoding JS values, parsing and decoding
+   * @param {string} [options.keyOrder='hash'] - Default order of object keys
+   *   when iterating and decoding: 'hash' (storage order), 'sorted' or
+   *   'insertion'. 'insertion' also makes initObject()/initArray() add the
+   *   insertion-order side-index (see KeyOrderIndex), which grows with every
+   *   key deleted and re-inserted until compact() is called.
    */
-  constructor(initialSize = 1024) {
-    this._buffer = new Uint8Array(initialSize);
+  constructor(initialSize = 1024, options = {}) {
+    if (typeof initialSize === 'object' && initialSize !== null) {
+      options = initialSize;
+      initialSize = options.initialSize ?? 1024;
+    }
+    const {
+      maxDepth = JSON_NESTING_DEPTH_MAX,
+      keyOrder = 'hash',
+      buffer,
+      growable = true,
+      maxSize = BUF_SIZE_MAX,
+    } = options ?? {};
+    if (!Number.isInteger(maxDepth) || maxDepth < 1) {
+      throw new Lite3Error(`Invalid maxDepth: ${maxDepth}`, ErrorCode.INVALID_ARGUMENT);
+    }
+    if (!Number.isInteger(maxSize) || maxSize < 0 || maxSize > BUF_SIZE_MAX) {
+      throw new Lite3Error(`Invalid maxSize: ${maxSize}`, ErrorCode.INVALID_ARGUMENT);
+    }
+    if (buffer !== undefined && !(buffer instanceof Uint8Array)) {
+      throw new Lite3Error('options.buffer must be a Uint8Array', ErrorCode.INVALID_ARGUMENT);
+    }
+    this._checkKeyOrder(keyOrder);
+
+    this._buffer = buffer ?? new Uint8Array(initialSize);
     this._buflen = 0;
     this._initialized = false;
+    this._readOnly = false;
+    // When false, running out of capacity throws instead of reallocating
+    this._growable = growable;
+    this._maxSize = maxSize;
+    // Lock/length words and root gen_type word of a shared document
+    this._control = null;
+    this._genWord = null;
+    this._writing = false;
+    this._maxDepth = maxDepth;
+    this._keyOrder = keyOrder;
+    // Side-index records decoded so far, per container; extended as
+    // records are appended, dropped (null) when the log is rewound
+    this._orderCache = null;
+    // JS objects/arrays currently being encoded, for depth and cycle checks
+    this._encodeStack = [];
+    // Depth of the container the outermost encoded value goes into
+    this._encodeDepth = 0;
+    // Container depths by offset for _containerDepth(); kept up to date
+    // by writes, dropped (null) when the buffer changes underneath
+    this._depthCache = null;
+    // Source to copy offsets of containers cloned by compact()
+    this._cloneOffsets = null;
   }
 
   /**
@@ -121,16 +203,54 @@ export class Lite3 {
     return this._buffer.length;
   }
 
+  /**
+   * Get the root generation, bumped by every write
+   * @returns {number} 24-bit generation count (0 if not initialized)
+   */
+  get generation() {
+    return this._buflen === 0 ? 0 : getNodeGeneration(this._buffer, 0);
+  }
+
+  /**
+   * Get the SharedArrayBuffer backing a shared document
+   * @returns {SharedArrayBuffer|null} Buffer to post to workers, or null
+   */
+  get sharedBuffer() {
+    return this._control === null ? null : this._buffer.buffer;
+  }
+
+  /**
+   * Whether mutating methods are rejected
+   * @returns {boolean} True for documents wrapped with readOnly
+   */
+  get readOnly() {
+    return this._readOnly;
+  }
+
   /**
    * Ensure buffer has enough space
+   * Growing copies into a new buffer, so a wrapped document stops aliasing
+   * the caller's memory.
    *
    * @private
    * @param {number} needed - Number of additional bytes needed
    */
   _ensureSpace(needed) {
     const required = this._buflen + needed;
+    if (required > this._maxSize) {
+      throw new Lite3Error(
+        `Buffer full: need ${required} bytes, maxSize is ${this._maxSize}`,
+        ErrorCode.NO_BUFFER_SPACE
+      );
+    }
     if (required > this._buffer.length) {
-      const newSize = Math.max(required, this._buffer.length * 2);
+      if (!this._growable) {
+        throw new Lite3Error(
+          `Buffer full: need ${required} bytes, capacity is ${this._buffer.length}`,
+          ErrorCode.NO_BUFFER_SPACE
+        );
+      }
+      const newSize = Math.min(Math.max(required, this._buffer.length * 2), this._maxSize);
       const newBuffer = new Uint8Array(newSize);
       newBuffer.set(this._buffer);
       this._buffer = newBuffer;
@@ -142,10 +262,8 @@ export class Lite3 {
    * @returns {Lite3} this instance for chaining
    */
   initObject() {
-    this._ensureSpace(Node.SIZE);
-    initNode(this._buffer, 0, Type.OBJECT);
-    this._buflen = Node.SIZE;
-    this._initialized = true;
+    this._checkWritable();
+    this._initRoot(Type.OBJECT);
     return this;
   }
 
@@ -154,11 +272,199 @@ export class Lite3 {
    * @returns {Lite3} this instance for chaining
    */
   initArray() {
-    this._ensureSpace(Node.SIZE);
-    initNode(this._buffer, 0, Type.ARRAY);
+    this._checkWritable();
+    this._initRoot(Type.ARRAY);
+    return this;
+  }
+
+  /**
+   * Write an empty root node, plus the side-index header when tracking
+   * insertion order (requested, or already present in this buffer)
+   *
+   * @private
+   */
+  _initRoot(type, indexed = this._keyOrder === 'insertion' || this._hasOrderIndex()) {
+    // Old contents are discarded, so only the total size matters
+    this._ensureSpace(Node.SIZE + (indexed ? KeyOrderIndex.HEADER_SIZE : 0) - this._buflen);
+    initNode(this._buffer, 0, type);
     this._buflen = Node.SIZE;
     this._initialized = true;
-    return this;
+    this._depthCache = null;
+    this._orderCache = null;
+
+    if (indexed) {
+      writeUint32(this._buffer, KeyOrderIndex.OFFSET, KeyOrderIndex.MAGIC);
+      writeUint32(this._buffer, KeyOrderIndex.OFFSET + 4, 0);
+      this._buflen += KeyOrderIndex.HEADER_SIZE;
+    } else if (this._buffer.length >= KeyOrderIndex.OFFSET + 4) {
+      // Don't let a stale header in reused memory show through padding
+      writeUint32(this._buffer, KeyOrderIndex.OFFSET, 0);
+    }
+  }
+
+  /**
+   * Throw if the document is read-only
+   *
+   * @private
+   */
+  _checkWritable() {
+    if (this._readOnly) {
+      throw new Lite3Error('Document is read-only', ErrorCode.READ_ONLY);
+    }
+    if (this._control !== null && !this._writing) {
+      throw new Lite3Error('Shared document can only be modified inside write()', ErrorCode.INVALID_ARGUMENT);
+    }
+  }
+
+  /**
+   * Run fn(this) holding the writer lock of a shared document
+   *
+   * Other writers block until fn returns; readers in read() retry. Nested
+   * calls reuse the held lock. On unshared documents fn simply runs.
+   *
+   * @param {function(Lite3): *} fn - Callback doing the writes
+   * @returns {*} fn's return value
+   */
+  write(fn) {
+    if (this._control === null || this._writing) {
+      return fn(this);
+    }
+
+    this._lock();
+    this._writing = true;
+    this._syncLength();
+    // Other writers may have moved containers around
+    this._depthCache = null;
+    this._orderCache = null;
+    const gen = this.generation;
+    try {
+      return fn(this);
+    } catch (err) {
+      // A failed write may have changed bytes without bumping the
+      // generation that readers rely on
+      if (this._buflen > 0 && this.generation === gen) {
+        incrementGeneration(this._buffer, 0);
+      }
+      throw err;
+    } finally {
+      Atomics.store(this._control, SharedHeader.LENGTH, this._buflen);
+      this._writing = false;
+      this._unlock();
+    }
+  }
+
+  /**
+   * Run fn(this) against a consistent view of a shared document
+   *
+   * Seqlock-style: fn runs without locking and is retried while a writer
+   * holds the lock or the root generation changed meanwhile, so it must not
+   * have side effects and should return plain values rather than views,
+   * refs or offsets for later use. On unshared documents fn simply runs.
+   *
+   * @param {function(Lite3): *} fn - Callback doing the reads
+   * @returns {*} fn's return value
+   */
+  read(fn) {
+    if (this._control === null || this._writing) {
+      return fn(this);
+    }
+
+    for (;;) {
+      this._waitUnlocked();
+      const genType = this._loadGenType();
+      this._syncLength();
+      const length = this._buflen;
+
+      let result;
+      let threw = false;
+      try {
+        result = fn(this);
+      } catch (err) {
+        // Possibly caused by a torn read; only trust it once validated
+        result = err;
+        threw = true;
+      }
+
+      // Re-initializing can reset the generation, so compare type and length too
+      if (Atomics.load(this._control, SharedHeader.LOCK) === 0 &&
+          this._loadGenType() === genType &&
+          Atomics.load(this._control, SharedHeader.LENGTH) === length) {
+        if (threw) {
+          throw result;
+        }
+        return result;
+      }
+    }
+  }
+
+  /**
+   * Set a value only if the document is still at the expected generation
+   *
+   * @param {string} key - The key
+   * @param {*} value - The value
+   * @param {number} expectedGeneration - Generation the caller last read
+   * @param {number} [offset=0] - Parent object offset
+   * @returns {boolean} True if the value was written
+   */
+  compareAndSet(key, expectedGeneration, value, offset = 0) {
+    return this.write(() => {
+      if (this.generation !== expectedGeneration) {
+        return false;
+      }
+      this.set(key, value, offset);
+      return true;
+    });
+  }
+
+  /**
+   * Acquire the writer lock
+   *
+   * @private
+   */
+  _lock() {
+    while (Atomics.compareExchange(this._control, SharedHeader.LOCK, 0, 1) !== 0) {
+      Atomics.wait(this._control, SharedHeader.LOCK, 1);
+    }
+  }
+
+  /**
+   * Release the writer lock and wake waiting readers and writers
+   *
+   * @private
+   */
+  _unlock() {
+    Atomics.store(this._control, SharedHeader.LOCK, 0);
+    Atomics.notify(this._control, SharedHeader.LOCK);
+  }
+
+  /**
+   * Block while a writer holds the lock
+   *
+   * @private
+   */
+  _waitUnlocked() {
+    while (Atomics.load(this._control, SharedHeader.LOCK) !== 0) {
+      Atomics.wait(this._control, SharedHeader.LOCK, 1);
+    }
+  }
+
+  /**
+   * Atomically read the root gen_type word of a shared document
+   *
+   * @private
+   */
+  _loadGenType() {
+    return Atomics.load(this._genWord, 0);
+  }
+
+  /**
+   * Pick up the used length published by the last writer
+   *
+   * @private
+   */
+  _syncLength() {
+    this._buflen = Atomics.load(this._control, SharedHeader.LENGTH);
+    this._initialized = this._buflen > 0;
   }
 
   /**
@@ -181,6 +487,7 @@ export class Lite3 {
    * @returns {Lite3} this instance for chaining
    */
   set(key, value, offset = 0) {
+    this._checkWritable();
     this._checkInitialized();
 
     if (value === null) {
@@ -200,14 +507,26 @@ export class Lite3 {
     } else if (value instanceof Uint8Array) {
       this.setBytes(key, value, offset);
     } else if (Array.isArray(value)) {
-      const arrOffset = this.setArray(key, offset);
-      for (let i = 0; i < value.length; i++) {
-        this.appendValue(value[i], arrOffset);
+      const contentSize = this._checkNested(value, offset);
+      this._enterEncode(value);
+      try {
+        const arrOffset = this._setNestedImpl(key, offset, Type.ARRAY, contentSize);
+        for (let i = 0; i < value.length; i++) {
+          this.appendValue(value[i], arrOffset);
+        }
+      } finally {
+        this._encodeStack.pop();
       }
     } else if (typeof value === 'object') {
-      const objOffset = this.setObject(key, offset);
-      for (const [k, v] of Object.entries(value)) {
-        this.set(k, v, objOffset);
+      const contentSize = this._checkNested(value, offset);
+      this._enterEncode(value);
+      try {
+        const objOffset = this._setNestedImpl(key, offset, Type.OBJECT, contentSize);
+        for (const [k, v] of Object.entries(value)) {
+          this.set(k, v, objOffset);
+        }
+      } finally {
+        this._encodeStack.pop();
       }
     } else {
       throw new Lite3Error(`Unsupported value type: ${typeof value}`, ErrorCode.INVALID_ARGUMENT);
@@ -224,6 +543,7 @@ export class Lite3 {
    * @returns {Lite3} this instance for chaining
    */
   setNull(key, offset = 0) {
+    this._checkWritable();
     this._setImpl(key, offset, Type.NULL, 0, () => {});
     return this;
   }
@@ -237,6 +557,7 @@ export class Lite3 {
    * @returns {Lite3} this instance for chaining
    */
   setBool(key, value, offset = 0) {
+    this._checkWritable();
     this._setImpl(key, offset, Type.BOOL, 1, (buf, valOffset) => {
       buf[valOffset] = value ? 1 : 0;
     });
@@ -252,6 +573,7 @@ export class Lite3 {
    * @returns {Lite3} this instance for chaining
    */
   setInt64(key, value, offset = 0) {
+    this._checkWritable();
     this._setImpl(key, offset, Type.I64, 8, (buf, valOffset) => {
       writeInt64(buf, valOffset, value);
     });
@@ -267,6 +589,7 @@ export class Lite3 {
    * @returns {Lite3} this instance for chaining
    */
   setFloat64(key, value, offset = 0) {
+    this._checkWritable();
     this._setImpl(key, offset, Type.F64, 8, (buf, valOffset) => {
       writeFloat64(buf, valOffset, value);
     });
@@ -282,6 +605,7 @@ export class Lite3 {
    * @returns {Lite3} this instance for chaining
    */
   setString(key, value, offset = 0) {
+    this._checkWritable();
     const encoded = encodeString(value);
     const strSize = encoded.length + 1; // Include null terminator
     this._setImpl(key, offset, Type.STRING, 4 + strSize, (buf, valOffset) => {
@@ -301,6 +625,7 @@ export class Lite3 {
    * @returns {Lite3} this instance for chaining
    */
   setBytes(key, value, offset = 0) {
+    this._checkWritable();
     this._setImpl(key, offset, Type.BYTES, 4 + value.length, (buf, valOffset) => {
       writeUint32(buf, valOffset, value.length);
       copyBytes(buf, valOffset + 4, value, 0, value.length);
@@ -316,6 +641,7 @@ export class Lite3 {
    * @returns {number} Offset of the new object
    */
   setObject(key, offset = 0) {
+    this._checkWritable();
     return this._setNestedImpl(key, offset, Type.OBJECT);
   }
 
@@ -327,6 +653,7 @@ export class Lite3 {
    * @returns {number} Offset of the new array
    */
   setArray(key, offset = 0) {
+    this._checkWritable();
     return this._setNestedImpl(key, offset, Type.ARRAY);
   }
 
@@ -334,42 +661,30 @@ export class Lite3 {
    * Implementation for setting nested object/array
    *
    * @private
+   * @param {number} [contentSize=0] - Extra space to reserve for the
+   *   contents about to be written into the new container
    */
-  _setNestedImpl(key, offset, type) {
+  _setNestedImpl(key, offset, type, contentSize = 0) {
+    this._checkLive(offset);
     const keyData = getKeyData(key);
     const keyTagSize = getKeyTagSize(keyData.size);
     const keyEncoded = encodeString(key);
 
-    // Calculate required space with alignment for node
-    const unalignedValOffset = this._buflen + keyTagSize + keyData.size;
-    const alignedValOffset = alignOffset(unalignedValOffset, Node.ALIGNMENT);
-    const alignmentPadding = alignedValOffset - unalignedValOffset;
-    const entrySize = keyTagSize + keyData.size + alignmentPadding + Node.SIZE;
+    // Node follows the key, aligned (up to ALIGNMENT - 1 bytes of padding)
+    const entrySize = Node.ALIGNMENT + keyTagSize + keyData.size + Node.SIZE;
 
-    this._ensureSpace(entrySize + Node.SIZE * 2); // Extra space for potential splits
+    // An existing object/array is re-initialized in place
+    const slot = this._reserveInsert(offset, keyData, keyEncoded, entrySize, (kvOffset) => {
+      const existingType = this._buffer[this._skipKey(kvOffset)];
+      return existingType === Type.OBJECT || existingType === Type.ARRAY;
+    }, contentSize);
 
     // Increment generation
     incrementGeneration(this._buffer, 0);
 
-    const result = this._findOrInsertKey(offset, keyData, keyTagSize, keyEncoded);
-
-    // Write key if new entry
-    if (result.isNew) {
-      const writeOffset = this._buflen + alignmentPadding;
-      this._writeKey(writeOffset, keyTagSize, keyData.size, keyEncoded);
-      setNodeKvOffset(this._buffer, result.nodeOffset, result.index, writeOffset);
-      this._buflen = writeOffset + keyTagSize + keyData.size;
-
-      // Initialize nested node
-      const nodeOffset = alignOffset(this._buflen, Node.ALIGNMENT);
-      this._buflen = nodeOffset + Node.SIZE;
-      initNode(this._buffer, nodeOffset, type);
+    const result = this._insertReserved(offset, slot, keyEncoded);
 
-      // Update root size
-      incrementNodeSize(this._buffer, 0);
-
-      return nodeOffset;
-    } else {
+    if (!result.isNew) {
       // Existing key - get offset to value
       const kvOffset = getNodeKvOffset(this._buffer, result.nodeOffset, result.index);
       const valOffset = this._skipKey(kvOffset);
@@ -379,21 +694,29 @@ export class Lite3 {
         // Re-initialize existing nested structure
         initNode(this._buffer, valOffset, type);
         return valOffset;
-      } else {
-        // Need to allocate new node
-        const nodeOffset = alignOffset(this._buflen, Node.ALIGNMENT);
-        this._buflen = nodeOffset + Node.SIZE;
-        initNode(this._buffer, nodeOffset, type);
-
-        // Update kv_ofs to point to new location
-        // Note: We need to write new key entry pointing to new node
-        const writeOffset = alignOffset(this._buflen, Node.ALIGNMENT) - Node.SIZE;
-        this._writeKey(writeOffset, keyTagSize, keyData.size, keyEncoded);
-        setNodeKvOffset(this._buffer, result.nodeOffset, result.index, writeOffset);
-
-        return nodeOffset;
       }
     }
+
+    // Write key so that the nested node right after it is aligned
+    // (padding must be computed now: splits above may have moved _buflen)
+    const keyEnd = this._buflen + keyTagSize + keyData.size;
+    const writeOffset = this._buflen + alignOffset(keyEnd, Node.ALIGNMENT) - keyEnd;
+    this._writeKey(writeOffset, keyTagSize, keyData.size, keyEncoded);
+    setNodeKvOffset(this._buffer, result.nodeOffset, result.index, writeOffset);
+
+    // Initialize nested node
+    const nodeOffset = writeOffset + keyTagSize + keyData.size;
+    this._buflen = nodeOffset + Node.SIZE;
+    initNode(this._buffer, nodeOffset, type);
+    this._trackContainer(nodeOffset, offset);
+
+    if (result.isNew) {
+      // Update object size
+      incrementNodeSize(this._buffer, offset);
+      this._recordInsertion(offset, result);
+    }
+
+    return nodeOffset;
   }
 
   /**
@@ -404,137 +727,727 @@ export class Lite3 {
    * @returns {Lite3} this instance for chaining
    */
   appendValue(value, arrayOffset = 0) {
+    this._checkWritable();
     const index = getNodeSize(this._buffer, arrayOffset);
     this._appendImpl(arrayOffset, index, value);
     return this;
   }
 
   /**
-   * Implementation for appending to array
+   * Append values to array
+   * Writes the same bytes as calling appendValue() for each value, but
+   * reserves space once for the whole call and inserts indices along
+   * the rightmost path of the tree instead of searching it every time.
+   * Values that cannot be encoded (unsupported types, also inside objects
+   * and arrays, cycles, nesting too deep) are rejected before anything is
+   * written.
    *
-   * @private
+   * @param {Iterable<*>} values - The values
+   * @param {number} [arrayOffset=0] - Array offset
+   * @returns {Lite3} this instance for chaining
    */
-  _appendImpl(arrayOffset, index, value) {
-    if (value === null) {
-      this._appendPrimitiveImpl(arrayOffset, index, Type.NULL, 0, () => {});
-    } else if (typeof value === 'boolean') {
-      this._appendPrimitiveImpl(arrayOffset, index, Type.BOOL, 1, (buf, off) => {
-        buf[off] = value ? 1 : 0;
-      });
-    } else if (typeof value === 'number') {
-      if (Number.isInteger(value) && value >= -9007199254740991 && value <= 9007199254740991) {
-        this._appendPrimitiveImpl(arrayOffset, index, Type.I64, 8, (buf, off) => {
-          writeInt64(buf, off, value);
-        });
-      } else {
-        this._appendPrimitiveImpl(arrayOffset, index, Type.F64, 8, (buf, off) => {
-          writeFloat64(buf, off, value);
-        });
+  appendMany(values, arrayOffset = 0) {
+    this._checkWritable();
+    this._checkAppendTarget(arrayOffset);
+
+    const items = Array.from(values);
+    let nestedSize = 0;
+    const encodings = items.map((value) => {
+      const primitive = this._encodePrimitive(value);
+      if (primitive === null) {
+        nestedSize += Node.ALIGNMENT + Node.SIZE + this._checkNested(value, arrayOffset);
       }
-    } else if (typeof value === 'bigint') {
-      this._appendPrimitiveImpl(arrayOffset, index, Type.I64, 8, (buf, off) => {
-        writeInt64(buf, off, value);
-      });
-    } else if (typeof value === 'string') {
-      const encoded = encodeString(value);
-      const strSize = encoded.length + 1;
-      this._appendPrimitiveImpl(arrayOffset, index, Type.STRING, 4 + strSize, (buf, off) => {
-        writeUint32(buf, off, strSize);
-        copyBytes(buf, off + 4, encoded, 0, encoded.length);
-        buf[off + 4 + encoded.length] = 0;
-      });
-    } else if (value instanceof Uint8Array) {
-      this._appendPrimitiveImpl(arrayOffset, index, Type.BYTES, 4 + value.length, (buf, off) => {
-        writeUint32(buf, off, value.length);
-        copyBytes(buf, off + 4, value, 0, value.length);
-      });
-    } else if (Array.isArray(value)) {
-      const arrOff = this._appendNestedImpl(arrayOffset, index, Type.ARRAY);
-      for (let i = 0; i < value.length; i++) {
-        this.appendValue(value[i], arrOff);
+      return primitive;
+    });
+
+    if (nestedSize > 0) {
+      // Runs of primitives reserve their own space; with objects/arrays in
+      // between, reserve for everything so no run is left half applied
+      const primitiveSize = encodings.reduce((sum, e) => (e === null ? sum : sum + VAL_SIZE + e.dataSize), 0);
+      const { nodes, splits } = this._countAppendSplits(this._rightmostPath(arrayOffset), items.length);
+      this._ensureSpace(primitiveSize + nestedSize + nodes * Node.SIZE + splits * Node.ALIGNMENT);
+    }
+
+    let i = 0;
+    while (i < items.length) {
+      if (encodings[i] === null) {
+        this._appendImpl(arrayOffset, getNodeSize(this._buffer, arrayOffset), items[i], true);
+        i++;
+        continue;
       }
-    } else if (typeof value === 'object') {
-      const objOff = this._appendNestedImpl(arrayOffset, index, Type.OBJECT);
-      for (const [k, v] of Object.entries(value)) {
-        this.set(k, v, objOff);
+
+      // Run of primitives up to the next object/array
+      let end = i;
+      let bytes = 0;
+      while (end < items.length && encodings[end] !== null) {
+        bytes += VAL_SIZE + encodings[end].dataSize;
+        end++;
       }
+      const run = i;
+      this._appendBulk(arrayOffset, end - run, bytes, (n, buf, valOffset) => {
+        const { type, dataSize, writeData } = encodings[run + n];
+        buf[valOffset] = type;
+        writeData(buf, valOffset + VAL_SIZE);
+        return VAL_SIZE + dataSize;
+      });
+      i = end;
     }
+
+    return this;
   }
 
   /**
-   * Implementation for appending primitive to array
+   * Append the elements of a typed array to array
+   * Elements are stored as appendValue() would store them: Int32Array
+   * and BigInt64Array as I64, Float64Array as F64 (or I64 for values that
+   * are safe integers), with the same resulting bytes.
    *
-   * @private
+   * @param {Float64Array|BigInt64Array|Int32Array} values - The values
+   * @param {number} [arrayOffset=0] - Array offset
+   * @returns {Lite3} this instance for chaining
    */
-  _appendPrimitiveImpl(arrayOffset, index, type, dataSize, writeData) {
-    const entrySize = VAL_SIZE + dataSize;
-    this._ensureSpace(entrySize + Node.SIZE * 2);
+  appendTypedArray(values, arrayOffset = 0) {
+    this._checkWritable();
+
+    let writeAt;
+    if (values instanceof Float64Array) {
+      writeAt = (n, buf, valOffset) => {
+        const value = values[n];
+        if (Number.isInteger(value) && value >= -9007199254740991 && value <= 9007199254740991) {
+          buf[valOffset] = Type.I64;
+          writeInt64(buf, valOffset + VAL_SIZE, value);
+        } else {
+          buf[valOffset] = Type.F64;
+          writeFloat64(buf, valOffset + VAL_SIZE, value);
+        }
+        return VAL_SIZE + 8;
+      };
+    } else if (values instanceof BigInt64Array || values instanceof Int32Array) {
+      writeAt = (n, buf, valOffset) => {
+        buf[valOffset] = Type.I64;
+        writeInt64(buf, valOffset + VAL_SIZE, values[n]);
+        return VAL_SIZE + 8;
+      };
+    } else {
+      throw new Lite3Error(
+        'Expected a Float64Array, BigInt64Array or Int32Array',
+        ErrorCode.INVALID_ARGUMENT
+      );
+    }
 
-    incrementGeneration(this._buffer, 0);
+    this._checkAppendTarget(arrayOffset);
+    this._appendBulk(arrayOffset, values.length, values.length * (VAL_SIZE + 8), writeAt);
+    return this;
+  }
 
-    // For arrays, we use the index as the hash
-    const keyData = { hash: index, size: 0 };
-    const result = this._findOrInsertKey(arrayOffset, keyData, 0, null);
+  /**
+   * Overwrite array element
+   * Primitives that fit are rewritten in place, like set() does for keys.
+   *
+   * @param {number} index - The index (index === size appends)
+   * @param {*} value - The value
+   * @param {number} [arrayOffset=0] - Array offset
+   * @returns {Lite3} this instance for chaining
+   */
+  setAt(index, value, arrayOffset = 0) {
+    this._checkWritable();
+    this._checkInitialized();
+    this._checkArrayIndex(index, getNodeSize(this._buffer, arrayOffset));
 
-    // Write value
-    const valOffset = this._buflen;
-    this._buffer[valOffset] = type;
-    if (dataSize > 0) {
-      writeData(this._buffer, valOffset + VAL_SIZE);
+    this._appendImpl(arrayOffset, index, value);
+    return this;
+  }
+
+  /**
+   * Insert element into array
+   * Elements from index onwards move up by one.
+   *
+   * @param {number} index - The index (index === size appends)
+   * @param {*} value - The value
+   * @param {number} [arrayOffset=0] - Array offset
+   * @returns {Lite3} this instance for chaining
+   */
+  insertAt(index, value, arrayOffset = 0) {
+    this._checkWritable();
+    this._checkInitialized();
+    this._checkLive(arrayOffset);
+    this._checkArrayIndex(index, getNodeSize(this._buffer, arrayOffset));
+
+    this._shiftArrayIndices(arrayOffset, index, 1);
+    try {
+      this._appendImpl(arrayOffset, index, value);
+    } catch (err) {
+      // Close the gap again unless a (partially filled) container went in
+      if (!this._findKey(arrayOffset, index)) {
+        this._shiftArrayIndices(arrayOffset, index + 1, -1);
+      }
+      throw err;
     }
-    this._buflen += VAL_SIZE + dataSize;
+    return this;
+  }
 
-    setNodeKvOffset(this._buffer, result.nodeOffset, result.index, valOffset);
+  /**
+   * Remove element from array
+   * Elements after index move down by one.
+   *
+   * @param {number} index - The index
+   * @param {number} [arrayOffset=0] - Array offset
+   * @returns {*} The removed value, or undefined if out of range
+   */
+  removeAt(index, arrayOffset = 0) {
+    this._checkWritable();
+    const value = this.getAt(index, arrayOffset);
+    this.deleteAt(index, arrayOffset);
+    return value;
+  }
 
-    if (result.isNew) {
-      incrementNodeSize(this._buffer, arrayOffset);
+  /**
+   * Remove last element from array
+   *
+   * @param {number} [arrayOffset=0] - Array offset
+   * @returns {*} The removed value, or undefined if array is empty
+   */
+  pop(arrayOffset = 0) {
+    this._checkWritable();
+    this._checkInitialized();
+
+    const size = getNodeSize(this._buffer, arrayOffset);
+    if (size === 0) {
+      return undefined;
     }
+    return this.removeAt(size - 1, arrayOffset);
   }
 
   /**
-   * Implementation for appending nested object/array
+   * Remove and/or insert elements, like Array.prototype.splice()
+   * If an insert fails, the array is left as it was before the call.
    *
-   * @private
+   * @param {number} start - Start index (negative counts from the end)
+   * @param {number} [deleteCount] - Number of elements to remove (default: to the end)
+   * @param {Array} [items=[]] - Values to insert at start
+   * @param {number} [arrayOffset=0] - Array offset
+   * @returns {Array} The removed values
    */
-  _appendNestedImpl(arrayOffset, index, type) {
-    this._ensureSpace(Node.SIZE * 3);
-
-    incrementGeneration(this._buffer, 0);
+  splice(start, deleteCount, items = [], arrayOffset = 0) {
+    this._checkWritable();
+    this._checkInitialized();
 
-    const keyData = { hash: index, size: 0 };
-    const result = this._findOrInsertKey(arrayOffset, keyData, 0, null);
+    const size = getNodeSize(this._buffer, arrayOffset);
+    const from = start < 0 ? Math.max(size + start, 0) : Math.min(start, size);
+    const count = deleteCount === undefined
+      ? size - from
+      : Math.min(Math.max(deleteCount, 0), size - from);
 
-    // Align for node
-    const nodeOffset = alignOffset(this._buflen, Node.ALIGNMENT);
-    this._buflen = nodeOffset + Node.SIZE;
-    initNode(this._buffer, nodeOffset, type);
+    const removed = [];
+    const run = () => {
+      for (let i = 0; i < count; i++) {
+        removed.push(this.removeAt(from, arrayOffset));
+      }
+      for (let i = 0; i < items.length; i++) {
+        this.insertAt(from + i, items[i], arrayOffset);
+      }
+    };
 
-    setNodeKvOffset(this._buffer, result.nodeOffset, result.index, nodeOffset);
+    // Removing alone cannot fail; an insert that does must not leave the
+    // array half spliced
+    if (items.length > 0) {
+      this._atomically(run);
+    } else {
+      run();
+    }
+    return removed;
+  }
 
-    if (result.isNew) {
-      incrementNodeSize(this._buffer, arrayOffset);
+  /**
+   * Validate index for writing into an array of given size
+   *
+   * @private
+   */
+  _checkArrayIndex(index, size) {
+    if (!Number.isInteger(index) || index < 0 || index > size) {
+      throw new Lite3Error(`Array index out of range: ${index}`, ErrorCode.OUT_OF_BOUNDS);
     }
+  }
 
-    return nodeOffset;
+  /**
+   * Track a JS object/array about to be encoded
+   * Callers pop it from _encodeStack when done.
+   *
+   * @private
+   */
+  _enterEncode(value) {
+    if (this._encodeStack.includes(value)) {
+      throw new Lite3Error('Cannot encode cyclic structure', ErrorCode.INVALID_ARGUMENT);
+    }
+    if (this._encodeDepth + this._encodeStack.length >= this._maxDepth) {
+      throw new Lite3Error(`Nesting depth exceeds ${this._maxDepth}`, ErrorCode.INVALID_ARGUMENT);
+    }
+    this._encodeStack.push(value);
   }
 
   /**
-   * Implementation for set operations
+   * Check a JS object/array before any of it is written
+   * Cycles, unsupported values and nesting too deep to read back (counted
+   * from the root, like decoding does) throw here, and the returned size
+   * is reserved along with the container, so a failed write does not
+   * leave part of the value behind. Values nested in a write that was
+   * already checked are skipped.
    *
    * @private
+   * @param {Object|Array} value - The value
+   * @param {number} parentOffset - Container the value goes into
+   * @returns {number} Upper bound on the bytes of the contents (beyond
+   *   the container's own node), or 0 when skipped
    */
-  _setImpl(key, offset, type, dataSize, writeData) {
-    const keyData = getKeyData(key);
-    const keyTagSize = getKeyTagSize(keyData.size);
-    const keyEncoded = encodeString(key);
-    const entrySize = keyTagSize + keyData.size + VAL_SIZE + dataSize;
+  _checkNested(value, parentOffset) {
+    if (this._encodeStack.length > 0) {
+      return 0;
+    }
 
-    this._ensureSpace(entrySize + Node.SIZE * 2);
+    this._encodeDepth = this._containerDepth(parentOffset);
+    try {
+      return this._estimateContainer(value, this._hasOrderIndex()) - Node.SIZE + RESERVE_SLACK;
+    } finally {
+      this._encodeDepth = 0;
+    }
+  }
+
+  /**
+   * Nesting depth of the container at offset, counting the root as 1
+   * Offsets that cannot be reached from the root (e.g. of a replaced
+   * container) count as 1 as well.
+   *
+   * @private
+   */
+  _containerDepth(offset) {
+    let depth = this._depthCache?.depths.get(offset);
+    if (depth === undefined) {
+      this._depthCache = this._scanDepths();
+      const { depths, truncated } = this._depthCache;
+      // Not searched past maxDepth, where readers already stop
+      depth = depths.get(offset) ?? (truncated ? this._maxDepth : 1);
+      depths.set(offset, depth);
+    }
+    return depth;
+  }
+
+  /**
+   * Find the depth of every container reachable from a container
+   * Reads the nodes directly instead of using _iterate(), which also
+   * decodes every key.
+   *
+   * @private
+   * @param {number} [rootOffset=0] - Container to start from
+   * @param {number} [rootDepth=1] - Its depth
+   * @returns {{ depths: Map<number, number>, truncated: boolean }}
+   */
+  _scanDepths(rootOffset = 0, rootDepth = 1) {
+    const depths = new Map([[rootOffset, rootDepth]]);
+    let truncated = false;
+    const pending = [rootOffset];
+
+    while (pending.length > 0) {
+      const containerOffset = pending.pop();
+      const depth = depths.get(containerOffset);
+      const isObject = getNodeType(this._buffer, containerOffset) === Type.OBJECT;
+      const nodes = [containerOffset];
+
+      while (nodes.length > 0) {
+        const nodeOffset = nodes.pop();
+        const keyCount = getNodeKeyCount(this._buffer, nodeOffset);
+        for (let i = 0; i < keyCount; i++) {
+          const kvOffset = getNodeKvOffset(this._buffer, nodeOffset, i);
+          const valOffset = isObject ? this._skipKey(kvOffset) : kvOffset;
+          const type = this._buffer[valOffset];
+          if (type !== Type.OBJECT && type !== Type.ARRAY) {
+            continue;
+          }
+          if (depth >= this._maxDepth) {
+            truncated = true;
+          } else if (!depths.has(valOffset)) {
+            depths.set(valOffset, depth + 1);
+            pending.push(valOffset);
+          }
+        }
+        if (hasChildren(this._buffer, nodeOffset)) {
+          for (let i = 0; i <= keyCount; i++) {
+            nodes.push(getNodeChildOffset(this._buffer, nodeOffset, i));
+          }
+        }
+      }
+    }
+
+    return { depths, truncated };
+  }
+
+  /**
+   * Record the depth of a container just created under parentOffset
+   *
+   * @private
+   */
+  _trackContainer(nodeOffset, parentOffset) {
+    const parentDepth = this._depthCache?.depths.get(parentOffset);
+    if (parentDepth !== undefined) {
+      this._depthCache.depths.set(nodeOffset, parentDepth + 1);
+    }
+  }
+
+  /**
+   * Record the depths of a container linked in under parentOffset and of
+   * everything below it
+   * Only the subtree is scanned; the rest of the cache stays valid.
+   *
+   * @private
+   */
+  _trackSubtree(valOffset, parentOffset) {
+    if (!this._depthCache) {
+      return;
+    }
+    const type = this._buffer[valOffset];
+    if (type !== Type.OBJECT && type !== Type.ARRAY) {
+      return;
+    }
+    const parentDepth = this._depthCache.depths.get(parentOffset);
+    const subtree = parentDepth === undefined ? null : this._scanDepths(valOffset, parentDepth + 1);
+    if (!subtree || subtree.truncated) {
+      // Entries left below the cut-off could be stale
+      this._depthCache = null;
+      return;
+    }
+    for (const [offset, depth] of subtree.depths) {
+      this._depthCache.depths.set(offset, depth);
+    }
+  }
+
+  /**
+   * Implementation for appending to array
+   *
+   * @private
+   * @param {boolean} [checked=false] - Nested value already passed
+   *   _checkNested() and its space is reserved
+   */
+  _appendImpl(arrayOffset, index, value, checked = false) {
+    this._checkLive(arrayOffset);
+    const primitive = this._encodePrimitive(value);
+    if (primitive !== null) {
+      this._appendPrimitiveImpl(arrayOffset, index, primitive.type, primitive.dataSize, primitive.writeData);
+      return;
+    }
+
+    const contentSize = checked ? 0 : this._checkNested(value, arrayOffset);
+    if (Array.isArray(value)) {
+      this._enterEncode(value);
+      try {
+        const arrOff = this._appendNestedImpl(arrayOffset, index, Type.ARRAY, contentSize);
+        for (let i = 0; i < value.length; i++) {
+          this.appendValue(value[i], arrOff);
+        }
+      } finally {
+        this._encodeStack.pop();
+      }
+    } else {
+      this._enterEncode(value);
+      try {
+        const objOff = this._appendNestedImpl(arrayOffset, index, Type.OBJECT, contentSize);
+        for (const [k, v] of Object.entries(value)) {
+          this.set(k, v, objOff);
+        }
+      } finally {
+        this._encodeStack.pop();
+      }
+    }
+  }
+
+  /**
+   * Describe how a primitive value is written
+   *
+   * @private
+   * @returns {{ type: number, dataSize: number, writeData: Function } | null}
+   *   null for objects and arrays
+   */
+  _encodePrimitive(value) {
+    if (value === null) {
+      return { type: Type.NULL, dataSize: 0, writeData: () => {} };
+    } else if (typeof value === 'boolean') {
+      return {
+        type: Type.BOOL,
+        dataSize: 1,
+        writeData: (buf, off) => {
+          buf[off] = value ? 1 : 0;
+        },
+      };
+    } else if (typeof value === 'number') {
+      if (Number.isInteger(value) && value >= -9007199254740991 && value <= 9007199254740991) {
+        return { type: Type.I64, dataSize: 8, writeData: (buf, off) => writeInt64(buf, off, value) };
+      }
+      return { type: Type.F64, dataSize: 8, writeData: (buf, off) => writeFloat64(buf, off, value) };
+    } else if (typeof value === 'bigint') {
+      return { type: Type.I64, dataSize: 8, writeData: (buf, off) => writeInt64(buf, off, value) };
+    } else if (typeof value === 'string') {
+      // Sized without encoding: estimates call this for every string too
+      const length = utf8Length(value);
+      return {
+        type: Type.STRING,
+        dataSize: 4 + length + 1,
+        writeData: (buf, off) => {
+          writeUint32(buf, off, length + 1);
+          encodeStringInto(buf, off + 4, value, length);
+          buf[off + 4 + length] = 0;
+        },
+      };
+    } else if (value instanceof Uint8Array) {
+      return {
+        type: Type.BYTES,
+        dataSize: 4 + value.length,
+        writeData: (buf, off) => {
+          writeUint32(buf, off, value.length);
+          copyBytes(buf, off + 4, value, 0, value.length);
+        },
+      };
+    } else if (typeof value === 'object') {
+      return null;
+    }
+    throw new Lite3Error(`Unsupported value type: ${typeof value}`, ErrorCode.INVALID_ARGUMENT);
+  }
+
+  /**
+   * Implementation for appending primitive to array
+   *
+   * @private
+   */
+  _appendPrimitiveImpl(arrayOffset, index, type, dataSize, writeData) {
+    const entrySize = VAL_SIZE + dataSize;
+
+    // For arrays, we use the index as the hash
+    const keyData = { hash: index, size: 0 };
+    const slot = this._reserveInsert(arrayOffset, keyData, null, entrySize,
+      (kvOffset) => entrySize <= this._getValueSize(kvOffset));
+
+    incrementGeneration(this._buffer, 0);
+
+    const result = this._insertReserved(arrayOffset, slot, null);
+
+    // Existing element: for arrays kv_ofs points directly to the value
+    if (!result.isNew) {
+      const kvOffset = getNodeKvOffset(this._buffer, result.nodeOffset, result.index);
+      if (this._overwriteInPlace(kvOffset, type, dataSize, writeData)) {
+        return;
+      }
+    }
+
+    // Write value
+    const valOffset = this._buflen;
+    this._buffer[valOffset] = type;
+    if (dataSize > 0) {
+      writeData(this._buffer, valOffset + VAL_SIZE);
+    }
+    this._buflen += VAL_SIZE + dataSize;
+
+    setNodeKvOffset(this._buffer, result.nodeOffset, result.index, valOffset);
+
+    if (result.isNew) {
+      incrementNodeSize(this._buffer, arrayOffset);
+    }
+  }
+
+  /**
+   * Implementation for appending nested object/array
+   *
+   * @private
+   * @param {number} [contentSize=0] - Extra space to reserve for the
+   *   contents about to be written into the new container
+   */
+  _appendNestedImpl(arrayOffset, index, type, contentSize = 0) {
+    const keyData = { hash: index, size: 0 };
+    const slot = this._reserveInsert(arrayOffset, keyData, null, Node.SIZE + Node.ALIGNMENT, null, contentSize);
+
+    incrementGeneration(this._buffer, 0);
+
+    const result = this._insertReserved(arrayOffset, slot, null);
+
+    // Align for node
+    const nodeOffset = alignOffset(this._buflen, Node.ALIGNMENT);
+    this._buflen = nodeOffset + Node.SIZE;
+    initNode(this._buffer, nodeOffset, type);
+    this._trackContainer(nodeOffset, arrayOffset);
+
+    setNodeKvOffset(this._buffer, result.nodeOffset, result.index, nodeOffset);
+
+    if (result.isNew) {
+      incrementNodeSize(this._buffer, arrayOffset);
+    }
+
+    return nodeOffset;
+  }
+
+  /**
+   * Check that bulk appends may go to the array at arrayOffset
+   *
+   * @private
+   */
+  _checkAppendTarget(arrayOffset) {
+    this._checkInitialized();
+    this._checkLive(arrayOffset);
+    if (getNodeType(this._buffer, arrayOffset) !== Type.ARRAY) {
+      throw new Lite3Error(`Not an array at offset ${arrayOffset}`, ErrorCode.INVALID_ARGUMENT);
+    }
+  }
+
+  /**
+   * Append count primitives written by writeAt(n, buffer, valOffset),
+   * which returns the size of element n
+   *
+   * @private
+   */
+  _appendBulk(arrayOffset, count, bytes, writeAt) {
+    if (count === 0) {
+      return;
+    }
+
+    const path = this._rightmostPath(arrayOffset);
+
+    // Each split may be preceded by alignment padding
+    const { nodes, splits } = this._countAppendSplits(path, count);
+    this._ensureSpace(bytes + nodes * Node.SIZE + splits * Node.ALIGNMENT);
+
+    // appendValue() bumps the generation before each insert; the bumps only
+    // have to be written out before a split of the document root copies it
+    let bumps = 0;
+    const flushGeneration = () => {
+      setNodeGeneration(this._buffer, 0, (getNodeGeneration(this._buffer, 0) + bumps) & 0xFFFFFF);
+      bumps = 0;
+    };
+
+    const start = getNodeSize(this._buffer, arrayOffset);
+    for (let n = 0; n < count; n++) {
+      bumps++;
+      if (arrayOffset === 0 && getNodeKeyCount(this._buffer, 0) === Node.KEY_COUNT_MAX) {
+        flushGeneration();
+      }
+      const slot = this._appendSlot(arrayOffset, path, start + n);
+
+      const valOffset = this._buflen;
+      this._buflen = valOffset + writeAt(n, this._buffer, valOffset);
+      setNodeKvOffset(this._buffer, slot.nodeOffset, slot.index, valOffset);
+      setNodeSize(this._buffer, arrayOffset, start + n + 1);
+    }
+    flushGeneration();
+  }
+
+  /**
+   * Offsets of the nodes from an array's root down to its last leaf
+   *
+   * @private
+   * @returns {number[]}
+   */
+  _rightmostPath(arrayOffset) {
+    const path = [arrayOffset];
+    let nodeOffset = arrayOffset;
+
+    while (hasChildren(this._buffer, nodeOffset)) {
+      nodeOffset = getNodeChildOffset(this._buffer, nodeOffset, getNodeKeyCount(this._buffer, nodeOffset));
+      path.push(nodeOffset);
+
+      if (path.length > Node.TREE_HEIGHT_MAX + 1) {
+        throw new Lite3Error('Tree height exceeded maximum', ErrorCode.BAD_MESSAGE);
+      }
+    }
+
+    return path;
+  }
+
+  /**
+   * Count the splits (and nodes they allocate) that appending count
+   * indices along path will cause, without touching the buffer
+   * Mirrors _appendSlot() on the key counts alone.
+   *
+   * @private
+   * @returns {{ nodes: number, splits: number }}
+   */
+  _countAppendSplits(path, count) {
+    const keyCounts = path.map((nodeOffset) => getNodeKeyCount(this._buffer, nodeOffset));
+    let nodes = 0;
+    let splits = 0;
+
+    for (let n = 0; n < count; n++) {
+      for (let depth = 0; depth < keyCounts.length; depth++) {
+        if (keyCounts[depth] !== Node.KEY_COUNT_MAX) {
+          continue;
+        }
+
+        splits++;
+        if (depth === 0) {
+          nodes += 2;
+          keyCounts[0] = 1;
+          keyCounts.splice(1, 0, Node.KEY_COUNT_MIN);
+          depth++;
+        } else {
+          nodes++;
+          keyCounts[depth] = Node.KEY_COUNT_MIN;
+          keyCounts[depth - 1]++;
+        }
+      }
+      keyCounts[keyCounts.length - 1]++;
+    }
+
+    return { nodes, splits };
+  }
+
+  /**
+   * Insert index past the end of an array
+   * Splits full nodes top-down along path exactly like _findOrInsertHash()
+   * does for a hash larger than all others, and keeps path pointing at
+   * the rightmost nodes.
+   *
+   * @private
+   * @returns {{ nodeOffset: number, index: number }}
+   */
+  _appendSlot(arrayOffset, path, index) {
+    for (let depth = 0; depth < path.length; depth++) {
+      const nodeOffset = path[depth];
+      if (getNodeKeyCount(this._buffer, nodeOffset) !== Node.KEY_COUNT_MAX) {
+        continue;
+      }
+
+      if (depth === 0) {
+        // Root keeps its offset and gets the right half as child 1
+        this._splitNode(arrayOffset, nodeOffset, null, 0);
+        path.splice(1, 0, getNodeChildOffset(this._buffer, arrayOffset, 1));
+        depth++;
+      } else {
+        const parent = path[depth - 1];
+        this._splitNode(arrayOffset, nodeOffset, parent, getNodeKeyCount(this._buffer, parent));
+        path[depth] = getNodeChildOffset(this._buffer, parent, getNodeKeyCount(this._buffer, parent));
+      }
+    }
+
+    const leaf = path[path.length - 1];
+    const keyCount = getNodeKeyCount(this._buffer, leaf);
+    setNodeHash(this._buffer, leaf, keyCount, index);
+    setNodeKeyCount(this._buffer, leaf, keyCount + 1);
+
+    return { nodeOffset: leaf, index: keyCount };
+  }
+
+  /**
+   * Implementation for set operations
+   *
+   * @private
+   */
+  _setImpl(key, offset, type, dataSize, writeData) {
+    this._checkLive(offset);
+    const keyData = getKeyData(key);
+    const keyTagSize = getKeyTagSize(keyData.size);
+    const keyEncoded = encodeString(key);
+    const entrySize = keyTagSize + keyData.size + VAL_SIZE + dataSize;
+
+    const slot = this._reserveInsert(offset, keyData, keyEncoded, entrySize,
+      (kvOffset) => VAL_SIZE + dataSize <= this._getValueSize(this._skipKey(kvOffset)));
 
     // Increment generation
     incrementGeneration(this._buffer, 0);
 
-    const result = this._findOrInsertKey(offset, keyData, keyTagSize, keyEncoded);
+    const result = this._insertReserved(offset, slot, keyEncoded);
 
     if (result.isNew) {
       // Write new entry
@@ -548,25 +1461,15 @@ export class Lite3 {
       this._buflen = valOffset + VAL_SIZE + dataSize;
       setNodeKvOffset(this._buffer, result.nodeOffset, result.index, writeOffset);
 
-      // Update root size
-      incrementNodeSize(this._buffer, 0);
+      // Update object size
+      incrementNodeSize(this._buffer, offset);
+      this._recordInsertion(offset, result);
     } else {
       // Overwrite existing value
       const kvOffset = getNodeKvOffset(this._buffer, result.nodeOffset, result.index);
       const valOffset = this._skipKey(kvOffset);
 
-      // Check if we can overwrite in place
-      const existingType = this._buffer[valOffset];
-      const existingSize = this._getValueSize(valOffset);
-      const newSize = VAL_SIZE + dataSize;
-
-      if (newSize <= existingSize) {
-        // Overwrite in place
-        this._buffer[valOffset] = type;
-        if (dataSize > 0) {
-          writeData(this._buffer, valOffset + VAL_SIZE);
-        }
-      } else {
+      if (!this._overwriteInPlace(valOffset, type, dataSize, writeData)) {
         // Need to allocate new space
         const writeOffset = this._buflen;
         this._writeKey(writeOffset, keyTagSize, keyData.size, keyEncoded);
@@ -582,62 +1485,230 @@ export class Lite3 {
   }
 
   /**
-   * Find or insert key in B-tree
+   * Overwrite existing value in place if the new value fits
    *
    * @private
-   * @returns {{ nodeOffset: number, index: number, isNew: boolean }}
+   * @returns {boolean} True if written, false if new space is needed
    */
-  _findOrInsertKey(rootOffset, keyData, keyTagSize, keyEncoded) {
-    let nodeOffset = rootOffset;
-    let parent = null;
-    let parentIndex = 0;
-    let nodeWalks = 0;
+  _overwriteInPlace(valOffset, type, dataSize, writeData) {
+    if (VAL_SIZE + dataSize > this._getValueSize(valOffset)) {
+      return false;
+    }
 
-    while (true) {
-      // Check if node is full and needs split
-      if (getNodeKeyCount(this._buffer, nodeOffset) === Node.KEY_COUNT_MAX) {
-        this._splitNode(rootOffset, nodeOffset, parent, parentIndex);
+    this._buffer[valOffset] = type;
+    if (dataSize > 0) {
+      writeData(this._buffer, valOffset + VAL_SIZE);
+    }
+    return true;
+  }
 
-        // Re-navigate after split
-        if (parent === null) {
-          // Root was split, restart
-          nodeOffset = rootOffset;
-        } else {
-          // Check which child to follow
-          const separatorHash = getNodeHash(this._buffer, parent, parentIndex);
-          if (keyData.hash > separatorHash) {
-            nodeOffset = getNodeChildOffset(this._buffer, parent, parentIndex + 1);
+  /**
+   * Make room for inserting (or updating) a key before the tree is touched
+   *
+   * Walks the path _findOrInsertKey() will take (every probe attempt, for
+   * object keys) and counts the full nodes it will split, so once this
+   * returns the write cannot run out of space half way. entrySize bytes
+   * are added unless the key exists and fitsInPlace(kvOffset) says its
+   * entry is updated in place. The extra bytes are always added.
+   *
+   * @private
+   * @returns {{ hash: number, nodeOffset: number, index: number, found: boolean, split: Object|null } | null}
+   *   Where the last probe ended: the key's slot, or the leaf position to
+   *   insert at; split is where the first full node on the way was found.
+   *   null if every probe slot holds another key. Pass it to _insertReserved().
+   * @throws {Lite3Error} ENOBUFS if the buffer cannot hold the write
+   */
+  _reserveInsert(rootOffset, keyData, keyEncoded, entrySize, fitsInPlace = null, extra = 0) {
+    const attempts = keyEncoded === null ? 1 : HASH_PROBE_MAX;
+    let nodes = 0;
+    let kvOffset = -1;
+    let slot = null;
+
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      const hash = keyEncoded === null ? keyData.hash : probeHash(keyData.hash, attempt);
+      let nodeOffset = rootOffset;
+      let parent = null;
+      let split = null;
+      let i = 0;
+      kvOffset = -1;
+
+      for (let depth = 0; depth <= Node.TREE_HEIGHT_MAX; depth++) {
+        const keyCount = getNodeKeyCount(this._buffer, nodeOffset);
+        if (keyCount === Node.KEY_COUNT_MAX) {
+          // Root splits move the old root into a new node as well
+          nodes += nodeOffset === rootOffset ? 2 : 1;
+          if (split === null) {
+            split = { nodeOffset, parent, parentIndex: i, depth };
           }
         }
-      }
-
-      const keyCount = getNodeKeyCount(this._buffer, nodeOffset);
 
-      // Find position for key
-      let i = 0;
-      while (i < keyCount && getNodeHash(this._buffer, nodeOffset, i) < keyData.hash) {
-        i++;
+        i = 0;
+        let slotHash = -1;
+        while (i < keyCount && (slotHash = getNodeHash(this._buffer, nodeOffset, i)) < hash) {
+          i++;
+        }
+        if (i < keyCount && slotHash === hash) {
+          kvOffset = getNodeKvOffset(this._buffer, nodeOffset, i);
+          break;
+        }
+        if (!hasChildren(this._buffer, nodeOffset)) {
+          break;
+        }
+        parent = nodeOffset;
+        nodeOffset = getNodeChildOffset(this._buffer, nodeOffset, i);
       }
 
-      // Check if key exists
-      if (i < keyCount && getNodeHash(this._buffer, nodeOffset, i) === keyData.hash) {
-        return { nodeOffset, index: i, isNew: false };
+      if (kvOffset === -1 || keyEncoded === null || this._keyEquals(kvOffset, keyEncoded)) {
+        slot = { hash, nodeOffset, index: i, found: kvOffset !== -1, split };
+        break;
       }
+    }
 
-      // Check for children
-      if (hasChildren(this._buffer, nodeOffset)) {
-        parent = nodeOffset;
-        parentIndex = i;
-        nodeOffset = getNodeChildOffset(this._buffer, nodeOffset, i);
-        nodeWalks++;
+    let needed = nodes * (Node.SIZE + Node.ALIGNMENT) + extra;
+    if (kvOffset === -1 || fitsInPlace === null || !fitsInPlace(kvOffset)) {
+      needed += entrySize;
+    }
+    if (kvOffset === -1 && keyEncoded !== null && this._hasOrderIndex()) {
+      needed += KeyOrderIndex.RECORD_SIZE;
+    }
+    this._ensureSpace(needed);
+    return slot;
+  }
 
-        if (nodeWalks > Node.TREE_HEIGHT_MAX) {
-          throw new Lite3Error('Tree height exceeded maximum', ErrorCode.BAD_MESSAGE);
-        }
-      } else {
+  /**
+   * Find or insert a key at the slot _reserveInsert() found, so the tree
+   * is only walked again below the first node that has to be split
+   *
+   * @private
+   * @returns {{ nodeOffset: number, index: number, isNew: boolean }}
+   */
+  _insertReserved(rootOffset, slot, keyEncoded) {
+    if (slot === null) {
+      throw new Lite3Error('Too many colliding keys', ErrorCode.INVALID_ARGUMENT);
+    }
+    if (slot.found) {
+      return { nodeOffset: slot.nodeOffset, index: slot.index, isNew: false };
+    }
+    if (slot.split !== null) {
+      return this._findOrInsertHash(rootOffset, slot.hash, keyEncoded, slot.split);
+    }
+
+    const keyCount = getNodeKeyCount(this._buffer, slot.nodeOffset);
+    shiftNodeEntriesRight(this._buffer, slot.nodeOffset, slot.index, keyCount);
+    setNodeHash(this._buffer, slot.nodeOffset, slot.index, slot.hash);
+    setNodeKeyCount(this._buffer, slot.nodeOffset, keyCount + 1);
+    return { nodeOffset: slot.nodeOffset, index: slot.index, isNew: true };
+  }
+
+  /**
+   * Make room for inserting a key anywhere in the tree at rootOffset,
+   * assuming every node on the way down is full
+   *
+   * @private
+   * @throws {Lite3Error} ENOBUFS if the buffer cannot hold the splits
+   */
+  _reserveAnyInsert(rootOffset) {
+    const record = getNodeType(this._buffer, rootOffset) === Type.OBJECT && this._hasOrderIndex()
+      ? KeyOrderIndex.RECORD_SIZE
+      : 0;
+    let levels = 1;
+    let nodeOffset = rootOffset;
+    while (hasChildren(this._buffer, nodeOffset) && levels <= Node.TREE_HEIGHT_MAX) {
+      nodeOffset = getNodeChildOffset(this._buffer, nodeOffset, 0);
+      levels++;
+    }
+    this._ensureSpace((levels + 1) * (Node.SIZE + Node.ALIGNMENT) + record);
+  }
+
+  /**
+   * Find or insert key in B-tree
+   *
+   * Object keys are probed (see probeHash) past slots taken by a
+   * different key with the same hash, like the upstream C library.
+   * Array indices are used as hashes directly and never collide.
+   *
+   * @private
+   * @returns {{ nodeOffset: number, index: number, isNew: boolean }}
+   */
+  _findOrInsertKey(rootOffset, keyData, keyTagSize, keyEncoded) {
+    if (keyEncoded === null) {
+      return this._findOrInsertHash(rootOffset, keyData.hash, null);
+    }
+
+    for (let attempt = 0; attempt < HASH_PROBE_MAX; attempt++) {
+      const result = this._findOrInsertHash(rootOffset, probeHash(keyData.hash, attempt), keyEncoded);
+      if (result !== null) {
+        return result;
+      }
+    }
+
+    throw new Lite3Error('Too many colliding keys', ErrorCode.INVALID_ARGUMENT);
+  }
+
+  /**
+   * Find or insert a single hash slot in B-tree
+   *
+   * @private
+   * @param {{ nodeOffset: number, parent: number|null, parentIndex: number, depth: number }} [from]
+   *   Node on the path to start at; nothing above it may need a split
+   * @returns {{ nodeOffset: number, index: number, isNew: boolean } | null}
+   *   null if the slot holds a different key
+   */
+  _findOrInsertHash(rootOffset, hash, keyEncoded, from = null) {
+    let nodeOffset = from === null ? rootOffset : from.nodeOffset;
+    let parent = from === null ? null : from.parent;
+    let parentIndex = from === null ? 0 : from.parentIndex;
+    let nodeWalks = from === null ? 0 : from.depth;
+
+    while (true) {
+      // Check if node is full and needs split
+      if (getNodeKeyCount(this._buffer, nodeOffset) === Node.KEY_COUNT_MAX) {
+        this._splitNode(rootOffset, nodeOffset, parent, parentIndex);
+
+        // Re-navigate after split
+        if (parent === null) {
+          // Root was split, restart
+          nodeOffset = rootOffset;
+        } else {
+          // Check which child to follow
+          const separatorHash = getNodeHash(this._buffer, parent, parentIndex);
+          if (hash === separatorHash) {
+            // Our slot was the median and moved up into the parent
+            return this._matchSlot(parent, parentIndex, keyEncoded);
+          }
+          if (hash > separatorHash) {
+            nodeOffset = getNodeChildOffset(this._buffer, parent, parentIndex + 1);
+          }
+        }
+      }
+
+      const keyCount = getNodeKeyCount(this._buffer, nodeOffset);
+
+      // Find position for key
+      let i = 0;
+      while (i < keyCount && getNodeHash(this._buffer, nodeOffset, i) < hash) {
+        i++;
+      }
+
+      // Check if key exists
+      if (i < keyCount && getNodeHash(this._buffer, nodeOffset, i) === hash) {
+        return this._matchSlot(nodeOffset, i, keyEncoded);
+      }
+
+      // Check for children
+      if (hasChildren(this._buffer, nodeOffset)) {
+        parent = nodeOffset;
+        parentIndex = i;
+        nodeOffset = getNodeChildOffset(this._buffer, nodeOffset, i);
+        nodeWalks++;
+
+        if (nodeWalks > Node.TREE_HEIGHT_MAX) {
+          throw new Lite3Error('Tree height exceeded maximum', ErrorCode.BAD_MESSAGE);
+        }
+      } else {
         // Insert here
         shiftNodeEntriesRight(this._buffer, nodeOffset, i, keyCount);
-        setNodeHash(this._buffer, nodeOffset, i, keyData.hash);
+        setNodeHash(this._buffer, nodeOffset, i, hash);
         setNodeKeyCount(this._buffer, nodeOffset, keyCount + 1);
 
         return { nodeOffset, index: i, isNew: true };
@@ -645,12 +1716,29 @@ export class Lite3 {
     }
   }
 
+  /**
+   * Check whether an occupied slot holds the given key
+   *
+   * @private
+   * @returns {{ nodeOffset: number, index: number, isNew: boolean } | null}
+   */
+  _matchSlot(nodeOffset, index, keyEncoded) {
+    if (keyEncoded !== null &&
+        !this._keyEquals(getNodeKvOffset(this._buffer, nodeOffset, index), keyEncoded)) {
+      return null;
+    }
+    return { nodeOffset, index, isNew: false };
+  }
+
   /**
    * Split a full node
    *
    * @private
    */
   _splitNode(rootOffset, nodeOffset, parent, parentIndex) {
+    // Room for the sibling, plus the old root's new home for root splits
+    this._ensureSpace(Node.ALIGNMENT + Node.SIZE * (parent === null ? 2 : 1));
+
     const buflenAligned = alignOffset(this._buflen, Node.ALIGNMENT);
     this._buflen = buflenAligned;
 
@@ -683,512 +1771,4349 @@ export class Lite3 {
       setNodeChildOffset(this._buffer, rootOffset, 1, siblingOffset);
       setNodeKeyCount(this._buffer, rootOffset, 1);
 
-      // Copy right half to sibling
-      for (let j = 0; j < Node.KEY_COUNT_MIN; j++) {
-        setNodeHash(this._buffer, siblingOffset, j,
-          getNodeHash(this._buffer, newNodeOffset, j + Node.KEY_COUNT_MIN + 1));
-        setNodeKvOffset(this._buffer, siblingOffset, j,
-          getNodeKvOffset(this._buffer, newNodeOffset, j + Node.KEY_COUNT_MIN + 1));
-        setNodeChildOffset(this._buffer, siblingOffset, j,
-          getNodeChildOffset(this._buffer, newNodeOffset, j + Node.KEY_COUNT_MIN + 1));
-      }
-      setNodeChildOffset(this._buffer, siblingOffset, Node.KEY_COUNT_MIN,
-        getNodeChildOffset(this._buffer, newNodeOffset, Node.KEY_COUNT_MAX));
-      setNodeKeyCount(this._buffer, siblingOffset, Node.KEY_COUNT_MIN);
+      // Copy right half to sibling
+      for (let j = 0; j < Node.KEY_COUNT_MIN; j++) {
+        setNodeHash(this._buffer, siblingOffset, j,
+          getNodeHash(this._buffer, newNodeOffset, j + Node.KEY_COUNT_MIN + 1));
+        setNodeKvOffset(this._buffer, siblingOffset, j,
+          getNodeKvOffset(this._buffer, newNodeOffset, j + Node.KEY_COUNT_MIN + 1));
+        setNodeChildOffset(this._buffer, siblingOffset, j,
+          getNodeChildOffset(this._buffer, newNodeOffset, j + Node.KEY_COUNT_MIN + 1));
+      }
+      setNodeChildOffset(this._buffer, siblingOffset, Node.KEY_COUNT_MIN,
+        getNodeChildOffset(this._buffer, newNodeOffset, Node.KEY_COUNT_MAX));
+      setNodeKeyCount(this._buffer, siblingOffset, Node.KEY_COUNT_MIN);
+
+      // Update original node
+      setNodeKeyCount(this._buffer, newNodeOffset, Node.KEY_COUNT_MIN);
+
+      this._buflen = siblingOffset + Node.SIZE;
+    } else {
+      // Regular split
+      const siblingOffset = buflenAligned;
+
+      // Shift parent entries
+      const parentKeyCount = getNodeKeyCount(this._buffer, parent);
+      for (let j = parentKeyCount; j > parentIndex; j--) {
+        setNodeHash(this._buffer, parent, j, getNodeHash(this._buffer, parent, j - 1));
+        setNodeKvOffset(this._buffer, parent, j, getNodeKvOffset(this._buffer, parent, j - 1));
+        setNodeChildOffset(this._buffer, parent, j + 1, getNodeChildOffset(this._buffer, parent, j));
+      }
+
+      // Move median to parent
+      const medianHash = getNodeHash(this._buffer, nodeOffset, Node.KEY_COUNT_MIN);
+      const medianKvOfs = getNodeKvOffset(this._buffer, nodeOffset, Node.KEY_COUNT_MIN);
+      setNodeHash(this._buffer, parent, parentIndex, medianHash);
+      setNodeKvOffset(this._buffer, parent, parentIndex, medianKvOfs);
+      setNodeChildOffset(this._buffer, parent, parentIndex + 1, siblingOffset);
+      setNodeKeyCount(this._buffer, parent, parentKeyCount + 1);
+
+      // Create sibling
+      initNode(this._buffer, siblingOffset, getNodeType(this._buffer, nodeOffset));
+
+      // Copy right half to sibling
+      for (let j = 0; j < Node.KEY_COUNT_MIN; j++) {
+        setNodeHash(this._buffer, siblingOffset, j,
+          getNodeHash(this._buffer, nodeOffset, j + Node.KEY_COUNT_MIN + 1));
+        setNodeKvOffset(this._buffer, siblingOffset, j,
+          getNodeKvOffset(this._buffer, nodeOffset, j + Node.KEY_COUNT_MIN + 1));
+        setNodeChildOffset(this._buffer, siblingOffset, j,
+          getNodeChildOffset(this._buffer, nodeOffset, j + Node.KEY_COUNT_MIN + 1));
+      }
+      setNodeChildOffset(this._buffer, siblingOffset, Node.KEY_COUNT_MIN,
+        getNodeChildOffset(this._buffer, nodeOffset, Node.KEY_COUNT_MAX));
+      setNodeKeyCount(this._buffer, siblingOffset, Node.KEY_COUNT_MIN);
+
+      // Update original node
+      setNodeKeyCount(this._buffer, nodeOffset, Node.KEY_COUNT_MIN);
+
+      this._buflen = siblingOffset + Node.SIZE;
+    }
+  }
+
+  /**
+   * Write key entry
+   *
+   * @private
+   */
+  _writeKey(offset, tagSize, keySize, keyEncoded) {
+    const tagValue = ((keySize << KeyTag.KEY_SIZE_SHIFT) | (tagSize - 1)) >>> 0;
+    writeVarUint(this._buffer, offset, tagValue, tagSize);
+    copyBytes(this._buffer, offset + tagSize, keyEncoded, 0, keyEncoded.length);
+    this._buffer[offset + tagSize + keyEncoded.length] = 0; // Null terminator
+  }
+
+  /**
+   * Skip over key entry and return value offset
+   *
+   * @private
+   */
+  _skipKey(kvOffset) {
+    const tagByte = this._buffer[kvOffset];
+    const tagSize = (tagByte & KeyTag.SIZE_MASK) + 1;
+    const keySize = readVarUint(this._buffer, kvOffset, tagSize) >>> KeyTag.KEY_SIZE_SHIFT;
+    return kvOffset + tagSize + keySize;
+  }
+
+  /**
+   * Get size of value at offset
+   *
+   * @private
+   */
+  _getValueSize(valOffset) {
+    const type = this._buffer[valOffset];
+    const baseSize = TypeSizes[type] || 0;
+
+    if (type === Type.STRING || type === Type.BYTES) {
+      const dataLen = readUint32(this._buffer, valOffset + VAL_SIZE);
+      return VAL_SIZE + 4 + dataLen;
+    } else if (type === Type.OBJECT || type === Type.ARRAY) {
+      return Node.SIZE;
+    }
+
+    return VAL_SIZE + baseSize;
+  }
+
+  /**
+   * Get value at key
+   *
+   * @param {string} key - The key
+   * @param {number} [offset=0] - Parent object offset
+   * @returns {*} The value
+   */
+  get(key, offset = 0) {
+    this._checkInitialized();
+
+    const result = this._lookupKey(offset, key);
+
+    if (!result) {
+      return undefined;
+    }
+
+    const kvOffset = getNodeKvOffset(this._buffer, result.nodeOffset, result.index);
+    const valOffset = this._skipKey(kvOffset);
+
+    return this._readValue(valOffset);
+  }
+
+  /**
+   * Get value at array index
+   *
+   * @param {number} index - The index
+   * @param {number} [arrayOffset=0] - Array offset
+   * @returns {*} The value
+   */
+  getAt(index, arrayOffset = 0) {
+    this._checkInitialized();
+
+    const result = this._findKey(arrayOffset, index);
+
+    if (!result) {
+      return undefined;
+    }
+
+    const kvOffset = getNodeKvOffset(this._buffer, result.nodeOffset, result.index);
+    // For arrays, kvOffset points directly to value (no key)
+    return this._readValue(kvOffset);
+  }
+
+  /**
+   * Get type of value at key
+   *
+   * @param {string} key - The key
+   * @param {number} [offset=0] - Parent object offset
+   * @returns {number} Type of the value, Type.INVALID if not found
+   */
+  typeOf(key, offset = 0) {
+    this._checkInitialized();
+
+    const valOffset = this._childValueOffset(offset, key);
+    return valOffset === -1 ? Type.INVALID : this._buffer[valOffset];
+  }
+
+  /**
+   * Get type of value at array index
+   *
+   * @param {number} index - The index
+   * @param {number} [arrayOffset=0] - Array offset
+   * @returns {number} Type of the value, Type.INVALID if not found
+   */
+  typeAt(index, arrayOffset = 0) {
+    this._checkInitialized();
+
+    const valOffset = this._childValueOffset(arrayOffset, index);
+    return valOffset === -1 ? Type.INVALID : this._buffer[valOffset];
+  }
+
+  /**
+   * Get string value at key
+   *
+   * @param {string} key - The key
+   * @param {number} [offset=0] - Parent object offset
+   * @returns {string} The value
+   * @throws {Lite3Error} ENOENT if not found, EINVAL if not a string
+   */
+  getString(key, offset = 0) {
+    return this._readValue(this._getTyped(key, offset, Type.STRING));
+  }
+
+  /**
+   * Get 64-bit integer value at key
+   *
+   * @param {string} key - The key
+   * @param {number} [offset=0] - Parent object offset
+   * @returns {bigint} The value
+   * @throws {Lite3Error} ENOENT if not found, EINVAL if not an I64
+   */
+  getInt64(key, offset = 0) {
+    return readInt64(this._buffer, this._getTyped(key, offset, Type.I64) + VAL_SIZE);
+  }
+
+  /**
+   * Get 64-bit float value at key
+   *
+   * @param {string} key - The key
+   * @param {number} [offset=0] - Parent object offset
+   * @returns {number} The value
+   * @throws {Lite3Error} ENOENT if not found, EINVAL if not an F64
+   */
+  getFloat64(key, offset = 0) {
+    return this._readValue(this._getTyped(key, offset, Type.F64));
+  }
+
+  /**
+   * Get boolean value at key
+   *
+   * @param {string} key - The key
+   * @param {number} [offset=0] - Parent object offset
+   * @returns {boolean} The value
+   * @throws {Lite3Error} ENOENT if not found, EINVAL if not a boolean
+   */
+  getBool(key, offset = 0) {
+    return this._readValue(this._getTyped(key, offset, Type.BOOL));
+  }
+
+  /**
+   * Get bytes value at key
+   *
+   * @param {string} key - The key
+   * @param {number} [offset=0] - Parent object offset
+   * @returns {Uint8Array} Copy of the value
+   * @throws {Lite3Error} ENOENT if not found, EINVAL if not bytes
+   */
+  getBytes(key, offset = 0) {
+    return this._readValue(this._getTyped(key, offset, Type.BYTES));
+  }
+
+  /**
+   * Get bytes value at key without copying
+   * The view aliases the buffer: it sees later in-place writes and is
+   * detached from the document once the buffer grows.
+   *
+   * @param {string} key - The key
+   * @param {number} [offset=0] - Parent object offset
+   * @returns {Uint8Array} View of the value
+   * @throws {Lite3Error} ENOENT if not found, EINVAL if not bytes
+   */
+  getBytesView(key, offset = 0) {
+    const valOffset = this._getTyped(key, offset, Type.BYTES);
+    const len = readUint32(this._buffer, valOffset + VAL_SIZE);
+    return this._buffer.subarray(valOffset + VAL_SIZE + 4, valOffset + VAL_SIZE + 4 + len);
+  }
+
+  /**
+   * Get raw UTF-8 bytes of string at key without copying or decoding
+   * Same aliasing rules as getBytesView().
+   *
+   * @param {string} key - The key
+   * @param {number} [offset=0] - Parent object offset
+   * @returns {Uint8Array} View of the UTF-8 bytes (without null terminator)
+   * @throws {Lite3Error} ENOENT if not found, EINVAL if not a string
+   */
+  getStringBytes(key, offset = 0) {
+    const valOffset = this._getTyped(key, offset, Type.STRING);
+    // len includes null terminator
+    const len = readUint32(this._buffer, valOffset + VAL_SIZE) - 1;
+    return this._buffer.subarray(valOffset + VAL_SIZE + 4, valOffset + VAL_SIZE + 4 + len);
+  }
+
+  /**
+   * Get UTF-8 byte length of string at key without decoding
+   *
+   * @param {string} key - The key
+   * @param {number} [offset=0] - Parent object offset
+   * @returns {number} Byte length (without null terminator)
+   * @throws {Lite3Error} ENOENT if not found, EINVAL if not a string
+   */
+  stringByteLength(key, offset = 0) {
+    const valOffset = this._getTyped(key, offset, Type.STRING);
+    return readUint32(this._buffer, valOffset + VAL_SIZE) - 1;
+  }
+
+  /**
+   * Compare string at key with another string without decoding
+   * Order is by Unicode code point, like comparing UTF-8 bytes.
+   *
+   * @param {string} key - The key
+   * @param {string} other - String to compare with
+   * @param {number} [offset=0] - Parent object offset
+   * @returns {number} -1, 0 or 1 as the stored string sorts before, equal or after
+   * @throws {Lite3Error} ENOENT if not found, EINVAL if not a string
+   */
+  compareString(key, other, offset = 0) {
+    const valOffset = this._getTyped(key, offset, Type.STRING);
+    const len = readUint32(this._buffer, valOffset + VAL_SIZE) - 1;
+    const encoded = encodeString(other);
+    return compareBytes(this._buffer, valOffset + VAL_SIZE + 4, len, encoded, 0, encoded.length);
+  }
+
+  /**
+   * Get offset of nested object at key
+   *
+   * @param {string} key - The key
+   * @param {number} [offset=0] - Parent object offset
+   * @returns {number} Offset of the object, for use as offset argument
+   * @throws {Lite3Error} ENOENT if not found, EINVAL if not an object
+   */
+  getObjectOffset(key, offset = 0) {
+    return this._getTyped(key, offset, Type.OBJECT);
+  }
+
+  /**
+   * Get offset of nested array at key
+   *
+   * @param {string} key - The key
+   * @param {number} [offset=0] - Parent object offset
+   * @returns {number} Offset of the array, for use as arrayOffset argument
+   * @throws {Lite3Error} ENOENT if not found, EINVAL if not an array
+   */
+  getArrayOffset(key, offset = 0) {
+    return this._getTyped(key, offset, Type.ARRAY);
+  }
+
+  /**
+   * Find value at key and check its type
+   *
+   * @private
+   * @returns {number} Value offset
+   */
+  _getTyped(key, offset, type) {
+    this._checkInitialized();
+
+    const result = this._lookupKey(offset, key);
+    if (!result) {
+      throw new Lite3Error(`Key not found: ${key}`, ErrorCode.KEY_NOT_FOUND);
+    }
+
+    const valOffset = this._skipKey(getNodeKvOffset(this._buffer, result.nodeOffset, result.index));
+    const actual = this._buffer[valOffset];
+    if (actual !== type) {
+      const names = Object.keys(Type);
+      throw new Lite3Error(`Type mismatch for ${key}: expected ${names[type]}, got ${names[actual] ?? actual}`, ErrorCode.INVALID_ARGUMENT);
+    }
+
+    return valOffset;
+  }
+
+  /**
+   * Check if key exists
+   *
+   * @param {string} key - The key
+   * @param {number} [offset=0] - Parent object offset
+   * @returns {boolean} True if key exists
+   */
+  has(key, offset = 0) {
+    this._checkInitialized();
+
+    return this._lookupKey(offset, key) !== null;
+  }
+
+  /**
+   * Get value at path
+   *
+   * Paths are JSON Pointers ('/headers/user-agent'), dot/bracket strings
+   * ('items[3].price', 'headers["user-agent"]') or arrays of keys and indices.
+   *
+   * @param {string|Array<string|number>} path - The path
+   * @returns {*} The value or undefined if not found
+   */
+  getPath(path) {
+    this._checkInitialized();
+
+    const valOffset = this._resolvePath(this._toSegments(path));
+    return valOffset === -1 ? undefined : this._readValue(valOffset);
+  }
+
+  /**
+   * Check if path exists
+   *
+   * @param {string|Array<string|number>} path - The path
+   * @returns {boolean} True if path exists
+   */
+  hasPath(path) {
+    this._checkInitialized();
+
+    return this._resolvePath(this._toSegments(path)) !== -1;
+  }
+
+  /**
+   * Set value at path, creating missing intermediate containers
+   *
+   * A missing container is created as an array when the segment after it
+   * is a number (e.g. 'items[0]') and as an object otherwise. Array
+   * indices may equal the array size (or be '-') to append. If the value
+   * cannot be written, containers created on the way are removed again.
+   *
+   * @param {string|Array<string|number>} path - The path
+   * @param {*} value - The value
+   * @returns {Lite3} this instance for chaining
+   */
+  setPath(path, value) {
+    this._checkWritable();
+    this._checkInitialized();
+
+    const segments = this._toSegments(path);
+    if (segments.length === 0) {
+      throw new Lite3Error('Cannot set the root', ErrorCode.INVALID_ARGUMENT);
+    }
+
+    const last = segments.length - 1;
+    // Pin '-' to a concrete index so the appended container can be found again
+    const pin = (offset, segment) => (getNodeType(this._buffer, offset) === Type.ARRAY
+      ? this._toInsertIndex(offset, segment)
+      : segment);
+
+    let parentOffset = 0;
+    let i = 0;
+    for (; i < last; i++) {
+      const valOffset = this._childValueOffset(parentOffset, pin(parentOffset, segments[i]));
+      if (valOffset === -1) {
+        break;
+      }
+      if (this._buffer[valOffset] !== Type.OBJECT && this._buffer[valOffset] !== Type.ARRAY) {
+        throw new Lite3Error(`Not an object or array: ${segments.slice(0, i + 1).join('/')}`, ErrorCode.INVALID_ARGUMENT);
+      }
+      parentOffset = valOffset;
+    }
+
+    if (i === last) {
+      this._setChild(parentOffset, segments[last], value);
+      return this;
+    }
+
+    // Only pay for the snapshot when there are containers to roll back
+    this._atomically(() => {
+      for (; i < last; i++) {
+        const segment = pin(parentOffset, segments[i]);
+        this._setChild(parentOffset, segment, typeof segments[i + 1] === 'number' ? [] : {});
+        parentOffset = this._childValueOffset(parentOffset, segment);
+      }
+      this._setChild(parentOffset, segments[last], value);
+    });
+    return this;
+  }
+
+  /**
+   * Delete key from object
+   *
+   * @param {string} key - The key
+   * @param {number} [offset=0] - Parent object offset
+   * @returns {boolean} True if the key existed and was removed
+   */
+  delete(key, offset = 0) {
+    this._checkWritable();
+    this._checkInitialized();
+
+    return this._detachKey(offset, key) !== -1;
+  }
+
+  /**
+   * Delete element from array
+   * Following elements move down by one index, keeping the array dense.
+   *
+   * @param {number} index - The index
+   * @param {number} [arrayOffset=0] - Array offset
+   * @returns {boolean} True if the element existed and was removed
+   */
+  deleteAt(index, arrayOffset = 0) {
+    this._checkWritable();
+    this._checkInitialized();
+
+    return this._detachIndex(arrayOffset, index) !== -1;
+  }
+
+  /**
+   * Rename key within an object
+   * An existing newKey is replaced. Nested objects/arrays keep their
+   * entries and child nodes; only the key and the value's root are rewritten.
+   * The root moves to a new offset: writes through the old offset throw
+   * EINVAL, so re-read it with getObjectOffset()/getArrayOffset().
+   *
+   * @param {string} oldKey - Current key
+   * @param {string} newKey - New key
+   * @param {number} [offset=0] - Parent object offset
+   * @returns {Lite3} this instance for chaining
+   */
+  rename(oldKey, newKey, offset = 0) {
+    this._checkWritable();
+    this._checkInitialized();
+    this._checkLive(offset);
+
+    const result = this._lookupKey(offset, oldKey);
+    if (!result) {
+      throw new Lite3Error(`Key not found: ${oldKey}`, ErrorCode.KEY_NOT_FOUND);
+    }
+    if (oldKey === newKey) {
+      return this;
+    }
+
+    const valOffset = this._skipKey(getNodeKvOffset(this._buffer, result.nodeOffset, result.index));
+    const mark = this._buflen;
+    let kvOffset;
+    try {
+      kvOffset = this._writeEntry(newKey, valOffset, false);
+      // Detaching may merge nodes on the new key's path: make sure the
+      // attach cannot fail once the old key is gone
+      this._reserveAnyInsert(offset);
+    } catch (err) {
+      this._discardFrom(mark);
+      throw err;
+    }
+    this._detachKey(offset, oldKey);
+    this._attachKey(offset, newKey, kvOffset);
+    this._retireNode(valOffset);
+    this._trackContainer(this._skipKey(kvOffset), offset);
+    return this;
+  }
+
+  /**
+   * Move value from one location to another
+   *
+   * Paths take the same forms as getPath().
+   * Like a JSON Patch "move", the value is removed first and then added:
+   * an existing object key is replaced, an array index is inserted at.
+   * Entries are relinked where possible instead of being copied. A nested
+   * object/array moved under a different key gets a new root offset, and
+   * writes through the old one throw EINVAL.
+   *
+   * @param {string|Array<string|number>} srcPath - Location of the value
+   * @param {string|Array<string|number>} dstPath - Destination location
+   * @returns {Lite3} this instance for chaining
+   */
+  move(srcPath, dstPath) {
+    this._checkWritable();
+    this._checkInitialized();
+
+    const from = this._toSegments(srcPath);
+    const to = this._toSegments(dstPath);
+    if (from.length === 0 || to.length === 0) {
+      throw new Lite3Error('Cannot move the root', ErrorCode.INVALID_ARGUMENT);
+    }
+    if (from.length < to.length && from.every((seg, i) => String(seg) === String(to[i]))) {
+      throw new Lite3Error('Cannot move a value into itself', ErrorCode.INVALID_ARGUMENT);
+    }
+
+    const src = this._resolveParent(from);
+    // Leave room to put the value back if the destination does not fit
+    this._reserveAnyInsert(src.parentOffset);
+    const detached = this._detach(src.parentOffset, src.last);
+    const mark = this._buflen;
+    let dst;
+    let valOffset;
+
+    try {
+      dst = this._resolveParent(to);
+      valOffset = this._attach(dst.parentOffset, dst.last, detached, false);
+    } catch (err) {
+      if (err.code === ErrorCode.NO_BUFFER_SPACE) {
+        // Space runs out before anything is linked in: drop the new entry
+        this._discardFrom(mark);
+      }
+      // Put the value back where it came from
+      this._attach(src.parentOffset, src.last, detached, false);
+      throw err;
+    }
+    if (valOffset !== detached.valOffset) {
+      this._retireNode(detached.valOffset);
+    }
+    this._trackSubtree(valOffset, dst.parentOffset);
+
+    return this;
+  }
+
+  /**
+   * Copy value from one location to another
+   * Same path rules as move(); nested objects/arrays are deep copied.
+   *
+   * @param {string|Array<string|number>} srcPath - Location of the value
+   * @param {string|Array<string|number>} dstPath - Destination location
+   * @returns {Lite3} this instance for chaining
+   */
+  copy(srcPath, dstPath) {
+    this._checkWritable();
+    this._checkInitialized();
+
+    const from = this._toSegments(srcPath);
+    const to = this._toSegments(dstPath);
+    if (from.length === 0 || to.length === 0) {
+      throw new Lite3Error('Cannot copy the root', ErrorCode.INVALID_ARGUMENT);
+    }
+
+    const src = this._resolveParent(from);
+    const valOffset = this._childValueOffset(src.parentOffset, src.last);
+    if (valOffset === -1) {
+      throw new Lite3Error(`Path not found: ${from.join('/')}`, ErrorCode.KEY_NOT_FOUND);
+    }
+
+    const dst = this._resolveParent(to);
+    const copyOffset = this._attach(dst.parentOffset, dst.last, { valOffset, kvOffset: -1, key: null }, true);
+    this._trackSubtree(copyOffset, dst.parentOffset);
+    return this;
+  }
+
+  /**
+   * Deep-merge a plain object into an existing object
+   * Nested plain objects are merged into existing nested objects;
+   * anything else (including arrays) replaces the current value. Like
+   * applyPatch(), the merge is atomic.
+   *
+   * @param {number} offset - Target object offset
+   * @param {Object} obj - Plain object to merge in
+   * @returns {Lite3} this instance for chaining
+   */
+  merge(offset, obj) {
+    this._checkWritable();
+    this._checkInitialized();
+
+    if (!this._isPlainObject(obj)) {
+      throw new Lite3Error('merge() expects a plain object', ErrorCode.INVALID_ARGUMENT);
+    }
+    if (getNodeType(this._buffer, offset) !== Type.OBJECT) {
+      throw new Lite3Error('merge() target must be an object', ErrorCode.INVALID_ARGUMENT);
+    }
+
+    this._atomically(() => this._mergeInto(offset, obj));
+    return this;
+  }
+
+  /**
+   * Implementation for merge()
+   *
+   * @private
+   */
+  _mergeInto(offset, obj) {
+    for (const [key, value] of Object.entries(obj)) {
+      const childOffset = this._isPlainObject(value) ? this._childValueOffset(offset, key) : -1;
+
+      if (childOffset !== -1 && this._buffer[childOffset] === Type.OBJECT) {
+        this._mergeInto(childOffset, value);
+      } else {
+        this.set(key, value, offset);
+      }
+    }
+  }
+
+  /**
+   * Apply a JSON Patch (RFC 6902) in place
+   *
+   * Supports add, remove, replace, move, copy and test. The patch is
+   * atomic: if any operation fails (including a failed test) the buffer
+   * is restored and the error rethrown.
+   *
+   * @param {Array<Object>} ops - Patch operations
+   * @returns {Lite3} this instance for chaining
+   */
+  applyPatch(ops) {
+    this._checkWritable();
+    this._checkInitialized();
+
+    if (!Array.isArray(ops)) {
+      throw new Lite3Error('Patch must be an array of operations', ErrorCode.INVALID_ARGUMENT);
+    }
+
+    this._atomically(() => {
+      for (const op of ops) {
+        this._applyPatchOp(op);
+      }
+    });
+
+    return this;
+  }
+
+  /**
+   * Apply a JSON Merge Patch (RFC 7396) in place
+   *
+   * Objects in the patch are merged into existing nested objects, null
+   * removes a key, and anything else (including arrays) replaces the
+   * current value. A patch that is not an object replaces the document.
+   * Like applyPatch(), the patch is atomic.
+   *
+   * @param {Object|Array|Lite3} patch - Merge patch
+   * @returns {Lite3} this instance for chaining
+   */
+  mergePatch(patch) {
+    this._checkWritable();
+    this._checkInitialized();
+
+    if (patch instanceof Lite3) {
+      patch = patch.toJSON();
+    }
+
+    this._atomically(() => {
+      if (!this._isPlainObject(patch)) {
+        this._replaceRoot(patch);
+      } else {
+        if (getNodeType(this._buffer, 0) !== Type.OBJECT) {
+          this._replaceRoot({});
+        }
+        this._mergePatchInto(0, patch);
+      }
+    });
+
+    return this;
+  }
+
+  /**
+   * Run fn, restoring the buffer if it throws
+   * Writes only append or modify bytes below length, so saving the used
+   * part of the buffer is enough to roll back.
+   *
+   * @private
+   */
+  _atomically(fn) {
+    const length = this._buflen;
+    const snapshot = this._buffer.slice(0, length);
+    const depthCache = this._depthCache && {
+      depths: new Map(this._depthCache.depths),
+      truncated: this._depthCache.truncated,
+    };
+
+    try {
+      fn();
+    } catch (err) {
+      this._buffer.set(snapshot);
+      this._buflen = length;
+      this._depthCache = depthCache;
+      this._orderCache = null;
+      throw err;
+    }
+  }
+
+  /**
+   * Rewrite reachable nodes and values into a tight buffer
+   *
+   * Overwritten values, removed entries and replaced nodes are dropped and
+   * all offsets are fixed up. Offsets previously returned by setObject(),
+   * setArray() etc. are invalid afterwards.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.shrink=false] - Reduce capacity to the new length
+   *   (ignored when the document is not growable)
+   * @returns {number} Number of bytes reclaimed
+   */
+  compact({ shrink = false } = {}) {
+    this._checkWritable();
+    this._checkInitialized();
+
+    const dst = new Lite3(shrink ? this._buflen : this._buffer.length);
+    dst._buflen = Node.SIZE;
+    dst._cloneOffsets = this._depthCache && new Map([[0, 0]]);
+    if (this._hasOrderIndex()) {
+      dst._initRoot(Type.OBJECT, true);
+    }
+    dst._cloneNode(this, 0, 0);
+    if (getNodeType(this._buffer, 0) === Type.OBJECT) {
+      dst._copyInsertionOrder(this, 0, 0);
+    }
+    incrementGeneration(dst._buffer, 0);
+
+    const reclaimed = this._buflen - dst._buflen;
+    if (this._growable) {
+      this._buffer = shrink ? dst._buffer.slice(0, dst._buflen) : dst._buffer;
+    } else {
+      // Keep aliasing a wrapped fixed-size buffer
+      this._buffer.set(dst._buffer.subarray(0, dst._buflen));
+    }
+    this._buflen = dst._buflen;
+    if (this._depthCache) {
+      // Carry depths over to the new offsets; dead containers drop out
+      const depths = new Map();
+      for (const [offset, depth] of this._depthCache.depths) {
+        const newOffset = dst._cloneOffsets.get(offset);
+        if (newOffset !== undefined) {
+          depths.set(newOffset, depth);
+        }
+      }
+      this._depthCache = { depths, truncated: this._depthCache.truncated };
+    }
+    this._orderCache = null;
+    return reclaimed;
+  }
+
+  /**
+   * Report buffer usage without materializing values
+   *
+   * Live bytes are the nodes, keys and values reachable from the root;
+   * everything else up to length is dead (including alignment padding).
+   * bytesByType counts value bytes per Type, with B-tree nodes counted
+   * under OBJECT/ARRAY. keyTagSizes counts object keys per key tag size.
+   *
+   * @returns {Object} Statistics
+   */
+  stats() {
+    this._checkInitialized();
+
+    const stats = {
+      length: this._buflen,
+      capacity: this._buffer.length,
+      unusedCapacity: this._buffer.length - this._buflen,
+      liveBytes: 0,
+      deadBytes: 0,
+      keyBytes: 0,
+      nodeCount: 0,
+      keyTagSizes: { 1: 0, 2: 0, 3: 0, 4: 0 },
+      bytesByType: {},
+      containers: [],
+    };
+    for (const type of Object.values(Type)) {
+      if (type !== Type.INVALID) {
+        stats.bytesByType[type] = 0;
+      }
+    }
+
+    this._collectStats(0, stats);
+    stats.deadBytes = this._buflen - stats.liveBytes;
+    return stats;
+  }
+
+  /**
+   * Get the size of the object/array at offset
+   *
+   * @param {number} [offset=0] - Object/array offset
+   * @returns {number} Number of entries
+   */
+  size(offset = 0) {
+    this._checkInitialized();
+    return getNodeSize(this._buffer, offset);
+  }
+
+  /**
+   * Find key in B-tree
+   *
+   * @private
+   * @returns {{ nodeOffset: number, index: number } | null}
+   */
+  _findKey(rootOffset, hash) {
+    let nodeOffset = rootOffset;
+    let nodeWalks = 0;
+
+    while (true) {
+      const keyCount = getNodeKeyCount(this._buffer, nodeOffset);
+
+      let i = 0;
+      while (i < keyCount && getNodeHash(this._buffer, nodeOffset, i) < hash) {
+        i++;
+      }
+
+      if (i < keyCount && getNodeHash(this._buffer, nodeOffset, i) === hash) {
+        return { nodeOffset, index: i };
+      }
+
+      if (hasChildren(this._buffer, nodeOffset)) {
+        nodeOffset = getNodeChildOffset(this._buffer, nodeOffset, i);
+        nodeWalks++;
+
+        if (nodeWalks > Node.TREE_HEIGHT_MAX) {
+          throw new Lite3Error('Tree height exceeded maximum', ErrorCode.BAD_MESSAGE);
+        }
+      } else {
+        return null;
+      }
+    }
+  }
+
+  /**
+   * Find object key in B-tree, following its probe sequence
+   *
+   * Probing stops at the first free slot, so deletions must keep every
+   * probe chain unbroken (see _repairProbeChains).
+   *
+   * @private
+   * @returns {{ nodeOffset: number, index: number } | null}
+   */
+  _lookupKey(rootOffset, key) {
+    const keyData = getKeyData(key);
+    const keyEncoded = encodeString(key);
+
+    for (let attempt = 0; attempt < HASH_PROBE_MAX; attempt++) {
+      const result = this._findKey(rootOffset, probeHash(keyData.hash, attempt));
+      if (!result) {
+        return null;
+      }
+      if (this._keyEquals(getNodeKvOffset(this._buffer, result.nodeOffset, result.index), keyEncoded)) {
+        return result;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Compare stored key bytes at kv offset with an encoded key
+   *
+   * @private
+   */
+  _keyEquals(kvOffset, keyEncoded) {
+    const tagByte = this._buffer[kvOffset];
+    const tagSize = (tagByte & KeyTag.SIZE_MASK) + 1;
+    const keySize = readVarUint(this._buffer, kvOffset, tagSize) >>> KeyTag.KEY_SIZE_SHIFT;
+    // keySize includes null terminator
+    if (keySize - 1 !== keyEncoded.length) {
+      return false;
+    }
+
+    const start = kvOffset + tagSize;
+    for (let i = 0; i < keyEncoded.length; i++) {
+      if (this._buffer[start + i] !== keyEncoded[i]) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Re-seat probed keys whose probe sequence passed through a freed slot
+   *
+   * A key with base hash h stored at probe attempt q relies on the slots
+   * h + j^2 (j < q) being occupied. A freed slot is one of those only for
+   * the bases freed - a^2, so each of their chains is followed until it
+   * reaches an empty slot, looking for a key of that base stored past the
+   * hole. Only keys found there are decoded. Moving one into the hole
+   * restores every chain through it, but frees that key's old slot, which
+   * is repaired next.
+   *
+   * @private
+   */
+  _repairProbeChains(rootOffset, freedHash) {
+    let hole = freedHash;
+
+    while (hole !== -1) {
+      const freed = hole;
+      hole = -1;
+
+      // Chains reach the hole through slots below it; collect those once
+      const below = new Set();
+      const min = freed - (HASH_PROBE_MAX - 2) * (HASH_PROBE_MAX - 2);
+      if (min < 0) {
+        this._collectHashRange(rootOffset, min + 0x100000000, 0xFFFFFFFF, below);
+        this._collectHashRange(rootOffset, 0, freed, below);
+      } else {
+        this._collectHashRange(rootOffset, min, freed, below);
+      }
+
+      for (let a = 0; a < HASH_PROBE_MAX - 1 && hole === -1; a++) {
+        const base = (freed - a * a) >>> 0;
+
+        for (let j = 0; j < HASH_PROBE_MAX; j++) {
+          if (j === a) {
+            continue;
+          }
+          const hash = probeHash(base, j);
+          if (j < a) {
+            if (!below.has(hash)) {
+              // The chain ends before the hole
+              break;
+            }
+            continue;
+          }
+
+          const found = this._findKey(rootOffset, hash);
+          if (found === null) {
+            break;
+          }
+          const kvOffset = getNodeKvOffset(this._buffer, found.nodeOffset, found.index);
+          const key = this._readKey(kvOffset);
+          const keyData = getKeyData(key);
+          if (keyData.hash !== base) {
+            continue;
+          }
+
+          // Moving this key fills the hole; its old slot becomes the next hole
+          this._reserveAnyInsert(rootOffset);
+          this._removeKey(rootOffset, hash);
+          const result = this._findOrInsertKey(rootOffset, keyData, 0, encodeString(key));
+          setNodeKvOffset(this._buffer, result.nodeOffset, result.index, kvOffset);
+          this._rehashInsertion(rootOffset, hash, getNodeHash(this._buffer, result.nodeOffset, result.index));
+          hole = hash;
+          break;
+        }
+      }
+    }
+  }
+
+  /**
+   * Collect the hashes of entries with min <= hash <= max
+   *
+   * @private
+   */
+  _collectHashRange(nodeOffset, min, max, out) {
+    const keyCount = getNodeKeyCount(this._buffer, nodeOffset);
+    const isLeaf = !hasChildren(this._buffer, nodeOffset);
+
+    for (let i = 0; i <= keyCount; i++) {
+      const hash = i < keyCount ? getNodeHash(this._buffer, nodeOffset, i) : Infinity;
+
+      if (!isLeaf && hash > min) {
+        this._collectHashRange(getNodeChildOffset(this._buffer, nodeOffset, i), min, max, out);
+      }
+      if (hash > max) {
+        break;
+      }
+      if (hash >= min) {
+        out.add(hash);
+      }
+    }
+  }
+
+  /**
+   * Remove key from object, keeping its entry bytes in place
+   *
+   * @private
+   * @returns {number} kv_ofs of the removed entry, or -1 if not found
+   */
+  _detachKey(offset, key) {
+    this._checkLive(offset);
+    const result = this._lookupKey(offset, key);
+    if (!result) {
+      return -1;
+    }
+
+    incrementGeneration(this._buffer, 0);
+    const hash = getNodeHash(this._buffer, result.nodeOffset, result.index);
+    const kvOffset = this._removeKey(offset, hash);
+    this._repairProbeChains(offset, hash);
+    decrementNodeSize(this._buffer, offset);
+    return kvOffset;
+  }
+
+  /**
+   * Remove element from array, keeping its value bytes in place
+   *
+   * @private
+   * @returns {number} Offset of the removed value, or -1 if not found
+   */
+  _detachIndex(arrayOffset, index) {
+    this._checkLive(arrayOffset);
+    if (!this._findKey(arrayOffset, index)) {
+      return -1;
+    }
+
+    incrementGeneration(this._buffer, 0);
+    const valOffset = this._removeKey(arrayOffset, index);
+    this._shiftArrayIndices(arrayOffset, index + 1, -1);
+    decrementNodeSize(this._buffer, arrayOffset);
+    return valOffset;
+  }
+
+  /**
+   * Link an existing key entry into an object, replacing any current value
+   *
+   * @private
+   */
+  _attachKey(offset, key, kvOffset) {
+    const keyData = getKeyData(key);
+    const keyEncoded = encodeString(key);
+
+    const slot = this._reserveInsert(offset, keyData, keyEncoded, 0);
+    incrementGeneration(this._buffer, 0);
+
+    const result = this._insertReserved(offset, slot, keyEncoded);
+    setNodeKvOffset(this._buffer, result.nodeOffset, result.index, kvOffset);
+    if (result.isNew) {
+      incrementNodeSize(this._buffer, offset);
+      this._recordInsertion(offset, result);
+    }
+  }
+
+  /**
+   * Link an existing value into an array at index, shifting later elements up
+   *
+   * @private
+   */
+  _attachIndex(arrayOffset, index, valOffset) {
+    this._checkArrayIndex(index, getNodeSize(this._buffer, arrayOffset));
+
+    this._reserveAnyInsert(arrayOffset);
+    incrementGeneration(this._buffer, 0);
+
+    this._shiftArrayIndices(arrayOffset, index, 1);
+    const result = this._findOrInsertKey(arrayOffset, { hash: index, size: 0 }, 0, null);
+    setNodeKvOffset(this._buffer, result.nodeOffset, result.index, valOffset);
+    incrementNodeSize(this._buffer, arrayOffset);
+  }
+
+  /**
+   * Remove child of a container for re-attaching elsewhere
+   *
+   * @private
+   * @returns {{ valOffset: number, kvOffset: number, key: string|null }}
+   */
+  _detach(parentOffset, segment) {
+    if (getNodeType(this._buffer, parentOffset) === Type.ARRAY) {
+      const valOffset = this._detachIndex(parentOffset, this._toArrayIndex(segment));
+      if (valOffset === -1) {
+        throw new Lite3Error(`Index not found: ${segment}`, ErrorCode.KEY_NOT_FOUND);
+      }
+      return { valOffset, kvOffset: -1, key: null };
+    }
+
+    const key = String(segment);
+    const kvOffset = this._detachKey(parentOffset, key);
+    if (kvOffset === -1) {
+      throw new Lite3Error(`Key not found: ${key}`, ErrorCode.KEY_NOT_FOUND);
+    }
+    return { valOffset: this._skipKey(kvOffset), kvOffset, key };
+  }
+
+  /**
+   * Attach a value as child of a container
+   * Reuses the detached key entry when the key is unchanged; otherwise a
+   * new entry is written. With deep=true the value is copied entirely.
+   *
+   * @private
+   * @returns {number} Offset of the attached value
+   */
+  _attach(parentOffset, segment, detached, deep) {
+    if (getNodeType(this._buffer, parentOffset) === Type.ARRAY) {
+      const index = this._toCheckedInsertIndex(parentOffset, segment);
+      const valOffset = deep
+        ? this._appendValueCopy(this, detached.valOffset, 0, null, true)
+        : detached.valOffset;
+      this._attachIndex(parentOffset, index, valOffset);
+      return valOffset;
+    }
+
+    const key = String(segment);
+    const kvOffset = !deep && detached.key === key
+      ? detached.kvOffset
+      : this._writeEntry(key, detached.valOffset, deep);
+    this._attachKey(parentOffset, key, kvOffset);
+    return this._skipKey(kvOffset);
+  }
+
+  /**
+   * Mark the old root of a relocated object/array as dead
+   * Its child nodes are shared with the new copy, so a write through the
+   * old offset would be lost or corrupt the live value.
+   *
+   * @private
+   */
+  _retireNode(valOffset) {
+    const type = this._buffer[valOffset];
+    if (type === Type.OBJECT || type === Type.ARRAY) {
+      this._buffer[valOffset] = Type.INVALID;
+    }
+  }
+
+  /**
+   * Check that a container offset was not retired by rename() or move()
+   *
+   * @private
+   */
+  _checkLive(offset) {
+    if (this._buffer[offset] === Type.INVALID) {
+      throw new Lite3Error(`Stale offset ${offset}: the object/array was moved`, ErrorCode.INVALID_ARGUMENT);
+    }
+  }
+
+  /**
+   * Normalize a path argument to an array of segments
+   *
+   * @private
+   */
+  _toSegments(path) {
+    if (Array.isArray(path)) {
+      return path;
+    }
+    if (typeof path !== 'string') {
+      throw new Lite3Error('Path must be a string or an array of keys and indices', ErrorCode.INVALID_ARGUMENT);
+    }
+    if (path === '' || path[0] === '/') {
+      return this._parsePointer(path);
+    }
+    return this._parseDotPath(path);
+  }
+
+  /**
+   * Parse JSON Pointer (RFC 6901) into segments
+   *
+   * @private
+   */
+  _parsePointer(path) {
+    if (path === '') {
+      return [];
+    }
+
+    return path.slice(1).split('/').map((segment) => {
+      if (/~(?![01])/.test(segment)) {
+        throw new Lite3Error(`Invalid JSON Pointer: ${path}`, ErrorCode.INVALID_ARGUMENT);
+      }
+      return segment.replace(/~1/g, '/').replace(/~0/g, '~');
+    });
+  }
+
+  /**
+   * Parse dot/bracket path into segments
+   * Bracketed numbers become number segments, bracketed quoted strings
+   * become keys (so keys may contain dots).
+   *
+   * @private
+   */
+  _parseDotPath(path) {
+    const segments = [];
+    const invalid = () => new Lite3Error(`Invalid path: ${path}`, ErrorCode.INVALID_ARGUMENT);
+    let i = 0;
+
+    while (i < path.length) {
+      if (path[i] === '[') {
+        const quote = path[i + 1];
+        if (quote === '"' || quote === "'") {
+          let key = '';
+          i += 2;
+          while (i < path.length && path[i] !== quote) {
+            if (path[i] === '\\') {
+              i++;
+            }
+            key += path[i++];
+          }
+          if (i >= path.length || path[i + 1] !== ']') {
+            throw invalid();
+          }
+          segments.push(key);
+          i += 2;
+        } else {
+          const end = path.indexOf(']', i);
+          const digits = end === -1 ? '' : path.slice(i + 1, end);
+          if (!/^(0|[1-9][0-9]*)$/.test(digits)) {
+            throw invalid();
+          }
+          segments.push(Number(digits));
+          i = end + 1;
+        }
+      } else {
+        let end = i;
+        while (end < path.length && path[end] !== '.' && path[end] !== '[') {
+          end++;
+        }
+        if (end === i) {
+          throw invalid();
+        }
+        segments.push(path.slice(i, end));
+        i = end;
+      }
+
+      if (i < path.length && path[i] === '.') {
+        i++;
+        if (i === path.length) {
+          throw invalid();
+        }
+      } else if (i < path.length && path[i] !== '[') {
+        throw invalid();
+      }
+    }
+
+    return segments;
+  }
+
+  /**
+   * Walk all path segments
+   *
+   * @private
+   * @returns {number} Value offset (0 for the root), or -1 if not found
+   */
+  _resolvePath(segments) {
+    let valOffset = 0;
+
+    for (const segment of segments) {
+      const type = this._buffer[valOffset];
+      if (type !== Type.OBJECT && type !== Type.ARRAY) {
+        return -1;
+      }
+      valOffset = this._childValueOffset(valOffset, segment);
+      if (valOffset === -1) {
+        return -1;
+      }
+    }
+
+    return valOffset;
+  }
+
+  /**
+   * Set child of a container by path segment
+   *
+   * @private
+   */
+  _setChild(parentOffset, segment, value) {
+    if (getNodeType(this._buffer, parentOffset) === Type.ARRAY) {
+      this.setAt(this._toInsertIndex(parentOffset, segment), value, parentOffset);
+    } else {
+      this.set(String(segment), value, parentOffset);
+    }
+  }
+
+  /**
+   * Apply a single JSON Patch operation
+   *
+   * @private
+   */
+  _applyPatchOp(op) {
+    if (typeof op !== 'object' || op === null) {
+      throw new Lite3Error('Patch operation must be an object', ErrorCode.INVALID_ARGUMENT);
+    }
+
+    const path = this._patchPointer(op, 'path');
+
+    switch (op.op) {
+      case 'add':
+      case 'replace': {
+        if (!('value' in op)) {
+          throw new Lite3Error(`Missing value for ${op.op} at ${op.path}`, ErrorCode.INVALID_ARGUMENT);
+        }
+        if (path.length === 0) {
+          this._replaceRoot(op.value);
+          break;
+        }
+
+        const { parentOffset, last } = this._resolveParent(path);
+        if (op.op === 'replace') {
+          if (this._childValueOffset(parentOffset, last) === -1) {
+            throw new Lite3Error(`Path not found: ${op.path}`, ErrorCode.KEY_NOT_FOUND);
+          }
+          this._setChild(parentOffset, last, op.value);
+        } else if (getNodeType(this._buffer, parentOffset) === Type.ARRAY) {
+          this.insertAt(this._toCheckedInsertIndex(parentOffset, last), op.value, parentOffset);
+        } else {
+          this.set(last, op.value, parentOffset);
+        }
+        break;
+      }
+      case 'remove': {
+        if (path.length === 0) {
+          throw new Lite3Error('Cannot remove the root', ErrorCode.INVALID_ARGUMENT);
+        }
+        const { parentOffset, last } = this._resolveParent(path);
+        this._detach(parentOffset, last);
+        break;
+      }
+      case 'move':
+        this.move(this._patchPointer(op, 'from'), path);
+        break;
+      case 'copy':
+        this.copy(this._patchPointer(op, 'from'), path);
+        break;
+      case 'test': {
+        const valOffset = this._resolvePath(path);
+        if (valOffset === -1) {
+          throw new Lite3Error(`Path not found: ${op.path}`, ErrorCode.KEY_NOT_FOUND);
+        }
+        if (!this._valueEquals(this._readValue(valOffset), op.value)) {
+          throw new Lite3Error(`Test failed at ${op.path}`, ErrorCode.INVALID_ARGUMENT);
+        }
+        break;
+      }
+      default:
+        throw new Lite3Error(`Unknown patch operation: ${op.op}`, ErrorCode.INVALID_ARGUMENT);
+    }
+  }
+
+  /**
+   * Read a JSON Pointer member of a patch operation
+   *
+   * @private
+   */
+  _patchPointer(op, member) {
+    const pointer = op[member];
+    if (typeof pointer !== 'string' || (pointer !== '' && pointer[0] !== '/')) {
+      throw new Lite3Error(`Invalid ${member} for ${op.op}: ${pointer}`, ErrorCode.INVALID_ARGUMENT);
+    }
+    return this._parsePointer(pointer);
+  }
+
+  /**
+   * Replace the whole document, keeping the buffer and generation count
+   *
+   * @private
+   */
+  _replaceRoot(data) {
+    if (typeof data !== 'object' || data === null || data instanceof Uint8Array) {
+      throw new Lite3Error('Root must be object or array', ErrorCode.INVALID_ARGUMENT);
+    }
+
+    // Keep the side-index of a buffer written with keyOrder 'insertion',
+    // which is only detectable before the old contents are dropped
+    const indexed = this._keyOrder === 'insertion' || this._hasOrderIndex();
+
+    // Check the whole value and make room for it first, so a failed
+    // replace keeps the old document
+    const size = (indexed ? KeyOrderIndex.HEADER_SIZE : 0) + this._estimateContainer(data, indexed) + RESERVE_SLACK;
+    this._ensureSpace(size - this._buflen);
+
+    const gen = getNodeGeneration(this._buffer, 0);
+    this._buflen = 0;
+    this._load(data, indexed);
+    setNodeGeneration(this._buffer, 0, (gen + 1) & 0xFFFFFF);
+  }
+
+  /**
+   * Compare two decoded values by JSON semantics
+   * Integers compare equal across number and bigint.
+   *
+   * @private
+   */
+  _valueEquals(a, b) {
+    const isNumeric = (v) => typeof v === 'number' || typeof v === 'bigint';
+    if (isNumeric(a) && isNumeric(b)) {
+      // Loose equality compares bigint and number by value
+      return a == b;
+    }
+
+    if (a instanceof Uint8Array || b instanceof Uint8Array) {
+      return a instanceof Uint8Array && b instanceof Uint8Array &&
+        a.length === b.length && a.every((byte, i) => byte === b[i]);
+    }
+
+    if (Array.isArray(a) || Array.isArray(b)) {
+      return Array.isArray(a) && Array.isArray(b) &&
+        a.length === b.length && a.every((item, i) => this._valueEquals(item, b[i]));
+    }
+
+    if (typeof a === 'object' && typeof b === 'object' && a !== null && b !== null) {
+      const keys = Object.keys(a);
+      return keys.length === Object.keys(b).length &&
+        keys.every((key) => Object.hasOwn(b, key) && this._valueEquals(a[key], b[key]));
+    }
+
+    return a === b;
+  }
+
+  /**
+   * Merge patch object into the object at offset
+   *
+   * @private
+   */
+  _mergePatchInto(offset, patch) {
+    for (const [key, value] of Object.entries(patch)) {
+      if (value === null) {
+        this.delete(key, offset);
+      } else if (this._isPlainObject(value)) {
+        let childOffset = this._childValueOffset(offset, key);
+        if (childOffset === -1 || this._buffer[childOffset] !== Type.OBJECT) {
+          childOffset = this.setObject(key, offset);
+        }
+        this._mergePatchInto(childOffset, value);
+      } else {
+        this.set(key, value, offset);
+      }
+    }
+  }
+
+  /**
+   * Check for plain object (not null, array or bytes)
+   *
+   * @private
+   */
+  _isPlainObject(value) {
+    return typeof value === 'object' && value !== null &&
+      !Array.isArray(value) && !(value instanceof Uint8Array);
+  }
+
+  /**
+   * Create (or reuse) the asObject() proxy for a container
+   *
+   * Offsets move on compact(), rename(), move() and when a container is
+   * replaced, so the proxy keeps its path from the root and looks it up
+   * again whenever the document generation changed since the last access.
+   *
+   * @private
+   * @param {Array<string|number>} path - Segments from the root
+   * @param {number} offset - Current object/array offset
+   * @param {Map<string, Proxy>} cache - Proxies by path
+   */
+  _proxyFor(path, offset, cache) {
+    const cacheKey = JSON.stringify(path);
+    let proxy = cache.get(cacheKey);
+    if (proxy) {
+      return proxy;
+    }
+
+    const isArray = getNodeType(this._buffer, offset) === Type.ARRAY;
+    let generation = getNodeGeneration(this._buffer, 0);
+    const resolve = () => {
+      if (getNodeGeneration(this._buffer, 0) !== generation) {
+        offset = this._resolveProxyPath(path, isArray ? Type.ARRAY : Type.OBJECT);
+        generation = getNodeGeneration(this._buffer, 0);
+      }
+      return offset;
+    };
+    const toSegment = (prop) => {
+      if (typeof prop === 'symbol') {
+        return null;
+      }
+      if (!isArray) {
+        return prop;
+      }
+      const index = this._toArrayIndex(prop);
+      return index === -1 ? null : index;
+    };
+    const read = (segment, valOffset) => {
+      const type = this._buffer[valOffset];
+      return type === Type.OBJECT || type === Type.ARRAY
+        ? this._proxyFor([...path, segment], valOffset, cache)
+        : this._readValue(valOffset);
+    };
+    const childOffset = (segment) => (segment === null ? -1 : this._childValueOffset(resolve(), segment));
+    const toJSON = () => this._readValue(resolve());
+
+    proxy = new Proxy(isArray ? [] : {}, {
+      get: (target, prop) => {
+        const segment = toSegment(prop);
+        const valOffset = childOffset(segment);
+        if (valOffset !== -1) {
+          return read(segment, valOffset);
+        }
+        if (isArray && prop === 'length') {
+          return getNodeSize(this._buffer, resolve());
+        }
+        if (prop === 'toJSON') {
+          return toJSON;
+        }
+        return isArray ? Reflect.get(target, prop) : undefined;
+      },
+
+      set: (target, prop, value) => {
+        if (!isArray) {
+          this.set(prop, value, resolve());
+        } else if (prop === 'length') {
+          this._truncateArray(resolve(), value);
+        } else {
+          this.setAt(this._toArrayIndex(prop), value, resolve());
+        }
+        return true;
+      },
+
+      has: (target, prop) => {
+        if (childOffset(toSegment(prop)) !== -1) {
+          return true;
+        }
+        return isArray && Reflect.has(target, prop);
+      },
+
+      deleteProperty: (target, prop) => {
+        // Arrays cannot have holes
+        if (isArray || typeof prop === 'symbol') {
+          return false;
+        }
+        this.delete(prop, resolve());
+        return true;
+      },
+
+      ownKeys: () => {
+        if (!isArray) {
+          return this.keys(resolve());
+        }
+        const keys = Array.from({ length: getNodeSize(this._buffer, resolve()) }, (_, i) => String(i));
+        keys.push('length');
+        return keys;
+      },
+
+      getOwnPropertyDescriptor: (target, prop) => {
+        if (isArray && prop === 'length') {
+          return { value: getNodeSize(this._buffer, resolve()), writable: true, enumerable: false, configurable: false };
+        }
+        const segment = toSegment(prop);
+        const valOffset = childOffset(segment);
+        if (valOffset === -1) {
+          return undefined;
+        }
+        return { value: read(segment, valOffset), writable: true, enumerable: true, configurable: true };
+      },
+    });
+
+    cache.set(cacheKey, proxy);
+    return proxy;
+  }
+
+  /**
+   * Look up the object/array an asObject() proxy stands for
+   *
+   * @private
+   * @throws {Lite3Error} EINVAL if the path no longer leads to a container of type
+   */
+  _resolveProxyPath(path, type) {
+    let offset = 0;
+    for (const segment of path) {
+      const valOffset = this._childValueOffset(offset, segment);
+      const childType = valOffset === -1 ? Type.INVALID : this._buffer[valOffset];
+      if (childType !== Type.OBJECT && childType !== Type.ARRAY) {
+        offset = -1;
+        break;
+      }
+      offset = valOffset;
+    }
+    if (offset === -1 || getNodeType(this._buffer, offset) !== type) {
+      throw new Lite3Error(`Stale proxy: ${path.join('/')} was removed or replaced`, ErrorCode.INVALID_ARGUMENT);
+    }
+    return offset;
+  }
+
+  /**
+   * Find the path from the root to the object/array at offset
+   *
+   * @private
+   * @returns {Array<string|number>|null} Segments, or null if not reachable
+   */
+  _pathTo(targetOffset) {
+    const stack = [{ offset: 0, path: [] }];
+    while (stack.length > 0) {
+      const { offset, path } = stack.pop();
+      if (offset === targetOffset) {
+        return path;
+      }
+      const isArray = getNodeType(this._buffer, offset) === Type.ARRAY;
+      for (const { key, valueOffset, hash } of this._iterate(offset)) {
+        const type = this._buffer[valueOffset];
+        if (type === Type.OBJECT || type === Type.ARRAY) {
+          // Array entries are keyed by their index
+          stack.push({ offset: valueOffset, path: [...path, isArray ? hash : key] });
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Shrink array to length
+   *
+   * @private
+   */
+  _truncateArray(arrayOffset, length) {
+    const size = getNodeSize(this._buffer, arrayOffset);
+    if (!Number.isInteger(length) || length < 0 || length > size) {
+      throw new Lite3Error(`Invalid array length: ${length}`, ErrorCode.OUT_OF_BOUNDS);
+    }
+    for (let i = size - 1; i >= length; i--) {
+      this.deleteAt(i, arrayOffset);
+    }
+  }
+
+  /**
+   * Validate and normalize stringify() options
+   *
+   * @private
+   */
+  _stringifyOptions({ indent, bytes = 'base64', bigint = 'number', keyOrder = this._keyOrder }) {
+    this._checkKeyOrder(keyOrder);
+    if (!['base64', 'hex', 'array'].includes(bytes)) {
+      throw new Lite3Error(`Invalid bytes option: ${bytes}`, ErrorCode.INVALID_ARGUMENT);
+    }
+    if (!['number', 'string'].includes(bigint)) {
+      throw new Lite3Error(`Invalid bigint option: ${bigint}`, ErrorCode.INVALID_ARGUMENT);
+    }
+
+    // Same limits as JSON.stringify()
+    let gap = '';
+    if (typeof indent === 'number') {
+      gap = ' '.repeat(Math.max(0, Math.min(10, Math.floor(indent))));
+    } else if (typeof indent === 'string') {
+      gap = indent.slice(0, 10);
+    }
+
+    return { gap, bytes, bigint, keyOrder };
+  }
+
+  /**
+   * Generate JSON text pieces for value at offset
+   *
+   * @private
+   * @param {number} valOffset - Value offset
+   * @param {Object} opts - Normalized options
+   * @param {string} indent - Current indentation
+   * @param {number} [depth=1] - Nesting level if the value is a container
+   */
+  *_stringifyValue(valOffset, opts, indent, depth = 1) {
+    const type = this._buffer[valOffset];
+
+    switch (type) {
+      case Type.NULL:
+        yield 'null';
+        return;
+
+      case Type.BOOL:
+        yield this._buffer[valOffset + VAL_SIZE] !== 0 ? 'true' : 'false';
+        return;
+
+      case Type.I64: {
+        const val = readInt64(this._buffer, valOffset + VAL_SIZE);
+        const isSafe = val >= -9007199254740991n && val <= 9007199254740991n;
+        yield isSafe || opts.bigint === 'number' ? val.toString() : `"${val}"`;
+        return;
+      }
+
+      case Type.F64:
+        // Non-finite numbers become null, as in JSON.stringify()
+        yield JSON.stringify(readFloat64(this._buffer, valOffset + VAL_SIZE));
+        return;
+
+      case Type.STRING: {
+        const len = readUint32(this._buffer, valOffset + VAL_SIZE);
+        yield JSON.stringify(decodeString(this._buffer, valOffset + VAL_SIZE + 4, len - 1));
+        return;
+      }
+
+      case Type.BYTES: {
+        const len = readUint32(this._buffer, valOffset + VAL_SIZE);
+        const start = valOffset + VAL_SIZE + 4;
+        if (opts.bytes === 'array') {
+          yield `[${this._buffer.subarray(start, start + len).join(',')}]`;
+        } else if (opts.bytes === 'hex') {
+          yield `"${encodeHex(this._buffer, start, len)}"`;
+        } else {
+          yield `"${encodeBase64(this._buffer, start, len)}"`;
+        }
+        return;
+      }
+
+      case Type.OBJECT:
+      case Type.ARRAY: {
+        this._checkDecodeDepth(depth);
+        const isObject = type === Type.OBJECT;
+        const [open, close] = isObject ? ['{', '}'] : ['[', ']'];
+        if (getNodeSize(this._buffer, valOffset) === 0) {
+          yield open + close;
+          return;
+        }
+
+        const inner = indent + opts.gap;
+        const separator = opts.gap ? `,\n${inner}` : ',';
+        yield opts.gap ? `${open}\n${inner}` : open;
+
+        let first = true;
+        for (const { key, valueOffset } of this._iterateOrdered(valOffset, opts.keyOrder)) {
+          if (!first) {
+            yield separator;
+          }
+          first = false;
+          if (isObject) {
+            yield JSON.stringify(key) + (opts.gap ? ': ' : ':');
+          }
+          yield* this._stringifyValue(valueOffset, opts, inner, depth + 1);
+        }
+
+        yield opts.gap ? `\n${indent}${close}` : close;
+        return;
+      }
+
+      default:
+        throw new Lite3Error(`Invalid value type: ${type}`, ErrorCode.BAD_MESSAGE);
+    }
+  }
+
+  /**
+   * Convert path segment to array index for adding an element
+   * '-' refers to the end of the array, as in JSON Pointer
+   *
+   * @private
+   */
+  _toInsertIndex(arrayOffset, segment) {
+    return segment === '-' ? getNodeSize(this._buffer, arrayOffset) : this._toArrayIndex(segment);
+  }
+
+  /**
+   * Like _toInsertIndex(), but throw EINVAL for a segment that is not an
+   * index and ENOENT for an index past the end, as JSON Patch requires
+   *
+   * @private
+   */
+  _toCheckedInsertIndex(arrayOffset, segment) {
+    const index = this._toInsertIndex(arrayOffset, segment);
+    if (index === -1) {
+      throw new Lite3Error(`Invalid array index: ${segment}`, ErrorCode.INVALID_ARGUMENT);
+    }
+    if (index > getNodeSize(this._buffer, arrayOffset)) {
+      throw new Lite3Error(`Index not found: ${segment}`, ErrorCode.KEY_NOT_FOUND);
+    }
+    return index;
+  }
+
+  /**
+   * Convert path segment to array index
+   *
+   * @private
+   * @returns {number} Index, or -1 if the segment is not a valid index
+   */
+  _toArrayIndex(segment) {
+    if (typeof segment === 'number') {
+      return Number.isInteger(segment) && segment >= 0 ? segment : -1;
+    }
+    return /^(0|[1-9][0-9]*)$/.test(segment) ? Number(segment) : -1;
+  }
+
+  /**
+   * Get value offset of a container's child
+   *
+   * @private
+   * @returns {number} Value offset, or -1 if not found
+   */
+  _childValueOffset(parentOffset, segment) {
+    if (getNodeType(this._buffer, parentOffset) === Type.ARRAY) {
+      const index = this._toArrayIndex(segment);
+      const result = index === -1 ? null : this._findKey(parentOffset, index);
+      // For arrays, kvOffset points directly to value (no key)
+      return result ? getNodeKvOffset(this._buffer, result.nodeOffset, result.index) : -1;
+    }
+
+    const result = this._lookupKey(parentOffset, String(segment));
+    return result ? this._skipKey(getNodeKvOffset(this._buffer, result.nodeOffset, result.index)) : -1;
+  }
+
+  /**
+   * Walk all but the last path segment
+   *
+   * @private
+   * @returns {{ parentOffset: number, last: string|number }}
+   */
+  _resolveParent(segments) {
+    let parentOffset = 0;
+
+    for (let i = 0; i < segments.length - 1; i++) {
+      const valOffset = this._childValueOffset(parentOffset, segments[i]);
+      const type = valOffset === -1 ? Type.INVALID : this._buffer[valOffset];
+      if (type !== Type.OBJECT && type !== Type.ARRAY) {
+        throw new Lite3Error(`Path not found: ${segments.slice(0, i + 1).join('/')}`, ErrorCode.KEY_NOT_FOUND);
+      }
+      parentOffset = valOffset;
+    }
+
+    return { parentOffset, last: segments[segments.length - 1] };
+  }
+
+  /**
+   * Append a new key entry holding a copy of an existing value
+   *
+   * @private
+   * @returns {number} kv_ofs of the new entry
+   */
+  _writeEntry(key, valOffset, deep) {
+    const keyData = getKeyData(key);
+    const keyTagSize = getKeyTagSize(keyData.size);
+    const keyEncoded = encodeString(key);
+
+    return this._appendValueCopy(this, valOffset, keyTagSize + keyData.size, (writeOffset) => {
+      this._writeKey(writeOffset, keyTagSize, keyData.size, keyEncoded);
+    }, deep);
+  }
+
+  /**
+   * Append a copy of a value, optionally preceded by a key
+   *
+   * Nested nodes are laid out like _setNestedImpl does: aligned, directly
+   * after the key. With deep=false only the value's root node is copied and
+   * its kv/child offsets keep pointing at the existing entries and nodes.
+   *
+   * @private
+   * @param {Lite3} src - Instance holding the value (may be this)
+   * @param {number} srcValOffset - Value offset in src
+   * @param {number} keyLength - Bytes of key entry before the value (0 for none)
+   * @param {Function|null} writeKey - Writes the key at the given offset
+   * @param {boolean} deep - Also copy nested entries and nodes
+   * @returns {number} Offset of the key entry, or of the value if keyLength is 0
+   */
+  _appendValueCopy(src, srcValOffset, keyLength, writeKey, deep) {
+    const type = src._buffer[srcValOffset];
+    const isNode = type === Type.OBJECT || type === Type.ARRAY;
+    const valueSize = src._getValueSize(srcValOffset);
+
+    const keyEnd = this._buflen + keyLength;
+    const writeOffset = isNode ? this._buflen + alignOffset(keyEnd, Node.ALIGNMENT) - keyEnd : this._buflen;
+    this._ensureSpace(writeOffset - this._buflen + keyLength + valueSize);
+
+    if (keyLength > 0) {
+      writeKey(writeOffset);
+    }
+
+    const valOffset = writeOffset + keyLength;
+    this._buflen = valOffset + valueSize;
+    if (isNode && deep) {
+      this._cloneNode(src, srcValOffset, valOffset);
+      this._cloneOffsets?.set(srcValOffset, valOffset);
+    } else {
+      copyBytes(this._buffer, valOffset, src._buffer, srcValOffset, valueSize);
+    }
+    if (type === Type.OBJECT) {
+      this._copyInsertionOrder(src, srcValOffset, valOffset);
+    }
+
+    return writeOffset;
+  }
+
+  /**
+   * Copy a B-tree node and everything below it into reserved space
+   * Entries and nodes are copied byte for byte and offsets remapped,
+   * so no key is re-hashed and the tree keeps its shape.
+   *
+   * @private
+   * @param {Lite3} src - Instance holding the node (may be this)
+   * @param {number} srcNodeOffset - Node to copy
+   * @param {number} dstNodeOffset - Destination, Node.SIZE bytes already reserved
+   */
+  _cloneNode(src, srcNodeOffset, dstNodeOffset) {
+    copyBytes(this._buffer, dstNodeOffset, src._buffer, srcNodeOffset, Node.SIZE);
+
+    const isObject = getNodeType(src._buffer, srcNodeOffset) === Type.OBJECT;
+    const keyCount = getNodeKeyCount(src._buffer, srcNodeOffset);
+
+    for (let i = 0; i < keyCount; i++) {
+      const kvOffset = getNodeKvOffset(src._buffer, srcNodeOffset, i);
+      const keyLength = isObject ? src._skipKey(kvOffset) - kvOffset : 0;
+      const newKvOffset = this._appendValueCopy(src, kvOffset + keyLength, keyLength, (writeOffset) => {
+        copyBytes(this._buffer, writeOffset, src._buffer, kvOffset, keyLength);
+      }, true);
+      setNodeKvOffset(this._buffer, dstNodeOffset, i, newKvOffset);
+    }
+    for (let i = keyCount; i < Node.KEY_COUNT_MAX; i++) {
+      setNodeHash(this._buffer, dstNodeOffset, i, 0);
+      setNodeKvOffset(this._buffer, dstNodeOffset, i, 0);
+    }
+
+    for (let i = 0; i <= Node.KEY_COUNT_MAX; i++) {
+      setNodeChildOffset(this._buffer, dstNodeOffset, i, 0);
+    }
+    if (hasChildren(src._buffer, srcNodeOffset)) {
+      for (let i = 0; i <= keyCount; i++) {
+        const childOffset = alignOffset(this._buflen, Node.ALIGNMENT);
+        this._ensureSpace(childOffset - this._buflen + Node.SIZE);
+        this._buflen = childOffset + Node.SIZE;
+        this._cloneNode(src, getNodeChildOffset(src._buffer, srcNodeOffset, i), childOffset);
+        setNodeChildOffset(this._buffer, dstNodeOffset, i, childOffset);
+      }
+    }
+  }
+
+  /**
+   * Add a container and everything below it to stats()
+   *
+   * @private
+   */
+  _collectStats(containerOffset, stats) {
+    const type = getNodeType(this._buffer, containerOffset);
+    const container = {
+      offset: containerOffset,
+      type,
+      size: getNodeSize(this._buffer, containerOffset),
+      nodeCount: 0,
+      height: 0,
+    };
+    stats.containers.push(container);
+
+    const stack = [{ nodeOffset: containerOffset, depth: 1 }];
+    while (stack.length > 0) {
+      const { nodeOffset, depth } = stack.pop();
+      const keyCount = getNodeKeyCount(this._buffer, nodeOffset);
+
+      container.nodeCount++;
+      container.height = Math.max(container.height, depth);
+      stats.nodeCount++;
+      stats.liveBytes += Node.SIZE;
+      stats.bytesByType[type] += Node.SIZE;
+
+      for (let i = 0; i < keyCount; i++) {
+        const kvOffset = getNodeKvOffset(this._buffer, nodeOffset, i);
+        let valOffset = kvOffset;
+
+        if (type === Type.OBJECT) {
+          valOffset = this._skipKey(kvOffset);
+          stats.keyTagSizes[(this._buffer[kvOffset] & KeyTag.SIZE_MASK) + 1]++;
+          stats.keyBytes += valOffset - kvOffset;
+          stats.liveBytes += valOffset - kvOffset;
+        }
+
+        const valType = this._buffer[valOffset];
+        if (valType === Type.OBJECT || valType === Type.ARRAY) {
+          this._collectStats(valOffset, stats);
+        } else {
+          const valueSize = this._getValueSize(valOffset);
+          stats.liveBytes += valueSize;
+          stats.bytesByType[valType] += valueSize;
+        }
+      }
+
+      if (hasChildren(this._buffer, nodeOffset)) {
+        if (depth >= Node.TREE_HEIGHT_MAX) {
+          throw new Lite3Error('Tree height exceeded maximum', ErrorCode.BAD_MESSAGE);
+        }
+        for (let i = 0; i <= keyCount; i++) {
+          stack.push({ nodeOffset: getNodeChildOffset(this._buffer, nodeOffset, i), depth: depth + 1 });
+        }
+      }
+    }
+  }
+
+  /**
+   * Remove key from B-tree
+   *
+   * Single top-down pass: every child is topped up to more than
+   * KEY_COUNT_MIN keys (by borrowing from a sibling or merging) before we
+   * descend into it, so the final removal never underflows a node.
+   * The caller must have checked that the key exists.
+   *
+   * @private
+   * @returns {number} kv_ofs of the removed entry
+   */
+  _removeKey(rootOffset, hash) {
+    let nodeOffset = rootOffset;
+    let removedKvOffset = -1;
+    let nodeWalks = 0;
+
+    while (true) {
+      const keyCount = getNodeKeyCount(this._buffer, nodeOffset);
+
+      let i = 0;
+      while (i < keyCount && getNodeHash(this._buffer, nodeOffset, i) < hash) {
+        i++;
+      }
+      const found = i < keyCount && getNodeHash(this._buffer, nodeOffset, i) === hash;
+
+      if (!hasChildren(this._buffer, nodeOffset)) {
+        if (!found) {
+          throw new Lite3Error('Key vanished during removal', ErrorCode.BAD_MESSAGE);
+        }
+        if (removedKvOffset === -1) {
+          removedKvOffset = getNodeKvOffset(this._buffer, nodeOffset, i);
+        }
+        shiftNodeEntriesLeft(this._buffer, nodeOffset, i, keyCount);
+        setNodeKeyCount(this._buffer, nodeOffset, keyCount - 1);
+        return removedKvOffset;
+      }
+
+      if (found) {
+        const leftOffset = getNodeChildOffset(this._buffer, nodeOffset, i);
+        const rightOffset = getNodeChildOffset(this._buffer, nodeOffset, i + 1);
+
+        if (getNodeKeyCount(this._buffer, leftOffset) > Node.KEY_COUNT_MIN) {
+          // Replace with predecessor, then remove predecessor from left subtree
+          const pred = this._findEdgeEntry(leftOffset, true);
+          if (removedKvOffset === -1) {
+            removedKvOffset = getNodeKvOffset(this._buffer, nodeOffset, i);
+          }
+          setNodeHash(this._buffer, nodeOffset, i, pred.hash);
+          setNodeKvOffset(this._buffer, nodeOffset, i, pred.kvOffset);
+          hash = pred.hash;
+          nodeOffset = leftOffset;
+        } else if (getNodeKeyCount(this._buffer, rightOffset) > Node.KEY_COUNT_MIN) {
+          // Replace with successor, then remove successor from right subtree
+          const succ = this._findEdgeEntry(rightOffset, false);
+          if (removedKvOffset === -1) {
+            removedKvOffset = getNodeKvOffset(this._buffer, nodeOffset, i);
+          }
+          setNodeHash(this._buffer, nodeOffset, i, succ.hash);
+          setNodeKvOffset(this._buffer, nodeOffset, i, succ.kvOffset);
+          hash = succ.hash;
+          nodeOffset = rightOffset;
+        } else {
+          // Both children minimal: pull key down into merged child
+          nodeOffset = this._mergeChildren(rootOffset, nodeOffset, i);
+        }
+      } else {
+        nodeOffset = this._fillChild(rootOffset, nodeOffset, i);
+      }
+
+      nodeWalks++;
+      if (nodeWalks > Node.TREE_HEIGHT_MAX) {
+        throw new Lite3Error('Tree height exceeded maximum', ErrorCode.BAD_MESSAGE);
+      }
+    }
+  }
+
+  /**
+   * Find the last (or first) entry of a subtree
+   *
+   * @private
+   * @returns {{ hash: number, kvOffset: number }}
+   */
+  _findEdgeEntry(nodeOffset, last) {
+    while (true) {
+      const keyCount = getNodeKeyCount(this._buffer, nodeOffset);
+      if (!hasChildren(this._buffer, nodeOffset)) {
+        const index = last ? keyCount - 1 : 0;
+        return {
+          hash: getNodeHash(this._buffer, nodeOffset, index),
+          kvOffset: getNodeKvOffset(this._buffer, nodeOffset, index),
+        };
+      }
+      nodeOffset = getNodeChildOffset(this._buffer, nodeOffset, last ? keyCount : 0);
+    }
+  }
+
+  /**
+   * Make sure child at index has more than KEY_COUNT_MIN keys
+   *
+   * @private
+   * @returns {number} Offset of the node to descend into
+   */
+  _fillChild(rootOffset, parent, index) {
+    const childOffset = getNodeChildOffset(this._buffer, parent, index);
+    const childKeyCount = getNodeKeyCount(this._buffer, childOffset);
+
+    if (childKeyCount > Node.KEY_COUNT_MIN) {
+      return childOffset;
+    }
+
+    const parentKeyCount = getNodeKeyCount(this._buffer, parent);
+    const leftOffset = index > 0 ? getNodeChildOffset(this._buffer, parent, index - 1) : 0;
+    const rightOffset = index < parentKeyCount ? getNodeChildOffset(this._buffer, parent, index + 1) : 0;
+
+    if (leftOffset !== 0 && getNodeKeyCount(this._buffer, leftOffset) > Node.KEY_COUNT_MIN) {
+      // Rotate right: parent separator moves down, left sibling's last key moves up
+      const leftKeyCount = getNodeKeyCount(this._buffer, leftOffset);
+      shiftNodeEntriesRight(this._buffer, childOffset, 0, childKeyCount);
+      setNodeChildOffset(this._buffer, childOffset, 1, getNodeChildOffset(this._buffer, childOffset, 0));
+
+      setNodeHash(this._buffer, childOffset, 0, getNodeHash(this._buffer, parent, index - 1));
+      setNodeKvOffset(this._buffer, childOffset, 0, getNodeKvOffset(this._buffer, parent, index - 1));
+      setNodeChildOffset(this._buffer, childOffset, 0, getNodeChildOffset(this._buffer, leftOffset, leftKeyCount));
+      setNodeKeyCount(this._buffer, childOffset, childKeyCount + 1);
+
+      setNodeHash(this._buffer, parent, index - 1, getNodeHash(this._buffer, leftOffset, leftKeyCount - 1));
+      setNodeKvOffset(this._buffer, parent, index - 1, getNodeKvOffset(this._buffer, leftOffset, leftKeyCount - 1));
+
+      setNodeChildOffset(this._buffer, leftOffset, leftKeyCount, 0);
+      setNodeKeyCount(this._buffer, leftOffset, leftKeyCount - 1);
+      return childOffset;
+    }
+
+    if (rightOffset !== 0 && getNodeKeyCount(this._buffer, rightOffset) > Node.KEY_COUNT_MIN) {
+      // Rotate left: parent separator moves down, right sibling's first key moves up
+      const rightKeyCount = getNodeKeyCount(this._buffer, rightOffset);
+      setNodeHash(this._buffer, childOffset, childKeyCount, getNodeHash(this._buffer, parent, index));
+      setNodeKvOffset(this._buffer, childOffset, childKeyCount, getNodeKvOffset(this._buffer, parent, index));
+      setNodeChildOffset(this._buffer, childOffset, childKeyCount + 1, getNodeChildOffset(this._buffer, rightOffset, 0));
+      setNodeKeyCount(this._buffer, childOffset, childKeyCount + 1);
+
+      setNodeHash(this._buffer, parent, index, getNodeHash(this._buffer, rightOffset, 0));
+      setNodeKvOffset(this._buffer, parent, index, getNodeKvOffset(this._buffer, rightOffset, 0));
+
+      setNodeChildOffset(this._buffer, rightOffset, 0, getNodeChildOffset(this._buffer, rightOffset, 1));
+      shiftNodeEntriesLeft(this._buffer, rightOffset, 0, rightKeyCount);
+      setNodeKeyCount(this._buffer, rightOffset, rightKeyCount - 1);
+      return childOffset;
+    }
+
+    // Both siblings minimal: merge with one of them
+    if (rightOffset !== 0) {
+      return this._mergeChildren(rootOffset, parent, index);
+    }
+    return this._mergeChildren(rootOffset, parent, index - 1);
+  }
+
+  /**
+   * Merge child index+1 and the separator key into child index
+   *
+   * If the container root loses its last key, the merged child is
+   * copied into the root slot so the container keeps its offset.
+   *
+   * @private
+   * @returns {number} Offset of the merged node
+   */
+  _mergeChildren(rootOffset, parent, index) {
+    const leftOffset = getNodeChildOffset(this._buffer, parent, index);
+    const rightOffset = getNodeChildOffset(this._buffer, parent, index + 1);
+    const leftKeyCount = getNodeKeyCount(this._buffer, leftOffset);
+    const rightKeyCount = getNodeKeyCount(this._buffer, rightOffset);
+
+    setNodeHash(this._buffer, leftOffset, leftKeyCount, getNodeHash(this._buffer, parent, index));
+    setNodeKvOffset(this._buffer, leftOffset, leftKeyCount, getNodeKvOffset(this._buffer, parent, index));
+    setNodeChildOffset(this._buffer, leftOffset, leftKeyCount + 1, getNodeChildOffset(this._buffer, rightOffset, 0));
+    copyNodeEntries(this._buffer, rightOffset, leftOffset, 0, leftKeyCount + 1, rightKeyCount);
+    setNodeKeyCount(this._buffer, leftOffset, leftKeyCount + rightKeyCount + 1);
+
+    const parentKeyCount = getNodeKeyCount(this._buffer, parent);
+    shiftNodeEntriesLeft(this._buffer, parent, index, parentKeyCount);
+    setNodeKeyCount(this._buffer, parent, parentKeyCount - 1);
+
+    if (parent === rootOffset && parentKeyCount === 1) {
+      // Root emptied: pull merged child up, keeping root's gen_type and size
+      const genType = readUint32(this._buffer, rootOffset);
+      const size = getNodeSize(this._buffer, rootOffset);
+      copyBytes(this._buffer, rootOffset, this._buffer, leftOffset, Node.SIZE);
+      writeUint32(this._buffer, rootOffset, genType);
+      setNodeSize(this._buffer, rootOffset, size);
+      return rootOffset;
+    }
+
+    return leftOffset;
+  }
+
+  /**
+   * Add delta to every array index >= fromIndex
+   * Order between entries is preserved, so the tree shape stays valid.
+   *
+   * @private
+   */
+  _shiftArrayIndices(arrayOffset, fromIndex, delta) {
+    const stack = [arrayOffset];
+
+    while (stack.length > 0) {
+      const nodeOffset = stack.pop();
+      const keyCount = getNodeKeyCount(this._buffer, nodeOffset);
+
+      for (let i = 0; i < keyCount; i++) {
+        const hash = getNodeHash(this._buffer, nodeOffset, i);
+        if (hash >= fromIndex) {
+          setNodeHash(this._buffer, nodeOffset, i, hash + delta);
+        }
+      }
+
+      if (hasChildren(this._buffer, nodeOffset)) {
+        for (let i = 0; i <= keyCount; i++) {
+          stack.push(getNodeChildOffset(this._buffer, nodeOffset, i));
+        }
+      }
+    }
+  }
+
+  /**
+   * Read value at offset
+   *
+   * @private
+   */
+  _readValue(valOffset, depth = 1, keyOrder = this._keyOrder) {
+    const type = this._buffer[valOffset];
+
+    switch (type) {
+      case Type.NULL:
+        return null;
+
+      case Type.BOOL:
+        return this._buffer[valOffset + VAL_SIZE] !== 0;
+
+      case Type.I64: {
+        const val = readInt64(this._buffer, valOffset + VAL_SIZE);
+        // Convert to number if safe
+        if (val >= -9007199254740991n && val <= 9007199254740991n) {
+          return Number(val);
+        }
+        return val;
+      }
+
+      case Type.F64:
+        return readFloat64(this._buffer, valOffset + VAL_SIZE);
+
+      case Type.STRING: {
+        const len = readUint32(this._buffer, valOffset + VAL_SIZE);
+        // len includes null terminator
+        return decodeString(this._buffer, valOffset + VAL_SIZE + 4, len - 1);
+      }
+
+      case Type.BYTES: {
+        const len = readUint32(this._buffer, valOffset + VAL_SIZE);
+        return this._buffer.slice(valOffset + VAL_SIZE + 4, valOffset + VAL_SIZE + 4 + len);
+      }
+
+      case Type.OBJECT:
+        return this._readObject(valOffset, depth, keyOrder);
+
+      case Type.ARRAY:
+        return this._readArray(valOffset, depth, keyOrder);
+
+      default:
+        throw new Lite3Error(`Invalid value type: ${type}`, ErrorCode.BAD_MESSAGE);
+    }
+  }
+
+  /**
+   * Read object at offset
+   *
+   * @private
+   */
+  _readObject(nodeOffset, depth = 1, keyOrder = this._keyOrder) {
+    this._checkDecodeDepth(depth);
+    const result = {};
+
+    for (const { key, valueOffset } of this._iterateOrdered(nodeOffset, keyOrder)) {
+      result[key] = this._readValue(valueOffset, depth + 1, keyOrder);
+    }
+
+    return result;
+  }
+
+  /**
+   * Read array at offset
+   *
+   * @private
+   */
+  _readArray(nodeOffset, depth = 1, keyOrder = this._keyOrder) {
+    this._checkDecodeDepth(depth);
+    const result = [];
+
+    // Array hashes are the indices, so the in-order walk is index order
+    for (const { valueOffset } of this._iterate(nodeOffset)) {
+      result.push(this._readValue(valueOffset, depth + 1, keyOrder));
+    }
+
+    return result;
+  }
+
+  /**
+   * Throw if a container at depth is nested too deeply
+   * Also stops runaway recursion on corrupt buffers whose nodes loop.
+   *
+   * @private
+   */
+  _checkDecodeDepth(depth) {
+    if (depth > this._maxDepth) {
+      throw new Lite3Error(`Nesting depth exceeds ${this._maxDepth}`, ErrorCode.BAD_MESSAGE);
+    }
+  }
+
+  /**
+   * Iterate over entries in object/array
+   *
+   * @private
+   * @generator
+   * @param {number} rootOffset - Object/array offset
+   * @param {number} [startHash=0] - Skip entries with a smaller hash
+   *   (for arrays, the index to start at)
+   * @yields {{ key: string|null, valueOffset: number, kvOffset: number, hash: number }}
+   */
+  *_iterate(rootOffset, startHash = 0) {
+    // Splits and moves invalidate the offsets held in the stack
+    const generation = getNodeGeneration(this._buffer, 0);
+    const type = getNodeType(this._buffer, rootOffset);
+    const isObject = type === Type.OBJECT;
+
+    // Descend to the first entry with hash >= startHash; a leaf position
+    // past its last key resumes at the parent's key like any other leaf
+    const stack = [];
+    let nodeOffset = rootOffset;
+    while (true) {
+      const keyCount = getNodeKeyCount(this._buffer, nodeOffset);
+      let index = 0;
+      let hash = -1;
+      while (index < keyCount && (hash = getNodeHash(this._buffer, nodeOffset, index)) < startHash) {
+        index++;
+      }
+      stack.push({ nodeOffset, index });
+      if ((index < keyCount && hash === startHash) || !hasChildren(this._buffer, nodeOffset)) {
+        break;
+      }
+      nodeOffset = getNodeChildOffset(this._buffer, nodeOffset, index);
+    }
+
+    while (stack.length > 0) {
+      const current = stack[stack.length - 1];
+      const keyCount = getNodeKeyCount(this._buffer, current.nodeOffset);
+
+      if (current.index >= keyCount) {
+        stack.pop();
+        if (stack.length > 0) {
+          const parent = stack[stack.length - 1];
+          const parentKeyCount = getNodeKeyCount(this._buffer, parent.nodeOffset);
+
+          if (parent.index < parentKeyCount) {
+            const kvOffset = getNodeKvOffset(this._buffer, parent.nodeOffset, parent.index);
+
+            const hash = getNodeHash(this._buffer, parent.nodeOffset, parent.index);
+            if (isObject) {
+              const key = this._readKey(kvOffset);
+              const valueOffset = this._skipKey(kvOffset);
+              yield { key, valueOffset, kvOffset, hash };
+            } else {
+              yield { key: null, valueOffset: kvOffset, kvOffset, hash };
+            }
+            this._checkGeneration(generation);
+
+            parent.index++;
+
+            // Go to next child and then to leftmost leaf
+            if (hasChildren(this._buffer, parent.nodeOffset)) {
+              let childOffset = getNodeChildOffset(this._buffer, parent.nodeOffset, parent.index);
+              stack.push({ nodeOffset: childOffset, index: 0 });
+
+              while (hasChildren(this._buffer, stack[stack.length - 1].nodeOffset)) {
+                childOffset = getNodeChildOffset(this._buffer, stack[stack.length - 1].nodeOffset, 0);
+                stack.push({ nodeOffset: childOffset, index: 0 });
+              }
+            }
+          }
+        }
+        continue;
+      }
+
+      const kvOffset = getNodeKvOffset(this._buffer, current.nodeOffset, current.index);
+
+      const hash = getNodeHash(this._buffer, current.nodeOffset, current.index);
+      if (isObject) {
+        const key = this._readKey(kvOffset);
+        const valueOffset = this._skipKey(kvOffset);
+        yield { key, valueOffset, kvOffset, hash };
+      } else {
+        yield { key: null, valueOffset: kvOffset, kvOffset, hash };
+      }
+      this._checkGeneration(generation);
+
+      current.index++;
+
+      // Go to next child's leftmost leaf
+      if (hasChildren(this._buffer, current.nodeOffset)) {
+        let childOffset = getNodeChildOffset(this._buffer, current.nodeOffset, current.index);
+        stack.push({ nodeOffset: childOffset, index: 0 });
+
+        while (hasChildren(this._buffer, stack[stack.length - 1].nodeOffset)) {
+          childOffset = getNodeChildOffset(this._buffer, stack[stack.length - 1].nodeOffset, 0);
+          stack.push({ nodeOffset: childOffset, index: 0 });
+        }
+      }
+    }
+  }
+
+  /**
+   * Throw if the document was modified since generation was read
+   *
+   * @private
+   */
+  _checkGeneration(generation) {
+    if (getNodeGeneration(this._buffer, 0) !== generation) {
+      throw new Lite3Error('Document was modified during iteration', ErrorCode.INVALID_ARGUMENT);
+    }
+  }
+
+  /**
+   * Iterate entries of object/array with object keys in keyOrder
+   * Non-hash orders decode all keys of the object up front.
+   *
+   * @private
+   * @generator
+   * @yields {{ key: string|null, valueOffset: number, kvOffset: number, hash: number }}
+   */
+  *_iterateOrdered(rootOffset, keyOrder) {
+    if (keyOrder === 'hash' || getNodeType(this._buffer, rootOffset) !== Type.OBJECT) {
+      yield* this._iterate(rootOffset);
+      return;
+    }
+
+    const generation = getNodeGeneration(this._buffer, 0);
+    for (const entry of this._orderedEntries(rootOffset, keyOrder)) {
+      yield entry;
+      this._checkGeneration(generation);
+    }
+  }
+
+  /**
+   * Collect entries of object sorted by key or by insertion
+   * Keys missing from the side-index follow the others in hash order.
+   *
+   * @private
+   */
+  _orderedEntries(objectOffset, keyOrder) {
+    const entries = [...this._iterate(objectOffset)];
+
+    if (keyOrder === 'sorted') {
+      entries.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+    } else {
+      const ranks = this._insertionRanks(objectOffset);
+      const rank = (entry) => ranks.get(entry.hash) ?? Number.MAX_SAFE_INTEGER;
+      entries.sort((a, b) => rank(a) - rank(b));
+    }
+    return entries;
+  }
+
+  /**
+   * Throw unless keyOrder names a key order
+   *
+   * @private
+   */
+  _checkKeyOrder(keyOrder) {
+    if (!['hash', 'sorted', 'insertion'].includes(keyOrder)) {
+      throw new Lite3Error(`Invalid keyOrder: ${keyOrder}`, ErrorCode.INVALID_ARGUMENT);
+    }
+  }
+
+  /**
+   * Resolve the keyOrder of a read's options
+   *
+   * @private
+   */
+  _keyOrderOption(options) {
+    const keyOrder = options?.keyOrder ?? this._keyOrder;
+    this._checkKeyOrder(keyOrder);
+    return keyOrder;
+  }
+
+  /**
+   * Whether the buffer carries the insertion-order side-index
+   *
+   * @private
+   */
+  _hasOrderIndex() {
+    return this._buflen >= KeyOrderIndex.OFFSET + KeyOrderIndex.HEADER_SIZE &&
+      readUint32(this._buffer, KeyOrderIndex.OFFSET) === KeyOrderIndex.MAGIC;
+  }
+
+  /**
+   * Log a key just inserted into an object, if the side-index is present
+   *
+   * @private
+   * @param {number} objectOffset - Object offset
+   * @param {{ nodeOffset: number, index: number }} slot - Slot of the new key
+   */
+  _recordInsertion(objectOffset, slot) {
+    if (this._hasOrderIndex()) {
+      this._appendOrderRecord(objectOffset, getNodeHash(this._buffer, slot.nodeOffset, slot.index));
+    }
+  }
+
+  /**
+   * Append a [prev, container, hash] record and make it the newest
+   *
+   * @private
+   */
+  _appendOrderRecord(objectOffset, hash) {
+    const headOffset = KeyOrderIndex.OFFSET + 4;
+    this._ensureSpace(KeyOrderIndex.RECORD_SIZE);
+
+    const recordOffset = this._buflen;
+    writeUint32(this._buffer, recordOffset, readUint32(this._buffer, headOffset));
+    writeUint32(this._buffer, recordOffset + 4, objectOffset);
+    writeUint32(this._buffer, recordOffset + 8, hash);
+    writeUint32(this._buffer, headOffset, recordOffset);
+    this._buflen = recordOffset + KeyOrderIndex.RECORD_SIZE;
+  }
+
+  /**
+   * Drop everything written from mark on, when none of it is linked into
+   * the tree yet; side-index records in that range are unlinked too
+   *
+   * @private
+   */
+  _discardFrom(mark) {
+    if (this._hasOrderIndex()) {
+      const headOffset = KeyOrderIndex.OFFSET + 4;
+      let head = readUint32(this._buffer, headOffset);
+      while (head >= mark) {
+        head = readUint32(this._buffer, head);
+      }
+      writeUint32(this._buffer, headOffset, head);
+    }
+    if (this._orderCache !== null && this._orderCache.head >= mark) {
+      this._orderCache = null;
+    }
+    this._buflen = mark;
+    if (this._depthCache) {
+      for (const offset of this._depthCache.depths.keys()) {
+        if (offset >= mark) {
+          this._depthCache.depths.delete(offset);
+        }
+      }
+    }
+  }
+
+  /**
+   * Read the side-index log, oldest record first
+   *
+   * @private
+   * @param {number} [since=0] - Newest record already read (0 for none)
+   * @returns {Array<{ offset: number, objectOffset: number, hash: number }>|null}
+   *   Records newer than since, or null if since is no longer in the log
+   */
+  _readOrderRecords(since = 0) {
+    const records = [];
+    let offset = readUint32(this._buffer, KeyOrderIndex.OFFSET + 4);
+    let limit = this._buflen;
+
+    // Each record links to an older, lower one; stop at anything else
+    while (offset > since && offset + KeyOrderIndex.RECORD_SIZE <= limit) {
+      records.push({
+        offset,
+        objectOffset: readUint32(this._buffer, offset + 4),
+        hash: readUint32(this._buffer, offset + 8),
+      });
+      limit = offset;
+      offset = readUint32(this._buffer, offset);
+    }
+    if (since !== 0 && offset !== since) {
+      return null;
+    }
+    return records.reverse();
+  }
+
+  /**
+   * Get the decoded side-index, reading only records appended since the
+   * last call
+   *
+   * @private
+   * @returns {{ head: number, generation: number, rank: number,
+   *   objects: Map<number, { ranks: Map<number, number>, records: number[] }> }|null}
+   *   Insertion rank by key hash and record offsets per object, or null
+   *   without a side-index
+   */
+  _orderIndex() {
+    if (!this._hasOrderIndex()) {
+      return null;
+    }
+
+    const generation = getNodeGeneration(this._buffer, 0);
+    const head = readUint32(this._buffer, KeyOrderIndex.OFFSET + 4);
+    let cache = this._orderCache;
+    // Other writers of a shared document may rewrite records in place
+    if (cache !== null && this._control !== null && !this._writing && cache.generation !== generation) {
+      cache = null;
+    }
+    if (cache !== null && cache.head === head) {
+      cache.generation = generation;
+      return cache;
+    }
+
+    let records = cache === null ? null : this._readOrderRecords(cache.head);
+    if (records === null) {
+      cache = { head: 0, generation, rank: 0, objects: new Map() };
+      records = this._readOrderRecords();
+    }
+    for (const record of records) {
+      let object = cache.objects.get(record.objectOffset);
+      if (object === undefined) {
+        object = { ranks: new Map(), records: [] };
+        cache.objects.set(record.objectOffset, object);
+      }
+      object.ranks.set(record.hash, cache.rank++);
+      object.records.push(record.offset);
+    }
+    cache.head = head;
+    cache.generation = generation;
+    this._orderCache = cache;
+    return cache;
+  }
+
+  /**
+   * Get insertion rank by key hash for an object
+   * A key's newest record counts, so re-inserted keys move to the end.
+   *
+   * @private
+   * @returns {Map<number, number>} Hash to rank
+   */
+  _insertionRanks(objectOffset) {
+    return this._orderIndex()?.objects.get(objectOffset)?.ranks ?? new Map();
+  }
+
+  /**
+   * Update the side-index after a key moved to another hash slot
+   *
+   * @private
+   */
+  _rehashInsertion(objectOffset, oldHash, newHash) {
+    const object = this._orderIndex()?.objects.get(objectOffset);
+    if (object === undefined) {
+      return;
+    }
+
+    object.records = object.records.filter((recordOffset) => {
+      const hash = readUint32(this._buffer, recordOffset + 8);
+      if (hash === newHash) {
+        // Left by the deleted key whose slot is being reused
+        writeUint32(this._buffer, recordOffset + 4, 0xFFFFFFFF);
+        return false;
+      }
+      if (hash === oldHash) {
+        writeUint32(this._buffer, recordOffset + 8, newHash);
+      }
+      return true;
+    });
+
+    const rank = object.ranks.get(oldHash);
+    object.ranks.delete(oldHash);
+    if (rank === undefined) {
+      object.ranks.delete(newHash);
+    } else {
+      object.ranks.set(newHash, rank);
+    }
+  }
+
+  /**
+   * Log the keys of a copied object in the order src has them
+   *
+   * @private
+   * @param {Lite3} src - Instance holding the original (may be this)
+   * @param {number} srcOffset - Original object offset
+   * @param {number} dstOffset - Copy's offset in this buffer
+   */
+  _copyInsertionOrder(src, srcOffset, dstOffset) {
+    if (!this._hasOrderIndex()) {
+      return;
+    }
+    for (const { hash } of src._orderedEntries(srcOffset, 'insertion')) {
+      this._appendOrderRecord(dstOffset, hash);
+    }
+  }
+
+  /**
+   * Read key at kv offset
+   *
+   * @private
+   */
+  _readKey(kvOffset) {
+    const tagByte = this._buffer[kvOffset];
+    const tagSize = (tagByte & KeyTag.SIZE_MASK) + 1;
+    const keySize = readVarUint(this._buffer, kvOffset, tagSize) >>> KeyTag.KEY_SIZE_SHIFT;
+    // keySize includes null terminator
+    return decodeString(this._buffer, kvOffset + tagSize, keySize - 1);
+  }
+
+  /**
+   * Convert to plain JavaScript object/array
+   * Integer-like keys always come first in JS objects, whatever keyOrder.
+   *
+   * @param {Object} [options] - Ignored unless an object (JSON.stringify
+   *   passes a key)
+   * @param {string} [options.keyOrder] - Key order (default: the instance's)
+   * @returns {Object|Array} Plain JS object or array
+   */
+  toJSON(options) {
+    this._checkInitialized();
+    const keyOrder = this._keyOrderOption(typeof options === 'object' ? options : undefined);
+
+    const type = getNodeType(this._buffer, 0);
+    if (type === Type.OBJECT) {
+      return this._readObject(0, 1, keyOrder);
+    } else if (type === Type.ARRAY) {
+      return this._readArray(0, 1, keyOrder);
+    }
+
+    throw new Lite3Error('Root must be object or array', ErrorCode.BAD_MESSAGE);
+  }
+
+  /**
+   * Serialize directly to JSON text without building a JS object tree
+   *
+   * @param {Object} [options]
+   * @param {number|string} [options.indent] - Indentation, as in JSON.stringify()
+   * @param {'base64'|'hex'|'array'} [options.bytes='base64'] - Encoding of BYTES values
+   * @param {'number'|'string'} [options.bigint='number'] - Emit integers beyond
+   *   2^53 as exact number literals or as strings
+   * @returns {string} JSON text
+   */
+  stringify(options = {}) {
+    this._checkInitialized();
+
+    const pieces = [];
+    for (const piece of this._stringifyValue(0, this._stringifyOptions(options), '')) {
+      pieces.push(piece);
+    }
+    return pieces.join('');
+  }
+
+  /**
+   * Serialize to JSON text written in chunks to a Node Writable
+   * Waits for 'drain' whenever the stream asks to, so the text is never
+   * held in memory as a whole. Writes to the document while waiting make
+   * it reject, unless options.snapshot is set, and so does a stream that
+   * ends or is destroyed before everything is written.
+   *
+   * @param {import('node:stream').Writable} writable - Destination stream
+   * @param {Object} [options] - Same as stringify(), plus:
+   * @param {number} [options.chunkSize=65536] - Characters per write
+   * @param {boolean} [options.snapshot=false] - Serialize a frozen copy
+   * @returns {Promise<void>} Resolves once everything is written
+   */
+  async stringifyTo(writable, options = {}) {
+    this._checkInitialized();
+
+    const doc = options.snapshot ? this.snapshot() : this;
+    const opts = this._stringifyOptions(options);
+    const chunkSize = options.chunkSize ?? 65536;
+    if (!Number.isInteger(chunkSize) || chunkSize <= 0) {
+      throw new Lite3Error(`chunkSize must be a positive integer: ${chunkSize}`, ErrorCode.INVALID_ARGUMENT);
+    }
+    let chunk = '';
+
+    const closed = () => new Lite3Error('Stream closed before the JSON was written', ErrorCode.INVALID_ARGUMENT);
+    const write = async () => {
+      if (writable.destroyed || writable.writableEnded) {
+        throw closed();
+      }
+      if (!writable.write(chunk)) {
+        await new Promise((resolve, reject) => {
+          const settle = (done, value) => {
+            writable.off('drain', onDrain);
+            writable.off('error', onError);
+            writable.off('close', onClose);
+            done(value);
+          };
+          const onDrain = () => settle(resolve);
+          const onError = (err) => settle(reject, err);
+          const onClose = () => settle(reject, closed());
+          writable.on('drain', onDrain);
+          writable.on('error', onError);
+          writable.on('close', onClose);
+        });
+      }
+      chunk = '';
+    };
+
+    for (const piece of doc._stringifyValue(0, opts, '')) {
+      chunk += piece;
+      if (chunk.length >= chunkSize) {
+        await write();
+      }
+    }
+    if (chunk.length > 0) {
+      await write();
+    }
+  }
+
+  /**
+   * Create from plain JavaScript object/array
+   *
+   * @param {Object|Array} data - The data
+   * @param {Object} [options] - Constructor options (e.g. maxDepth)
+   * @returns {Lite3} New Lite3 instance
+   */
+  static fromJSON(data, options) {
+    const lite3 = new Lite3(1024, options);
+    lite3._load(data);
+    return lite3;
+  }
+
+  /**
+   * Initialize root from plain JavaScript object/array
+   *
+   * @private
+   * @param {Object|Array} data - The data
+   * @param {boolean} [indexed] - Write the insertion-order side-index
+   */
+  _load(data, indexed = this._keyOrder === 'insertion') {
+    if (typeof data !== 'object' || data === null) {
+      throw new Lite3Error('Root must be object or array', ErrorCode.INVALID_ARGUMENT);
+    }
+
+    // The root counts as the first level
+    this._enterEncode(data);
+    try {
+      if (Array.isArray(data)) {
+        this._initRoot(Type.ARRAY, indexed);
+        for (const item of data) {
+          this.appendValue(item, 0);
+        }
+      } else {
+        this._initRoot(Type.OBJECT, indexed);
+        for (const [key, value] of Object.entries(data)) {
+          this.set(key, value, 0);
+        }
+      }
+    } finally {
+      this._encodeStack.pop();
+    }
+  }
+
+  /**
+   * Encode a plain JavaScript object/array into caller-provided memory
+   *
+   * The document is built in place from byte 0 of target, which never
+   * grows; size it with Lite3.estimateSize() to be sure the data fits.
+   *
+   * @param {Object|Array} data - The data
+   * @param {Uint8Array} target - Buffer to write into
+   * @param {Object} [options] - Constructor options (e.g. maxDepth, keyOrder)
+   * @returns {number} Number of bytes written
+   * @throws {Lite3Error} ENOBUFS if the data does not fit (target then holds
+   *   a partial document)
+   */
+  static encodeInto(data, target, options) {
+    if (!(target instanceof Uint8Array)) {
+      throw new Lite3Error('encodeInto() expects a Uint8Array', ErrorCode.INVALID_ARGUMENT);
+    }
+    const lite3 = new Lite3({ ...options, buffer: target, growable: false });
+    lite3._load(data);
+    return lite3._buflen;
+  }
+
+  /**
+   * Upper bound on the bytes Lite3.encodeInto() (or fromJSON()) needs
+   *
+   * Computed from the data alone, without encoding it: B-tree nodes are
+   * counted as if half empty and alignment padding at its maximum, so the
+   * result is typically somewhat larger than the actual length.
+   *
+   * @param {Object|Array} data - The data
+   * @param {Object} [options] - Constructor options (e.g. maxDepth, keyOrder)
+   * @returns {number} Size in bytes
+   */
+  static estimateSize(data, options) {
+    const lite3 = new Lite3(0, options);
+    if (typeof data !== 'object' || data === null) {
+      throw new Lite3Error('Root must be object or array', ErrorCode.INVALID_ARGUMENT);
+    }
+
+    const indexed = lite3._keyOrder === 'insertion';
+    return (indexed ? KeyOrderIndex.HEADER_SIZE : 0) + lite3._estimateContainer(data, indexed) + RESERVE_SLACK;
+  }
+
+  /**
+   * Upper bound on the bytes of a JS object/array and its contents
+   *
+   * @private
+   */
+  _estimateContainer(value, indexed) {
+    this._enterEncode(value);
+    try {
+      const isArray = Array.isArray(value);
+      const items = isArray ? value : Object.values(value);
+
+      // Every node but the root holds at least KEY_COUNT_MIN keys
+      const extraNodes = Math.floor(Math.max(items.length - 1, 0) / Node.KEY_COUNT_MIN);
+      let size = Node.SIZE + extraNodes * (Node.SIZE + Node.ALIGNMENT);
+
+      if (!isArray) {
+        for (const key of Object.keys(value)) {
+          const keySize = utf8Length(key) + 1;
+          size += getKeyTagSize(keySize) + keySize + (indexed ? KeyOrderIndex.RECORD_SIZE : 0);
+        }
+      }
+
+      for (let i = 0; i < items.length; i++) {
+        const primitive = this._encodePrimitive(items[i]);
+        size += primitive === null
+          ? Node.ALIGNMENT + this._estimateContainer(items[i], indexed)
+          : VAL_SIZE + primitive.dataSize;
+      }
+
+      return size;
+    } finally {
+      this._encodeStack.pop();
+    }
+  }
+
+  /**
+   * Parse JSON text directly into a new Lite3 buffer
+   *
+   * Keys and values are written as they are tokenized, without building
+   * an intermediate JS object. Integers that do not fit a double but fit
+   * in 64 bits are kept exactly as I64. Duplicate keys keep the last value.
+   *
+   * @param {string|Uint8Array} input - JSON text or its UTF-8 bytes
+   * @param {Object} [options] - Constructor options (e.g. maxDepth)
+   * @returns {Lite3} New Lite3 instance
+   * @throws {Lite3Error} EBADMSG with line and column on syntax errors,
+   *   EINVAL for invalid UTF-8 in byte input
+   */
+  static parse(input, options) {
+    let bytes;
+    if (typeof input === 'string') {
+      bytes = encodeString(input);
+    } else if (input instanceof Uint8Array) {
+      bytes = input;
+    } else {
+      throw new Lite3Error('parse() expects a string or Uint8Array', ErrorCode.INVALID_ARGUMENT);
+    }
+
+    const reader = new JsonReader(bytes);
+    const lite3 = new Lite3(Math.max(1024, bytes.length * 2), options);
+
+    reader.skipWhitespace();
+    if (reader.peek() === 0x7B) { // {
+      lite3.initObject();
+      lite3._parseObject(reader, 0, 1);
+    } else if (reader.peek() === 0x5B) { // [
+      lite3.initArray();
+      lite3._parseArray(reader, 0, 1);
+    } else {
+      reader.fail(reader.done ? 'Unexpected end of input' : 'Root must be object or array');
+    }
+
+    reader.skipWhitespace();
+    if (!reader.done) {
+      reader.fail(reader.unexpected());
+    }
+
+    return lite3;
+  }
+
+  /**
+   * Parse JSON object members into the object at offset
+   *
+   * @private
+   */
+  _parseObject(reader, offset, depth) {
+    reader.expect(0x7B); // {
+    reader.skipWhitespace();
+    if (reader.consume(0x7D)) { // }
+      return;
+    }
+
+    while (true) {
+      reader.skipWhitespace();
+      const key = reader.readString();
+      reader.skipWhitespace();
+      reader.expect(0x3A); // :
+      reader.skipWhitespace();
+
+      const c = reader.peek();
+      if (c === 0x7B || c === 0x5B) {
+        this._checkParseDepth(reader, depth);
+        if (c === 0x7B) {
+          this._parseObject(reader, this.setObject(key, offset), depth + 1);
+        } else {
+          this._parseArray(reader, this.setArray(key, offset), depth + 1);
+        }
+      } else {
+        this._writeParsedScalar(reader, offset, key);
+      }
+
+      reader.skipWhitespace();
+      if (reader.consume(0x7D)) { // }
+        return;
+      }
+      reader.expect(0x2C); // ,
+    }
+  }
+
+  /**
+   * Parse JSON array elements into the array at offset
+   *
+   * @private
+   */
+  _parseArray(reader, arrayOffset, depth) {
+    reader.expect(0x5B); // [
+    reader.skipWhitespace();
+    if (reader.consume(0x5D)) { // ]
+      return;
+    }
+
+    while (true) {
+      reader.skipWhitespace();
+
+      const c = reader.peek();
+      if (c === 0x7B || c === 0x5B) {
+        this._checkParseDepth(reader, depth);
+        const index = getNodeSize(this._buffer, arrayOffset);
+        if (c === 0x7B) {
+          this._parseObject(reader, this._appendNestedImpl(arrayOffset, index, Type.OBJECT), depth + 1);
+        } else {
+          this._parseArray(reader, this._appendNestedImpl(arrayOffset, index, Type.ARRAY), depth + 1);
+        }
+      } else {
+        this._writeParsedScalar(reader, arrayOffset, null);
+      }
+
+      reader.skipWhitespace();
+      if (reader.consume(0x5D)) { // ]
+        return;
+      }
+      reader.expect(0x2C); // ,
+    }
+  }
+
+  /**
+   * Read scalar and set it at key, or append it if key is null
+   *
+   * @private
+   */
+  _writeParsedScalar(reader, offset, key) {
+    const value = reader.readScalar();
+
+    // Keep 1.0, 1e3 and -0 as F64, like the source text
+    if (typeof value === 'number' && Number.isInteger(value) && (reader.isFloat || Object.is(value, -0))) {
+      if (key !== null) {
+        this.setFloat64(key, value, offset);
+      } else {
+        this._appendPrimitiveImpl(offset, getNodeSize(this._buffer, offset), Type.F64, 8, (buf, off) => {
+          writeFloat64(buf, off, value);
+        });
+      }
+    } else if (key !== null) {
+      this.set(key, value, offset);
+    } else {
+      this.appendValue(value, offset);
+    }
+  }
+
+  /**
+   * Throw if nesting one level deeper exceeds the limit
+   *
+   * @private
+   */
+  _checkParseDepth(reader, depth) {
+    if (depth >= this._maxDepth) {
+      reader.fail(`Nesting depth exceeds ${this._maxDepth}`);
+    }
+  }
+
+  /**
+   * Create from existing buffer
+   *
+   * @param {Uint8Array} buffer - The buffer
+   * @param {number|Object} [length] - Used length (defaults to buffer length),
+   *   or the options with an optional length field
+   * @param {Object} [options] - Constructor options (e.g. maxDepth), plus:
+   * @param {boolean} [options.validate=false] - Run Lite3.validate() first
+   * @param {number} [options.maxSize] - Maximum used length, also passed to
+   *   Lite3.validate()
+   * @returns {Lite3} New Lite3 instance
+   */
+  static fromBuffer(buffer, length, options) {
+    if (typeof length === 'object' && length !== null) {
+      options = length;
+      length = options.length;
+    }
+    if (options?.validate) {
+      Lite3.validate(buffer, { ...options, length });
+    }
+
+    const lite3 = new Lite3(buffer.length, options);
+    lite3._buffer.set(buffer);
+    lite3._buflen = length ?? buffer.length;
+    lite3._initialized = true;
+    return lite3;
+  }
+
+  /**
+   * Wrap an existing buffer without copying it
+   *
+   * Reads and in-place writes go straight to the caller's memory. When a
+   * write needs more room than buffer.length, a growable document moves to
+   * a private, larger copy (the caller's buffer is left as it was at that
+   * point); otherwise the write throws ENOBUFS.
+   *
+   * @param {Uint8Array} buffer - The buffer to alias
+   * @param {Object} [options] - Constructor options (e.g. maxDepth), plus:
+   * @param {number} [options.length] - Used length (defaults to buffer length)
+   * @param {boolean} [options.readOnly=false] - Reject all mutating methods
+   *   with EROFS
+   * @param {boolean} [options.growable=true] - Copy on grow instead of
+   *   throwing ENOBUFS
+   * @param {boolean} [options.validate=false] - Run Lite3.validate() first
+   * @param {number} [options.maxSize] - Maximum used length, also passed to
+   *   Lite3.validate()
+   * @returns {Lite3} New Lite3 instance sharing buffer's memory
+   */
+  static wrap(buffer, options = {}) {
+    if (!(buffer instanceof Uint8Array)) {
+      throw new Lite3Error('wrap() expects a Uint8Array', ErrorCode.INVALID_ARGUMENT);
+    }
+    const { length = buffer.length, readOnly = false, growable = true } = options;
+    if (options.validate) {
+      Lite3.validate(buffer, { ...options, length });
+    } else if (!Number.isInteger(length) || length < 0 || length > buffer.length) {
+      throw new Lite3Error(`Invalid length: ${length}`, ErrorCode.INVALID_ARGUMENT);
+    }
+
+    const lite3 = new Lite3(0, options);
+    lite3._buffer = buffer;
+    lite3._buflen = length;
+    lite3._initialized = true;
+    lite3._readOnly = readOnly;
+    lite3._growable = growable;
+    return lite3;
+  }
+
+  /**
+   * Create a document backed by a new SharedArrayBuffer
+   *
+   * The document cannot grow past capacity (writes throw ENOBUFS) and may
+   * only be modified inside write(). Post sharedBuffer to workers and open
+   * it there with Lite3.fromShared().
+   *
+   * @param {number} [capacity=1024] - Data capacity in bytes
+   * @param {Object} [options] - Constructor options (e.g. maxDepth)
+   * @returns {Lite3} New shared Lite3 instance (not initialized)
+   */
+  static createShared(capacity = 1024, options) {
+    if (!Number.isInteger(capacity) || capacity < Node.SIZE) {
+      throw new Lite3Error(`Invalid capacity: ${capacity}`, ErrorCode.INVALID_ARGUMENT);
+    }
+    return Lite3.fromShared(new SharedArrayBuffer(SharedHeader.SIZE + capacity), options);
+  }
+
+  /**
+   * Open a document created by Lite3.createShared()
+   *
+   * @param {SharedArrayBuffer} sharedBuffer - The sharedBuffer of the document
+   * @param {Object} [options] - Constructor options (e.g. maxDepth)
+   * @returns {Lite3} New Lite3 instance sharing the document
+   */
+  static fromShared(sharedBuffer, options) {
+    if (!(sharedBuffer instanceof SharedArrayBuffer) || sharedBuffer.byteLength < SharedHeader.SIZE + Node.SIZE) {
+      throw new Lite3Error('fromShared() expects the sharedBuffer of a shared document', ErrorCode.INVALID_ARGUMENT);
+    }
+
+    const lite3 = new Lite3(0, options);
+    lite3._buffer = new Uint8Array(sharedBuffer, SharedHeader.SIZE);
+    lite3._control = new Int32Array(sharedBuffer, 0, SharedHeader.SIZE / 4);
+    lite3._genWord = new Int32Array(sharedBuffer, SharedHeader.SIZE, 1);
+    lite3._growable = false;
+    lite3._syncLength();
+    return lite3;
+  }
+
+  /**
+   * Check that an untrusted buffer is well-formed
+   *
+   * Walks every node, key and value: offsets and lengths must stay within
+   * length, node hashes must be ordered and match their keys, trees must be
+   * balanced and at most Node.TREE_HEIGHT_MAX high, strings and keys must be
+   * valid UTF-8, and no node or entry may overlap another (so no cycles).
+   *
+   * @param {Uint8Array} buffer - The buffer
+   * @param {Object} [options]
+   * @param {number} [options.length] - Used length (defaults to buffer length)
+   * @param {number} [options.maxDepth=JSON_NESTING_DEPTH_MAX] - Maximum nesting
+   * @param {number} [options.maxSize=BUF_SIZE_MAX] - Maximum used length
+   * @throws {Lite3Error} EFAULT for out-of-range offsets, EBADMSG for malformed
+   *   data; the error's offset property points at the problem
+   */
+  static validate(buffer, { length, maxDepth = JSON_NESTING_DEPTH_MAX, maxSize = BUF_SIZE_MAX } = {}) {
+    if (!(buffer instanceof Uint8Array)) {
+      throw new Lite3Error('validate() expects a Uint8Array', ErrorCode.INVALID_ARGUMENT);
+    }
+    length = length ?? buffer.length;
+    if (!Number.isInteger(length) || length < 0 || length > buffer.length) {
+      throw new Lite3Error(`Invalid length: ${length}`, ErrorCode.INVALID_ARGUMENT);
+    }
+
+    new BufferValidator(buffer, length, maxDepth, maxSize).run();
+  }
+
+  /**
+   * Create compacted copy of an existing buffer
+   *
+   * @param {Uint8Array} buffer - The buffer
+   * @param {number} [length] - Used length (defaults to buffer length)
+   * @returns {Lite3} New Lite3 instance with capacity fitted to its length
+   */
+  static compacted(buffer, length) {
+    const lite3 = Lite3.fromBuffer(buffer, length);
+    lite3.compact({ shrink: true });
+    return lite3;
+  }
+
+  /**
+   * Get the type of root
+   *
+   * @returns {number} Type.OBJECT or Type.ARRAY
+   */
+  getType() {
+    this._checkInitialized();
+    return getNodeType(this._buffer, 0);
+  }
+
+  /**
+   * Get a frozen, read-only copy of the document
+   * Offsets stay valid in the copy, and writes to this document do not
+   * affect it.
+   *
+   * @returns {Lite3} The copy
+   */
+  snapshot() {
+    this._checkInitialized();
+    const bytes = this.read(() => this._buffer.slice(0, this._buflen));
+    return Lite3.wrap(bytes, { readOnly: true, maxDepth: this._maxDepth, keyOrder: this._keyOrder });
+  }
+
+  /**
+   * Get reference to the root object/array
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.snapshot=false] - Refer into a snapshot(), so
+   *   iteration is unaffected by writes to this document
+   * @returns {Lite3Ref} Reference to the root
+   */
+  root({ snapshot = false } = {}) {
+    this._checkInitialized();
+    return new Lite3Ref(snapshot ? this.snapshot() : this, 0);
+  }
+
+  /**
+   * Get a live Proxy facade over an object/array
+   *
+   * Property reads decode lazily and nested objects/arrays come back as
+   * further proxies; writes go through set()/setAt(). Array proxies work
+   * with Array.prototype methods (map, push, ...) and Array.isArray().
+   * Proxies follow their path from the root, so they survive compact(),
+   * rename() and move() elsewhere; once the path no longer leads to an
+   * object/array of the same type, using the proxy throws EINVAL.
+   *
+   * @param {number} [offset=0] - Object/array offset
+   * @returns {Object|Array} Proxy over the object/array
+   * @throws {Lite3Error} EINVAL if offset is not a reachable object/array
+   */
+  asObject(offset = 0) {
+    this._checkInitialized();
+    const path = this._pathTo(offset);
+    if (path === null) {
+      throw new Lite3Error(`Not an object or array at offset ${offset}`, ErrorCode.INVALID_ARGUMENT);
+    }
+    return this._proxyFor(path, offset, new Map());
+  }
+
+  /**
+   * Get array-like view over an array
+   *
+   * @param {number} [offset=0] - Array offset
+   * @param {Object} [options]
+   * @param {boolean} [options.snapshot=false] - View a snapshot(), so
+   *   callbacks may write to this document
+   * @returns {Lite3ArrayView} View over the array
+   */
+  arrayView(offset = 0, { snapshot = false } = {}) {
+    this._checkInitialized();
+    return new Lite3ArrayView(snapshot ? this.snapshot() : this, offset);
+  }
+
+  /**
+   * Iterate root entries: [key, value] pairs (object) or values (array)
+   */
+  *[Symbol.iterator]() {
+    this._checkInitialized();
+    if (getNodeType(this._buffer, 0) === Type.OBJECT) {
+      yield* this.iterEntries(0);
+    } else {
+      yield* this.iterValues(0);
+    }
+  }
+
+  /**
+   * Lazily iterate raw entries without decoding values
+   * The valueOffset of a nested object/array can be passed as the offset
+   * of other methods to descend into it, or ignored to skip the subtree.
+   *
+   * @param {number} [offset=0] - Object/array offset
+   * @param {Object} [options]
+   * @param {string} [options.keyOrder] - Key order (default: the instance's)
+   * @generator
+   * @yields {{ key: string|number, type: number, valueOffset: number, kvOffset: number }}
+   *   key is the index for arrays; kvOffset equals valueOffset for arrays
+   */
+  *iterRaw(offset = 0, options = {}) {
+    this._checkInitialized();
+    const keyOrder = this._keyOrderOption(options);
+
+    let index = 0;
+    for (const { key, valueOffset, kvOffset } of this._iterateOrdered(offset, keyOrder)) {
+      yield { key: key ?? index, type: this._buffer[valueOffset], valueOffset, kvOffset };
+      index++;
+    }
+  }
+
+  /**
+   * Lazily iterate keys of object
+   *
+   * @param {number} [offset=0] - Object offset
+   * @param {Object} [options]
+   * @param {string} [options.keyOrder] - Key order (default: the instance's)
+   * @param {boolean} [options.snapshot=false] - Iterate a snapshot()
+   * @generator
+   * @yields {string}
+   */
+  *iterKeys(offset = 0, options = {}) {
+    this._checkInitialized();
+    const keyOrder = this._keyOrderOption(options);
+    const doc = options.snapshot ? this.snapshot() : this;
+
+    for (const { key } of doc._iterateOrdered(offset, keyOrder)) {
+      if (key !== null) {
+        yield key;
+      }
+    }
+  }
+
+  /**
+   * Lazily iterate values of object/array, decoding one at a time
+   *
+   * @param {number} [offset=0] - Object/array offset
+   * @param {Object} [options]
+   * @param {string} [options.keyOrder] - Key order (default: the instance's)
+   * @param {boolean} [options.snapshot=false] - Iterate a snapshot()
+   * @generator
+   * @yields {*}
+   */
+  *iterValues(offset = 0, options = {}) {
+    this._checkInitialized();
+    const keyOrder = this._keyOrderOption(options);
+    const doc = options.snapshot ? this.snapshot() : this;
+
+    for (const { valueOffset } of doc._iterateOrdered(offset, keyOrder)) {
+      yield doc._readValue(valueOffset, 1, keyOrder);
+    }
+  }
+
+  /**
+   * Lazily iterate entries of object, decoding one value at a time
+   *
+   * @param {number} [offset=0] - Object offset
+   * @param {Object} [options]
+   * @param {string} [options.keyOrder] - Key order (default: the instance's)
+   * @param {boolean} [options.snapshot=false] - Iterate a snapshot()
+   * @generator
+   * @yields {Array} [key, value] pair
+   */
+  *iterEntries(offset = 0, options = {}) {
+    this._checkInitialized();
+    const keyOrder = this._keyOrderOption(options);
+    const doc = options.snapshot ? this.snapshot() : this;
+
+    for (const { key, valueOffset } of doc._iterateOrdered(offset, keyOrder)) {
+      if (key !== null) {
+        yield [key, doc._readValue(valueOffset, 1, keyOrder)];
+      }
+    }
+  }
+
+  /**
+   * Get keys of object
+   *
+   * @param {number} [offset=0] - Object offset
+   * @param {Object} [options]
+   * @param {string} [options.keyOrder] - Key order (default: the instance's)
+   * @returns {string[]} Array of keys
+   */
+  keys(offset = 0, options) {
+    this._checkInitialized();
+    return [...this.iterKeys(offset, options)];
+  }
+
+  /**
+   * Get values of object/array
+   *
+   * @param {number} [offset=0] - Object/array offset
+   * @param {Object} [options]
+   * @param {string} [options.keyOrder] - Key order (default: the instance's)
+   * @returns {Array} Array of values
+   */
+  values(offset = 0, options) {
+    this._checkInitialized();
+    return [...this.iterValues(offset, options)];
+  }
+
+  /**
+   * Get entries of object
+   *
+   * @param {number} [offset=0] - Object offset
+   * @param {Object} [options]
+   * @param {string} [options.keyOrder] - Key order (default: the instance's)
+   * @returns {Array<[string, *]>} Array of [key, value] pairs
+   */
+  entries(offset = 0, options) {
+    this._checkInitialized();
+    return [...this.iterEntries(offset, options)];
+  }
+}
+
+/**
+ * Lite3Ref class - Handle to an object or array inside a Lite3 document
+ *
+ * Remembers the node offset and the document generation at creation.
+ * Any mutation of the document that is not made through this ref makes
+ * it stale; using a stale ref throws EINVAL instead of reading freed nodes.
+ */
+export class Lite3Ref {
+  /**
+   * Create a reference (use Lite3#root(), #child() or #at())
+   *
+   * @param {Lite3} doc - The document
+   * @param {number} offset - Object/array offset
+   */
+  constructor(doc, offset) {
+    this._doc = doc;
+    this._offset = offset;
+    this._generation = getNodeGeneration(doc._buffer, 0);
+  }
+
+  /**
+   * Get the object/array offset, for use as offset argument
+   * @returns {number} Offset
+   */
+  get offset() {
+    this._checkFresh();
+    return this._offset;
+  }
 
-      // Update original node
-      setNodeKeyCount(this._buffer, newNodeOffset, Node.KEY_COUNT_MIN);
+  /**
+   * Get the type
+   * @returns {number} Type.OBJECT or Type.ARRAY
+   */
+  get type() {
+    this._checkFresh();
+    return getNodeType(this._doc._buffer, this._offset);
+  }
 
-      this._buflen = siblingOffset + Node.SIZE;
-    } else {
-      // Regular split
-      const siblingOffset = buflenAligned;
+  /**
+   * Get the number of entries
+   * @returns {number} Number of entries
+   */
+  get size() {
+    this._checkFresh();
+    return getNodeSize(this._doc._buffer, this._offset);
+  }
 
-      // Shift parent entries
-      const parentKeyCount = getNodeKeyCount(this._buffer, parent);
-      for (let j = parentKeyCount; j > parentIndex; j--) {
-        setNodeHash(this._buffer, parent, j, getNodeHash(this._buffer, parent, j - 1));
-        setNodeKvOffset(this._buffer, parent, j, getNodeKvOffset(this._buffer, parent, j - 1));
-        setNodeChildOffset(this._buffer, parent, j + 1, getNodeChildOffset(this._buffer, parent, j));
-      }
+  /**
+   * Check if the document was modified since this ref was created
+   * @returns {boolean} True if the ref can no longer be used
+   */
+  get stale() {
+    return getNodeGeneration(this._doc._buffer, 0) !== this._generation;
+  }
 
-      // Move median to parent
-      const medianHash = getNodeHash(this._buffer, nodeOffset, Node.KEY_COUNT_MIN);
-      const medianKvOfs = getNodeKvOffset(this._buffer, nodeOffset, Node.KEY_COUNT_MIN);
-      setNodeHash(this._buffer, parent, parentIndex, medianHash);
-      setNodeKvOffset(this._buffer, parent, parentIndex, medianKvOfs);
-      setNodeChildOffset(this._buffer, parent, parentIndex + 1, siblingOffset);
-      setNodeKeyCount(this._buffer, parent, parentKeyCount + 1);
+  /**
+   * Get reference to nested object/array at key
+   *
+   * @param {string} key - The key
+   * @returns {Lite3Ref} Reference to the child
+   * @throws {Lite3Error} ENOENT if not found, EINVAL if not an object/array
+   */
+  child(key) {
+    this._checkFresh();
+    this._checkType(Type.OBJECT);
+    return this._childRef(key);
+  }
 
-      // Create sibling
-      initNode(this._buffer, siblingOffset, getNodeType(this._buffer, nodeOffset));
+  /**
+   * Get reference to nested object/array at array index
+   *
+   * @param {number} index - The index
+   * @returns {Lite3Ref} Reference to the child
+   * @throws {Lite3Error} ENOENT if not found, EINVAL if not an object/array
+   */
+  at(index) {
+    this._checkFresh();
+    this._checkType(Type.ARRAY);
+    return this._childRef(index);
+  }
 
-      // Copy right half to sibling
-      for (let j = 0; j < Node.KEY_COUNT_MIN; j++) {
-        setNodeHash(this._buffer, siblingOffset, j,
-          getNodeHash(this._buffer, nodeOffset, j + Node.KEY_COUNT_MIN + 1));
-        setNodeKvOffset(this._buffer, siblingOffset, j,
-          getNodeKvOffset(this._buffer, nodeOffset, j + Node.KEY_COUNT_MIN + 1));
-        setNodeChildOffset(this._buffer, siblingOffset, j,
-          getNodeChildOffset(this._buffer, nodeOffset, j + Node.KEY_COUNT_MIN + 1));
-      }
-      setNodeChildOffset(this._buffer, siblingOffset, Node.KEY_COUNT_MIN,
-        getNodeChildOffset(this._buffer, nodeOffset, Node.KEY_COUNT_MAX));
-      setNodeKeyCount(this._buffer, siblingOffset, Node.KEY_COUNT_MIN);
+  /**
+   * Get value at key (objects) or index (arrays)
+   *
+   * @param {string|number} keyOrIndex - The key or index
+   * @returns {*} The value or undefined if not found
+   */
+  get(keyOrIndex) {
+    this._checkFresh();
+    const valOffset = this._doc._childValueOffset(this._offset, keyOrIndex);
+    return valOffset === -1 ? undefined : this._doc._readValue(valOffset);
+  }
 
-      // Update original node
-      setNodeKeyCount(this._buffer, nodeOffset, Node.KEY_COUNT_MIN);
+  /**
+   * Set value at key (objects) or index (arrays, index === size appends)
+   * The ref stays valid; other refs to the document become stale.
+   *
+   * @param {string|number} keyOrIndex - The key or index
+   * @param {*} value - The value
+   * @returns {Lite3Ref} this ref for chaining
+   */
+  set(keyOrIndex, value) {
+    this._checkFresh();
+    if (getNodeType(this._doc._buffer, this._offset) === Type.ARRAY) {
+      this._doc.setAt(keyOrIndex, value, this._offset);
+    } else {
+      this._doc.set(keyOrIndex, value, this._offset);
+    }
+    this._generation = getNodeGeneration(this._doc._buffer, 0);
+    return this;
+  }
 
-      this._buflen = siblingOffset + Node.SIZE;
+  /**
+   * Convert to plain JavaScript object/array
+   *
+   * @returns {Object|Array} Plain JS object or array
+   */
+  toJSON() {
+    this._checkFresh();
+    return this._doc._readValue(this._offset);
+  }
+
+  /**
+   * Iterate [key, value] pairs (objects) or values (arrays)
+   */
+  *[Symbol.iterator]() {
+    this._checkFresh();
+    const isObject = getNodeType(this._doc._buffer, this._offset) === Type.OBJECT;
+
+    for (const { key, valueOffset } of this._doc._iterateOrdered(this._offset, this._doc._keyOrder)) {
+      const value = this._doc._readValue(valueOffset);
+      yield isObject ? [key, value] : value;
+      this._checkFresh();
     }
   }
 
   /**
-   * Write key entry
+   * Throw if the document was modified
    *
    * @private
    */
-  _writeKey(offset, tagSize, keySize, keyEncoded) {
-    const tagValue = ((keySize << KeyTag.KEY_SIZE_SHIFT) | (tagSize - 1)) >>> 0;
-    writeVarUint(this._buffer, offset, tagValue, tagSize);
-    copyBytes(this._buffer, offset + tagSize, keyEncoded, 0, keyEncoded.length);
-    this._buffer[offset + tagSize + keyEncoded.length] = 0; // Null terminator
+  _checkFresh() {
+    if (this.stale) {
+      throw new Lite3Error('Stale reference: document was modified', ErrorCode.INVALID_ARGUMENT);
+    }
   }
 
   /**
-   * Skip over key entry and return value offset
+   * Throw if this ref is not of type
    *
    * @private
    */
-  _skipKey(kvOffset) {
-    const tagByte = this._buffer[kvOffset];
-    const tagSize = (tagByte & KeyTag.SIZE_MASK) + 1;
-    const keySize = readVarUint(this._buffer, kvOffset, tagSize) >>> KeyTag.KEY_SIZE_SHIFT;
-    return kvOffset + tagSize + keySize;
+  _checkType(type) {
+    if (getNodeType(this._doc._buffer, this._offset) !== type) {
+      throw new Lite3Error(`Reference is not ${type === Type.OBJECT ? 'an object' : 'an array'}`, ErrorCode.INVALID_ARGUMENT);
+    }
   }
 
   /**
-   * Get size of value at offset
+   * Create ref for nested object/array
    *
    * @private
    */
-  _getValueSize(valOffset) {
-    const type = this._buffer[valOffset];
-    const baseSize = TypeSizes[type] || 0;
+  _childRef(keyOrIndex) {
+    const valOffset = this._doc._childValueOffset(this._offset, keyOrIndex);
+    if (valOffset === -1) {
+      throw new Lite3Error(`Not found: ${keyOrIndex}`, ErrorCode.KEY_NOT_FOUND);
+    }
 
-    if (type === Type.STRING || type === Type.BYTES) {
-      const dataLen = readUint32(this._buffer, valOffset + VAL_SIZE);
-      return VAL_SIZE + 4 + dataLen;
-    } else if (type === Type.OBJECT || type === Type.ARRAY) {
-      return Node.SIZE;
+    const type = this._doc._buffer[valOffset];
+    if (type !== Type.OBJECT && type !== Type.ARRAY) {
+      throw new Lite3Error(`Not an object or array: ${keyOrIndex}`, ErrorCode.INVALID_ARGUMENT);
     }
 
-    return VAL_SIZE + baseSize;
+    return new Lite3Ref(this._doc, valOffset);
   }
+}
 
+/**
+ * Lite3ArrayView class - Read-only, array-like view over a Lite3 array
+ *
+ * Elements are visited in order through the B-tree iterator and decoded
+ * one at a time, only when a callback or result needs them.
+ */
+export class Lite3ArrayView {
   /**
-   * Get value at key
+   * Create a view (use Lite3#arrayView())
    *
-   * @param {string} key - The key
-   * @param {number} [offset=0] - Parent object offset
-   * @returns {*} The value
+   * @param {Lite3} doc - The document
+   * @param {number} offset - Array offset
    */
-  get(key, offset = 0) {
-    this._checkInitialized();
-
-    const keyData = getKeyData(key);
-    const result = this._findKey(offset, keyData.hash);
-
-    if (!result) {
-      return undefined;
+  constructor(doc, offset) {
+    if (getNodeType(doc._buffer, offset) !== Type.ARRAY) {
+      throw new Lite3Error('arrayView() requires an array', ErrorCode.INVALID_ARGUMENT);
     }
+    this._doc = doc;
+    this._offset = offset;
+  }
 
-    const kvOffset = getNodeKvOffset(this._buffer, result.nodeOffset, result.index);
-    const valOffset = this._skipKey(kvOffset);
-
-    return this._readValue(valOffset);
+  /**
+   * Get the number of elements
+   * @returns {number} Number of elements
+   */
+  get length() {
+    return getNodeSize(this._doc._buffer, this._offset);
   }
 
   /**
-   * Get value at array index
+   * Get element at index (negative counts from the end)
    *
    * @param {number} index - The index
-   * @param {number} [arrayOffset=0] - Array offset
-   * @returns {*} The value
+   * @returns {*} The value or undefined if out of range
    */
-  getAt(index, arrayOffset = 0) {
-    this._checkInitialized();
-
-    const result = this._findKey(arrayOffset, index);
-
-    if (!result) {
-      return undefined;
-    }
-
-    const kvOffset = getNodeKvOffset(this._buffer, result.nodeOffset, result.index);
-    // For arrays, kvOffset points directly to value (no key)
-    return this._readValue(kvOffset);
+  at(index) {
+    const i = Math.trunc(index) || 0;
+    return this._doc.getAt(i < 0 ? this.length + i : i, this._offset);
   }
 
   /**
-   * Check if key exists
+   * Call fn for each element
    *
-   * @param {string} key - The key
-   * @param {number} [offset=0] - Parent object offset
-   * @returns {boolean} True if key exists
+   * @param {Function} fn - Called with (value, index, view)
+   * @param {*} [thisArg] - this for fn
    */
-  has(key, offset = 0) {
-    this._checkInitialized();
-
-    const keyData = getKeyData(key);
-    const result = this._findKey(offset, keyData.hash);
-    return result !== null;
+  forEach(fn, thisArg) {
+    for (const [index, value] of this._entries()) {
+      fn.call(thisArg, value, index, this);
+    }
   }
 
   /**
-   * Get the size of the object/array at offset
+   * Map elements to a new plain array
    *
-   * @param {number} [offset=0] - Object/array offset
-   * @returns {number} Number of entries
+   * @param {Function} fn - Called with (value, index, view)
+   * @param {*} [thisArg] - this for fn
+   * @returns {Array} Mapped values
    */
-  size(offset = 0) {
-    this._checkInitialized();
-    return getNodeSize(this._buffer, offset);
+  map(fn, thisArg) {
+    const result = [];
+    for (const [index, value] of this._entries()) {
+      result.push(fn.call(thisArg, value, index, this));
+    }
+    return result;
   }
 
   /**
-   * Find key in B-tree
+   * Collect elements for which fn returns truthy
    *
-   * @private
-   * @returns {{ nodeOffset: number, index: number } | null}
+   * @param {Function} fn - Called with (value, index, view)
+   * @param {*} [thisArg] - this for fn
+   * @returns {Array} Matching values
    */
-  _findKey(rootOffset, hash) {
-    let nodeOffset = rootOffset;
-    let nodeWalks = 0;
-
-    while (true) {
-      const keyCount = getNodeKeyCount(this._buffer, nodeOffset);
-
-      let i = 0;
-      while (i < keyCount && getNodeHash(this._buffer, nodeOffset, i) < hash) {
-        i++;
-      }
-
-      if (i < keyCount && getNodeHash(this._buffer, nodeOffset, i) === hash) {
-        return { nodeOffset, index: i };
+  filter(fn, thisArg) {
+    const result = [];
+    for (const [index, value] of this._entries()) {
+      if (fn.call(thisArg, value, index, this)) {
+        result.push(value);
       }
+    }
+    return result;
+  }
 
-      if (hasChildren(this._buffer, nodeOffset)) {
-        nodeOffset = getNodeChildOffset(this._buffer, nodeOffset, i);
-        nodeWalks++;
-
-        if (nodeWalks > Node.TREE_HEIGHT_MAX) {
-          throw new Lite3Error('Tree height exceeded maximum', ErrorCode.BAD_MESSAGE);
-        }
-      } else {
-        return null;
+  /**
+   * Find first element for which fn returns truthy
+   *
+   * @param {Function} fn - Called with (value, index, view)
+   * @param {*} [thisArg] - this for fn
+   * @returns {*} The value or undefined
+   */
+  find(fn, thisArg) {
+    for (const [index, value] of this._entries()) {
+      if (fn.call(thisArg, value, index, this)) {
+        return value;
       }
     }
+    return undefined;
   }
 
   /**
-   * Read value at offset
+   * Check if fn returns truthy for any element
    *
-   * @private
+   * @param {Function} fn - Called with (value, index, view)
+   * @param {*} [thisArg] - this for fn
+   * @returns {boolean} True if any element matches
    */
-  _readValue(valOffset) {
-    const type = this._buffer[valOffset];
+  some(fn, thisArg) {
+    return this._findIndex(fn, thisArg) !== -1;
+  }
 
-    switch (type) {
-      case Type.NULL:
-        return null;
+  /**
+   * Check if fn returns truthy for every element
+   *
+   * @param {Function} fn - Called with (value, index, view)
+   * @param {*} [thisArg] - this for fn
+   * @returns {boolean} True if all elements match
+   */
+  every(fn, thisArg) {
+    return this._findIndex((value, index, view) => !fn.call(thisArg, value, index, view)) === -1;
+  }
 
-      case Type.BOOL:
-        return this._buffer[valOffset + VAL_SIZE] !== 0;
+  /**
+   * Reduce elements to a single value
+   *
+   * @param {Function} fn - Called with (accumulator, value, index, view)
+   * @param {*} [initialValue] - Initial accumulator (defaults to first element)
+   * @returns {*} Accumulated value
+   */
+  reduce(fn, ...initialValue) {
+    const entries = this._entries();
+    let acc;
 
-      case Type.I64: {
-        const val = readInt64(this._buffer, valOffset + VAL_SIZE);
-        // Convert to number if safe
-        if (val >= -9007199254740991n && val <= 9007199254740991n) {
-          return Number(val);
-        }
-        return val;
+    if (initialValue.length > 0) {
+      acc = initialValue[0];
+    } else {
+      const first = entries.next();
+      if (first.done) {
+        throw new TypeError('Reduce of empty array with no initial value');
       }
+      acc = first.value[1];
+    }
 
-      case Type.F64:
-        return readFloat64(this._buffer, valOffset + VAL_SIZE);
+    for (const [index, value] of entries) {
+      acc = fn(acc, value, index, this);
+    }
+    return acc;
+  }
 
-      case Type.STRING: {
-        const len = readUint32(this._buffer, valOffset + VAL_SIZE);
-        // len includes null terminator
-        return decodeString(this._buffer, valOffset + VAL_SIZE + 4, len - 1);
-      }
+  /**
+   * Copy a range of elements to a plain array
+   *
+   * @param {number} [start=0] - Start index (negative counts from the end)
+   * @param {number} [end=length] - End index, exclusive (negative counts from the end)
+   * @returns {Array} Values in range
+   */
+  slice(start = 0, end = this.length) {
+    const length = this.length;
+    const from = this._clampIndex(start, length);
+    const to = this._clampIndex(end, length);
 
-      case Type.BYTES: {
-        const len = readUint32(this._buffer, valOffset + VAL_SIZE);
-        return this._buffer.slice(valOffset + VAL_SIZE + 4, valOffset + VAL_SIZE + 4 + len);
+    const result = [];
+    for (const [index, value] of this._entries(from)) {
+      if (index >= to) {
+        break;
       }
+      result.push(value);
+    }
+    return result;
+  }
 
-      case Type.OBJECT:
-        return this._readObject(valOffset);
+  /**
+   * Find index of first element strictly equal to value
+   * Only primitives can match, since elements are decoded to new objects.
+   * Elements are compared in place, without being decoded.
+   *
+   * @param {*} value - Value to search for
+   * @param {number} [fromIndex=0] - Start index (negative counts from the end)
+   * @returns {number} Index or -1 if not found
+   */
+  indexOf(value, fromIndex = 0) {
+    if ((typeof value === 'object' && value !== null) || typeof value === 'function' || value === undefined) {
+      return -1;
+    }
 
-      case Type.ARRAY:
-        return this._readArray(valOffset);
+    const from = this._clampIndex(fromIndex, this.length);
+    // Raw form of the value: UTF-8 bytes, or the I64 of a safe integer
+    let raw = null;
+    if (typeof value === 'string') {
+      raw = encodeString(value);
+    } else if (Number.isSafeInteger(value)) {
+      raw = BigInt(value);
+    }
+    for (const { valueOffset, hash } of this._doc._iterate(this._offset, from)) {
+      if (this._equalsAt(valueOffset, value, raw)) {
+        return hash;
+      }
+    }
+    return -1;
+  }
 
-      default:
-        throw new Lite3Error(`Invalid value type: ${type}`, ErrorCode.BAD_MESSAGE);
+  /**
+   * Iterate values
+   */
+  *[Symbol.iterator]() {
+    for (const [, value] of this._entries()) {
+      yield value;
     }
   }
 
   /**
-   * Read object at offset
+   * Iterate [index, value] pairs in order
+   * Elements before start are skipped without being visited.
    *
    * @private
    */
-  _readObject(nodeOffset) {
-    const result = {};
-
-    for (const { key, valueOffset } of this._iterate(nodeOffset)) {
-      result[key] = this._readValue(valueOffset);
+  *_entries(start = 0) {
+    // Array entries are keyed by their index
+    for (const { valueOffset, hash } of this._doc._iterate(this._offset, start)) {
+      yield [hash, this._doc._readValue(valueOffset)];
     }
-
-    return result;
   }
 
   /**
-   * Read array at offset
+   * Check if the element at valOffset would decode to a value === value
    *
    * @private
+   * @param {Uint8Array|bigint|null} raw - UTF-8 bytes of a string value, or
+   *   a safe integer value as bigint
    */
-  _readArray(nodeOffset) {
-    const result = [];
-    const size = getNodeSize(this._buffer, nodeOffset);
-
-    for (let i = 0; i < size; i++) {
-      const findResult = this._findKey(nodeOffset, i);
-      if (findResult) {
-        const kvOffset = getNodeKvOffset(this._buffer, findResult.nodeOffset, findResult.index);
-        result.push(this._readValue(kvOffset));
+  _equalsAt(valOffset, value, raw) {
+    const buffer = this._doc._buffer;
+    const type = buffer[valOffset];
+    const dataOffset = valOffset + VAL_SIZE;
+
+    switch (typeof value) {
+      case 'string': {
+        if (type !== Type.STRING) {
+          return false;
+        }
+        const len = readUint32(buffer, dataOffset) - 1;
+        return len === raw.length && compareBytes(buffer, dataOffset + 4, len, raw, 0, len) === 0;
       }
+      case 'boolean':
+        return type === Type.BOOL && (buffer[dataOffset] !== 0) === value;
+      case 'number':
+        if (type === Type.F64) {
+          return readFloat64(buffer, dataOffset) === value;
+        }
+        // I64 decodes to a number only within the safe range
+        return type === Type.I64 && raw !== null && readInt64(buffer, dataOffset) === raw;
+      case 'bigint': {
+        if (type !== Type.I64) {
+          return false;
+        }
+        const val = readInt64(buffer, dataOffset);
+        return val === value && (val < -9007199254740991n || val > 9007199254740991n);
+      }
+      default:
+        return value === null && type === Type.NULL;
     }
+  }
 
-    return result;
+  /**
+   * Find index of first element for which fn returns truthy
+   *
+   * @private
+   */
+  _findIndex(fn, thisArg) {
+    for (const [index, value] of this._entries()) {
+      if (fn.call(thisArg, value, index, this)) {
+        return index;
+      }
+    }
+    return -1;
   }
 
   /**
-   * Iterate over entries in object/array
+   * Clamp relative index like Array.prototype.slice()
    *
    * @private
-   * @generator
-   * @yields {{ key: string|null, valueOffset: number }}
    */
-  *_iterate(rootOffset) {
-    const type = getNodeType(this._buffer, rootOffset);
-    const isObject = type === Type.OBJECT;
+  _clampIndex(index, length) {
+    const i = Math.trunc(index) || 0;
+    return i < 0 ? Math.max(length + i, 0) : Math.min(i, length);
+  }
+}
 
-    const stack = [{ nodeOffset: rootOffset, index: 0 }];
+/**
+ * BufferValidator class - Structural checks used by Lite3.validate()
+ *
+ * @private
+ */
+class BufferValidator {
+  constructor(buffer, length, maxDepth, maxSize) {
+    this.buffer = buffer;
+    this.length = length;
+    this.maxDepth = maxDepth;
+    this.maxSize = maxSize;
+    this.nodes = new Set();
+    // [start, end) of every node and entry, for the overlap check
+    this.regions = [];
+  }
 
-    // Go to leftmost leaf
-    while (hasChildren(this._buffer, stack[stack.length - 1].nodeOffset)) {
-      const childOffset = getNodeChildOffset(this._buffer, stack[stack.length - 1].nodeOffset, 0);
-      stack.push({ nodeOffset: childOffset, index: 0 });
+  run() {
+    if (this.length > this.maxSize) {
+      this.fail(`Buffer length ${this.length} exceeds maxSize ${this.maxSize}`, 0);
+    }
+    if (this.length < Node.SIZE) {
+      this.fail('Buffer too small for root node', 0);
     }
 
-    while (stack.length > 0) {
-      const current = stack[stack.length - 1];
-      const keyCount = getNodeKeyCount(this._buffer, current.nodeOffset);
+    const type = this.buffer[0];
+    if (type !== Type.OBJECT && type !== Type.ARRAY) {
+      this.fail('Root must be object or array', 0);
+    }
 
-      if (current.index >= keyCount) {
-        stack.pop();
-        if (stack.length > 0) {
-          const parent = stack[stack.length - 1];
-          const parentKeyCount = getNodeKeyCount(this._buffer, parent.nodeOffset);
+    this.checkContainer(0, 1);
+    this.checkOverlap();
+  }
 
-          if (parent.index < parentKeyCount) {
-            const kvOffset = getNodeKvOffset(this._buffer, parent.nodeOffset, parent.index);
+  fail(message, offset, code = ErrorCode.BAD_MESSAGE) {
+    const err = new Lite3Error(`${message} at offset ${offset}`, code);
+    err.offset = offset;
+    throw err;
+  }
 
-            if (isObject) {
-              const key = this._readKey(kvOffset);
-              const valueOffset = this._skipKey(kvOffset);
-              yield { key, valueOffset };
-            } else {
-              yield { key: null, valueOffset: kvOffset };
-            }
+  checkRange(offset, size, what) {
+    if (offset + size > this.length) {
+      this.fail(`${what} out of bounds`, offset, ErrorCode.OUT_OF_BOUNDS);
+    }
+  }
 
-            parent.index++;
+  checkContainer(offset, depth) {
+    if (depth > this.maxDepth) {
+      this.fail(`Nesting depth exceeds ${this.maxDepth}`, offset);
+    }
 
-            // Go to next child and then to leftmost leaf
-            if (hasChildren(this._buffer, parent.nodeOffset)) {
-              let childOffset = getNodeChildOffset(this._buffer, parent.nodeOffset, parent.index);
-              stack.push({ nodeOffset: childOffset, index: 0 });
+    const state = { type: this.buffer[offset], depth, count: 0, leafHeight: -1 };
+    this.checkNode(offset, 1, -1, 0x100000000, state);
 
-              while (hasChildren(this._buffer, stack[stack.length - 1].nodeOffset)) {
-                childOffset = getNodeChildOffset(this._buffer, stack[stack.length - 1].nodeOffset, 0);
-                stack.push({ nodeOffset: childOffset, index: 0 });
-              }
-            }
-          }
-        }
-        continue;
+    if (getNodeSize(this.buffer, offset) !== state.count) {
+      this.fail('Container size does not match its entries', offset);
+    }
+  }
+
+  /**
+   * Check node and its subtree; hashes must lie strictly between lo and hi
+   */
+  checkNode(nodeOffset, height, lo, hi, state) {
+    const buf = this.buffer;
+
+    if (height > Node.TREE_HEIGHT_MAX) {
+      this.fail('Tree height exceeds maximum', nodeOffset);
+    }
+    if (nodeOffset % Node.ALIGNMENT !== 0) {
+      this.fail('Misaligned node', nodeOffset, ErrorCode.OUT_OF_BOUNDS);
+    }
+    this.checkRange(nodeOffset, Node.SIZE, 'Node');
+    if (this.nodes.has(nodeOffset)) {
+      this.fail('Node referenced more than once', nodeOffset);
+    }
+    this.nodes.add(nodeOffset);
+    this.regions.push([nodeOffset, nodeOffset + Node.SIZE]);
+
+    if (getNodeType(buf, nodeOffset) !== state.type) {
+      this.fail('Node type does not match its container', nodeOffset);
+    }
+
+    const keyCount = getNodeKeyCount(buf, nodeOffset);
+    if (keyCount > Node.KEY_COUNT_MAX || (height > 1 && keyCount === 0)) {
+      this.fail(`Invalid key count ${keyCount}`, nodeOffset);
+    }
+
+    const isLeaf = !hasChildren(buf, nodeOffset);
+    for (let i = 0; i <= keyCount; i++) {
+      if ((getNodeChildOffset(buf, nodeOffset, i) === 0) !== isLeaf) {
+        this.fail('Inconsistent child offsets', nodeOffset);
+      }
+    }
+    if (isLeaf) {
+      if (state.leafHeight === -1) {
+        state.leafHeight = height;
+      } else if (state.leafHeight !== height) {
+        this.fail('Unbalanced tree', nodeOffset);
       }
+    }
 
-      const kvOffset = getNodeKvOffset(this._buffer, current.nodeOffset, current.index);
+    let prev = lo;
+    for (let i = 0; i < keyCount; i++) {
+      const hash = getNodeHash(buf, nodeOffset, i);
+      if (hash <= prev || hash >= hi) {
+        this.fail('Hashes out of order', nodeOffset);
+      }
+      if (!isLeaf) {
+        this.checkNode(getNodeChildOffset(buf, nodeOffset, i), height + 1, prev, hash, state);
+      }
+      if (state.type === Type.ARRAY && hash !== state.count) {
+        this.fail('Array indices are not contiguous', nodeOffset);
+      }
+      this.checkEntry(getNodeKvOffset(buf, nodeOffset, i), hash, state);
+      prev = hash;
+    }
+    if (!isLeaf) {
+      this.checkNode(getNodeChildOffset(buf, nodeOffset, keyCount), height + 1, prev, hi, state);
+    }
+  }
 
-      if (isObject) {
-        const key = this._readKey(kvOffset);
-        const valueOffset = this._skipKey(kvOffset);
-        yield { key, valueOffset };
-      } else {
-        yield { key: null, valueOffset: kvOffset };
+  checkEntry(kvOffset, hash, state) {
+    const buf = this.buffer;
+    let valOffset = kvOffset;
+
+    if (state.type === Type.OBJECT) {
+      this.checkRange(kvOffset, 1, 'Key tag');
+      const tagSize = (buf[kvOffset] & KeyTag.SIZE_MASK) + 1;
+      this.checkRange(kvOffset, tagSize, 'Key tag');
+      const keySize = readVarUint(buf, kvOffset, tagSize) >>> KeyTag.KEY_SIZE_SHIFT;
+      const keyOffset = kvOffset + tagSize;
+
+      if (keySize < 1) {
+        this.fail('Invalid key size', kvOffset);
+      }
+      this.checkRange(keyOffset, keySize, 'Key');
+      if (buf[keyOffset + keySize - 1] !== 0) {
+        this.fail('Key is not null-terminated', keyOffset);
       }
 
-      current.index++;
+      const key = decodeStringStrict(buf, keyOffset, keySize - 1);
+      if (key === null) {
+        this.fail('Key is not valid UTF-8', keyOffset);
+      }
+      if (!this.hashMatches(djb2Hash(key), hash)) {
+        this.fail('Key hash does not match key', kvOffset);
+      }
+      valOffset = keyOffset + keySize;
+    }
 
-      // Go to next child's leftmost leaf
-      if (hasChildren(this._buffer, current.nodeOffset)) {
-        let childOffset = getNodeChildOffset(this._buffer, current.nodeOffset, current.index);
-        stack.push({ nodeOffset: childOffset, index: 0 });
+    this.checkRange(valOffset, 1, 'Value');
+    const type = buf[valOffset];
+    state.count++;
 
-        while (hasChildren(this._buffer, stack[stack.length - 1].nodeOffset)) {
-          childOffset = getNodeChildOffset(this._buffer, stack[stack.length - 1].nodeOffset, 0);
-          stack.push({ nodeOffset: childOffset, index: 0 });
+    if (type === Type.OBJECT || type === Type.ARRAY) {
+      if (kvOffset < valOffset) {
+        this.regions.push([kvOffset, valOffset]);
+      }
+      this.checkContainer(valOffset, state.depth + 1);
+      return;
+    }
+
+    let size;
+    if (type === Type.STRING || type === Type.BYTES) {
+      this.checkRange(valOffset, VAL_SIZE + 4, 'Value');
+      const len = readUint32(buf, valOffset + VAL_SIZE);
+      size = VAL_SIZE + 4 + len;
+      this.checkRange(valOffset, size, 'Value');
+
+      if (type === Type.STRING) {
+        const strOffset = valOffset + VAL_SIZE + 4;
+        if (len < 1 || buf[strOffset + len - 1] !== 0) {
+          this.fail('String is not null-terminated', valOffset);
+        }
+        if (decodeStringStrict(buf, strOffset, len - 1) === null) {
+          this.fail('String is not valid UTF-8', valOffset);
         }
       }
+    } else if (type < Type.OBJECT) {
+      size = VAL_SIZE + TypeSizes[type];
+      this.checkRange(valOffset, size, 'Value');
+    } else {
+      this.fail(`Unknown value type ${type}`, valOffset);
     }
+
+    this.regions.push([kvOffset, valOffset + size]);
   }
 
   /**
-   * Read key at kv offset
-   *
-   * @private
+   * Check that hash is on the probe sequence of the key's own hash
    */
-  _readKey(kvOffset) {
-    const tagByte = this._buffer[kvOffset];
-    const tagSize = (tagByte & KeyTag.SIZE_MASK) + 1;
-    const keySize = readVarUint(this._buffer, kvOffset, tagSize) >>> KeyTag.KEY_SIZE_SHIFT;
-    // keySize includes null terminator
-    return decodeString(this._buffer, kvOffset + tagSize, keySize - 1);
+  hashMatches(keyHash, hash) {
+    for (let attempt = 0; attempt < HASH_PROBE_MAX; attempt++) {
+      if (probeHash(keyHash, attempt) === hash) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  checkOverlap() {
+    const regions = this.regions.sort((a, b) => a[0] - b[0]);
+    for (let i = 1; i < regions.length; i++) {
+      if (regions[i][0] < regions[i - 1][1]) {
+        this.fail('Overlapping nodes or entries', regions[i][0]);
+      }
+    }
   }
+}
 
+/**
+ * JsonReader class - Byte-level JSON tokenizer used by Lite3.parse()
+ *
+ * @private
+ */
+class JsonReader {
   /**
-   * Convert to plain JavaScript object/array
-   *
-   * @returns {Object|Array} Plain JS object or array
+   * @param {Uint8Array} bytes - UTF-8 JSON text
    */
-  toJSON() {
-    this._checkInitialized();
-
-    const type = getNodeType(this._buffer, 0);
-    if (type === Type.OBJECT) {
-      return this._readObject(0);
-    } else if (type === Type.ARRAY) {
-      return this._readArray(0);
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.pos = 0;
+    // Whether the last number read had a fraction or exponent
+    this.isFloat = false;
+
+    // Skip UTF-8 byte order mark
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+      this.pos = 3;
     }
+  }
 
-    throw new Lite3Error('Root must be object or array', ErrorCode.BAD_MESSAGE);
+  get done() {
+    return this.pos >= this.bytes.length;
   }
 
-  /**
-   * Create from plain JavaScript object/array
-   *
-   * @param {Object|Array} data - The data
-   * @returns {Lite3} New Lite3 instance
-   */
-  static fromJSON(data) {
-    const lite3 = new Lite3();
+  peek() {
+    return this.bytes[this.pos];
+  }
 
-    if (Array.isArray(data)) {
-      lite3.initArray();
-      for (const item of data) {
-        lite3.appendValue(item, 0);
+  skipWhitespace() {
+    const bytes = this.bytes;
+    while (this.pos < bytes.length) {
+      const c = bytes[this.pos];
+      if (c !== 0x20 && c !== 0x0A && c !== 0x0D && c !== 0x09) {
+        break;
       }
-    } else if (typeof data === 'object' && data !== null) {
-      lite3.initObject();
-      for (const [key, value] of Object.entries(data)) {
-        lite3.set(key, value, 0);
-      }
-    } else {
-      throw new Lite3Error('Root must be object or array', ErrorCode.INVALID_ARGUMENT);
+      this.pos++;
     }
+  }
 
-    return lite3;
+  consume(c) {
+    if (this.bytes[this.pos] === c) {
+      this.pos++;
+      return true;
+    }
+    return false;
   }
 
-  /**
-   * Create from existing buffer
-   *
-   * @param {Uint8Array} buffer - The buffer
-   * @param {number} [length] - Used length (defaults to buffer length)
-   * @returns {Lite3} New Lite3 instance
-   */
-  static fromBuffer(buffer, length) {
-    const lite3 = new Lite3(buffer.length);
-    lite3._buffer.set(buffer);
-    lite3._buflen = length ?? buffer.length;
-    lite3._initialized = true;
-    return lite3;
+  expect(c) {
+    if (!this.consume(c)) {
+      this.fail(`${this.unexpected()}, expected '${String.fromCharCode(c)}'`);
+    }
   }
 
   /**
-   * Get the type of root
-   *
-   * @returns {number} Type.OBJECT or Type.ARRAY
+   * Read string, number, true, false or null
    */
-  getType() {
-    this._checkInitialized();
-    return getNodeType(this._buffer, 0);
+  readScalar() {
+    const c = this.peek();
+    if (c === 0x22) { // "
+      return this.readString();
+    }
+    if (c === 0x2D || (c >= 0x30 && c <= 0x39)) { // - 0-9
+      return this.readNumber();
+    }
+    if (this.matchLiteral('true')) {
+      return true;
+    }
+    if (this.matchLiteral('false')) {
+      return false;
+    }
+    if (this.matchLiteral('null')) {
+      return null;
+    }
+    this.fail(this.unexpected());
   }
 
-  /**
-   * Get keys of object
-   *
-   * @param {number} [offset=0] - Object offset
-   * @returns {string[]} Array of keys
-   */
-  keys(offset = 0) {
-    this._checkInitialized();
+  matchLiteral(literal) {
+    for (let i = 0; i < literal.length; i++) {
+      if (this.bytes[this.pos + i] !== literal.charCodeAt(i)) {
+        return false;
+      }
+    }
+    this.pos += literal.length;
+    return true;
+  }
 
-    const result = [];
-    for (const { key } of this._iterate(offset)) {
-      if (key !== null) {
-        result.push(key);
+  readString() {
+    if (this.peek() !== 0x22) {
+      this.fail(`${this.unexpected()}, expected string`);
+    }
+
+    const bytes = this.bytes;
+    let start = ++this.pos;
+    let result = '';
+
+    while (true) {
+      // Copy runs without escapes in one decode
+      while (this.pos < bytes.length && bytes[this.pos] !== 0x22 && bytes[this.pos] !== 0x5C && bytes[this.pos] >= 0x20) {
+        this.pos++;
+      }
+      if (this.done) {
+        this.fail('Unterminated string');
+      }
+      if (bytes[this.pos] < 0x20) {
+        this.fail('Control character in string');
       }
+
+      const run = decodeStringStrict(bytes, start, this.pos - start);
+      if (run === null) {
+        this.pos = start;
+        this.fail('Invalid UTF-8 in string', ErrorCode.INVALID_ARGUMENT);
+      }
+      result += run;
+      if (bytes[this.pos++] === 0x22) {
+        return result;
+      }
+      result += this.readEscape();
+      start = this.pos;
     }
-    return result;
   }
 
-  /**
-   * Get values of object/array
-   *
-   * @param {number} [offset=0] - Object/array offset
-   * @returns {Array} Array of values
-   */
-  values(offset = 0) {
-    this._checkInitialized();
+  readEscape() {
+    const c = this.bytes[this.pos++];
+    switch (c) {
+      case 0x22: return '"';
+      case 0x5C: return '\\';
+      case 0x2F: return '/';
+      case 0x62: return '\b';
+      case 0x66: return '\f';
+      case 0x6E: return '\n';
+      case 0x72: return '\r';
+      case 0x74: return '\t';
+      case 0x75: { // u
+        let code = 0;
+        for (let i = 0; i < 4; i++) {
+          const digit = parseInt(String.fromCharCode(this.bytes[this.pos] ?? 0), 16);
+          if (Number.isNaN(digit)) {
+            this.fail('Invalid unicode escape');
+          }
+          code = code * 16 + digit;
+          this.pos++;
+        }
+        // Surrogate pairs combine when the two halves are concatenated
+        return String.fromCharCode(code);
+      }
+      default:
+        this.pos--;
+        this.fail('Invalid escape sequence');
+    }
+  }
 
-    const result = [];
-    for (const { valueOffset } of this._iterate(offset)) {
-      result.push(this._readValue(valueOffset));
+  readNumber() {
+    const bytes = this.bytes;
+    const start = this.pos;
+    const isDigit = (b) => b >= 0x30 && b <= 0x39;
+    let isInteger = true;
+    this.isFloat = false;
+
+    this.consume(0x2D); // -
+    if (!this.consume(0x30)) { // 0
+      if (!isDigit(bytes[this.pos])) {
+        this.fail('Invalid number');
+      }
+      while (isDigit(bytes[this.pos])) {
+        this.pos++;
+      }
     }
-    return result;
+    if (this.consume(0x2E)) { // .
+      isInteger = false;
+      if (!isDigit(bytes[this.pos])) {
+        this.fail('Invalid number');
+      }
+      while (isDigit(bytes[this.pos])) {
+        this.pos++;
+      }
+    }
+    if (bytes[this.pos] === 0x65 || bytes[this.pos] === 0x45) { // e E
+      isInteger = false;
+      this.pos++;
+      if (!this.consume(0x2B)) { // +
+        this.consume(0x2D); // -
+      }
+      if (!isDigit(bytes[this.pos])) {
+        this.fail('Invalid number');
+      }
+      while (isDigit(bytes[this.pos])) {
+        this.pos++;
+      }
+    }
+
+    this.isFloat = !isInteger;
+    const text = decodeString(bytes, start, this.pos - start);
+    if (isInteger && text.length > 15) {
+      // Keep integers beyond 2^53 exact if they fit in I64
+      const big = BigInt(text);
+      if (big >= -0x8000000000000000n && big <= 0x7FFFFFFFFFFFFFFFn) {
+        return big >= -9007199254740991n && big <= 9007199254740991n ? Number(big) : big;
+      }
+    }
+    return Number(text);
   }
 
   /**
-   * Get entries of object
-   *
-   * @param {number} [offset=0] - Object offset
-   * @returns {Array<[string, *]>} Array of [key, value] pairs
+   * Describe the byte at the current position
    */
-  entries(offset = 0) {
-    this._checkInitialized();
+  unexpected() {
+    if (this.done) {
+      return 'Unexpected end of input';
+    }
+    const char = decodeString(this.bytes, this.pos, Math.min(4, this.bytes.length - this.pos));
+    return `Unexpected character '${String.fromCodePoint(char.codePointAt(0))}'`;
+  }
 
-    const result = [];
-    for (const { key, valueOffset } of this._iterate(offset)) {
-      if (key !== null) {
-        result.push([key, this._readValue(valueOffset)]);
+  /**
+   * Throw syntax error with line and column of the current position
+   */
+  fail(message, code = ErrorCode.BAD_MESSAGE) {
+    let line = 1;
+    let lineStart = 0;
+    const end = Math.min(this.pos, this.bytes.length);
+    for (let i = 0; i < end; i++) {
+      if (this.bytes[i] === 0x0A) {
+        line++;
+        lineStart = i + 1;
       }
     }
-    return result;
+    const column = decodeString(this.bytes, lineStart, end - lineStart).length + 1;
+
+    const err = new Lite3Error(`${message} at line ${line}, column ${column}`, code);
+    err.line = line;
+    err.column = column;
+    throw err;
   }
 }
 
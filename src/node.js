@@ -126,6 +126,17 @@ export function incrementNodeSize(buffer, offset) {
   setNodeSize(buffer, offset, size + 1);
 }
 
+/**
+ * Decrement node's size
+ *
+ * @param {Uint8Array} buffer - The buffer
+ * @param {number} offset - Node offset
+ */
+export function decrementNodeSize(buffer, offset) {
+  const size = getNodeSize(buffer, offset);
+  setNodeSize(buffer, offset, size - 1);
+}
+
 /**
  * Read key hash at index
  *
@@ -249,6 +260,25 @@ export function shiftNodeEntriesRight(buffer, offset, fromIndex, keyCount) {
   }
 }
 
+/**
+ * Shift node entries left onto index
+ * Used when removing a key; drops the key at removeIndex and the child
+ * to its right, then clears the freed child slot
+ *
+ * @param {Uint8Array} buffer - The buffer
+ * @param {number} offset - Node offset
+ * @param {number} removeIndex - Index of the key to remove
+ * @param {number} keyCount - Current key count
+ */
+export function shiftNodeEntriesLeft(buffer, offset, removeIndex, keyCount) {
+  for (let j = removeIndex; j < keyCount - 1; j++) {
+    setNodeHash(buffer, offset, j, getNodeHash(buffer, offset, j + 1));
+    setNodeKvOffset(buffer, offset, j, getNodeKvOffset(buffer, offset, j + 1));
+    setNodeChildOffset(buffer, offset, j + 1, getNodeChildOffset(buffer, offset, j + 2));
+  }
+  setNodeChildOffset(buffer, offset, keyCount, 0);
+}
+
 /**
  * Copy node entries from one node to another
  * Used during node split
@@ -9,15 +9,22 @@
 
 import { describe, it, beforeEach } from 'node:test';
 import assert from 'node:assert';
+import { Writable } from 'node:stream';
+import { Worker } from 'node:worker_threads';
 
 import {
   Lite3,
+  Lite3Ref,
+  Lite3ArrayView,
   Lite3Error,
   ErrorCode,
   Type,
   djb2Hash,
   getKeyData,
   getKeyTagSize,
+  readUint32,
+  JSON_NESTING_DEPTH_MAX,
+  KeyOrderIndex,
 } from '../src/index.js';
 
 describe('Lite3', () => {
@@ -259,155 +266,1942 @@ describe('Lite3', () => {
     });
   });
 
+  describe('Bulk append', () => {
+    const appendEach = (doc, values, arrayOffset) => {
+      for (const value of values) {
+        doc.appendValue(value, arrayOffset);
+      }
+      return doc;
+    };
+
+    it('should append iterables like appendValue() does', () => {
+      const mixed = [1, 2.5, 'two', true, null, 10n, new Uint8Array([1]), { key: 'value' }, [1, [2]]];
+      const values = Array.from({ length: 300 }, (_, i) => mixed[i % mixed.length]);
+
+      const bulk = new Lite3().initArray().appendMany(values);
+      assert.deepStrictEqual(bulk.buffer, appendEach(new Lite3().initArray(), values).buffer);
+      assert.strictEqual(bulk.size(), 300);
+
+      const doc = Lite3.fromJSON({ list: [0, 1, 2, 3, 4, 5, 6, 7] });
+      const expected = Lite3.fromJSON({ list: [0, 1, 2, 3, 4, 5, 6, 7] });
+      doc.appendMany(new Set(['a', 'b', 'c']), doc.getArrayOffset('list'));
+      appendEach(expected, ['a', 'b', 'c'], expected.getArrayOffset('list'));
+      assert.deepStrictEqual(doc.buffer, expected.buffer);
+    });
+
+    it('should append typed arrays like appendValue() does', () => {
+      const samples = Float64Array.from({ length: 1000 }, (_, i) => (i % 3 === 0 ? i : i / 7));
+      const bulk = new Lite3().initArray().appendTypedArray(samples);
+
+      assert.deepStrictEqual(bulk.buffer, appendEach(new Lite3().initArray(), samples).buffer);
+      assert.deepStrictEqual(bulk.toJSON(), [...samples]);
+
+      const ints = Int32Array.of(-1, 0, 2147483647);
+      assert.deepStrictEqual(new Lite3().initArray().appendTypedArray(ints).toJSON(), [-1, 0, 2147483647]);
+
+      const bigs = BigInt64Array.of(-(2n ** 63n), 2n ** 63n - 1n);
+      const doc = new Lite3().initArray().appendTypedArray(bigs);
+      assert.deepStrictEqual(doc.buffer, appendEach(new Lite3().initArray(), bigs).buffer);
+    });
+
+    it('should reject bad input before writing', () => {
+      const doc = Lite3.fromJSON({ list: [1], obj: {} });
+      const before = doc.buffer.slice();
+
+      assert.throws(() => doc.appendMany([2, undefined], doc.getArrayOffset('list')), { code: 'EINVAL' });
+      assert.throws(() => doc.appendMany([2, { a: [3, () => {}] }], doc.getArrayOffset('list')), { code: 'EINVAL' });
+      assert.throws(() => doc.appendMany([2], doc.getObjectOffset('obj')), { code: 'EINVAL' });
+      assert.throws(() => doc.appendTypedArray(new Float32Array(2), doc.getArrayOffset('list')), { code: 'EINVAL' });
+      assert.deepStrictEqual(doc.buffer, before);
+    });
+
+    it('should reserve space up front in fixed buffers', () => {
+      const doc = Lite3.wrap(new Uint8Array(1024), { growable: false }).initArray();
+
+      assert.throws(() => doc.appendTypedArray(new Int32Array(1000)), { code: 'ENOBUFS' });
+      assert.strictEqual(doc.size(), 0);
+      doc.appendTypedArray(new Int32Array(10));
+      assert.strictEqual(doc.size(), 10);
+    });
+  });
+
   describe('Update Operations', () => {
     beforeEach(() => {
       lite3.initObject();
     });
 
-    it('should overwrite existing key', () => {
-      lite3.set('key', 'first');
-      assert.strictEqual(lite3.get('key'), 'first');
+    it('should overwrite existing key', () => {
+      lite3.set('key', 'first');
+      assert.strictEqual(lite3.get('key'), 'first');
+
+      lite3.set('key', 'second');
+      assert.strictEqual(lite3.get('key'), 'second');
+    });
+
+    it('should overwrite with different type', () => {
+      lite3.set('key', 'string');
+      assert.strictEqual(lite3.get('key'), 'string');
+
+      lite3.set('key', 42);
+      assert.strictEqual(lite3.get('key'), 42);
+    });
+  });
+
+  describe('Typed access', () => {
+    beforeEach(() => {
+      lite3.initObject();
+      lite3.set('str', 'text');
+      lite3.set('int', 42);
+      lite3.set('float', 1.5);
+      lite3.set('flag', false);
+      lite3.set('nothing', null);
+      lite3.set('data', new Uint8Array([1, 2]));
+      lite3.set('obj', { a: 1 });
+      lite3.set('arr', [1, 'two']);
+    });
+
+    it('should report stored types', () => {
+      assert.strictEqual(lite3.typeOf('int'), Type.I64);
+      assert.strictEqual(lite3.typeOf('float'), Type.F64);
+      assert.strictEqual(lite3.typeOf('nothing'), Type.NULL);
+      assert.strictEqual(lite3.typeOf('missing'), Type.INVALID);
+
+      const arrOffset = lite3.getArrayOffset('arr');
+      assert.strictEqual(lite3.typeAt(1, arrOffset), Type.STRING);
+      assert.strictEqual(lite3.typeAt(2, arrOffset), Type.INVALID);
+    });
+
+    it('should read values with strict getters', () => {
+      assert.strictEqual(lite3.getString('str'), 'text');
+      assert.strictEqual(lite3.getInt64('int'), 42n);
+      assert.strictEqual(lite3.getFloat64('float'), 1.5);
+      assert.strictEqual(lite3.getBool('flag'), false);
+      assert.deepStrictEqual(lite3.getBytes('data'), new Uint8Array([1, 2]));
+      assert.strictEqual(lite3.get('a', lite3.getObjectOffset('obj')), 1);
+      assert.strictEqual(lite3.getAt(0, lite3.getArrayOffset('arr')), 1);
+    });
+
+    it('should return views aliasing the buffer', () => {
+      const view = lite3.getBytesView('data');
+      assert.deepStrictEqual(view, new Uint8Array([1, 2]));
+      assert.strictEqual(view.buffer, lite3.buffer.buffer);
+
+      lite3.setBytes('data', new Uint8Array([3, 4]));
+      assert.deepStrictEqual(view, new Uint8Array([3, 4]));
+
+      assert.strictEqual(new TextDecoder().decode(lite3.getStringBytes('str')), 'text');
+    });
+
+    it('should measure and compare strings without decoding', () => {
+      lite3.set('utf8', 'h\u00e9llo');
+
+      assert.strictEqual(lite3.stringByteLength('str'), 4);
+      assert.strictEqual(lite3.stringByteLength('utf8'), 6);
+      assert.strictEqual(lite3.compareString('str', 'text'), 0);
+      assert.strictEqual(lite3.compareString('str', 'tex'), 1);
+      assert.strictEqual(lite3.compareString('str', 'texts'), -1);
+      assert.strictEqual(lite3.compareString('utf8', 'hz'), 1);
+      assert.throws(() => lite3.compareString('int', 'x'), { code: 'EINVAL' });
+    });
+
+    it('should throw on type mismatch or missing key', () => {
+      assert.throws(() => lite3.getString('int'), { code: 'EINVAL' });
+      assert.throws(() => lite3.getInt64('float'), { code: 'EINVAL' });
+      assert.throws(() => lite3.getObjectOffset('arr'), { code: 'EINVAL' });
+      assert.throws(() => lite3.getBool('missing'), { code: 'ENOENT' });
+    });
+  });
+
+  describe('Lite3Ref', () => {
+    let doc;
+
+    beforeEach(() => {
+      const source = Lite3.fromJSON({ headers: { host: 'example.com' }, items: [{ price: 1 }, { price: 2 }] });
+      doc = Lite3.fromBuffer(source.buffer);
+    });
+
+    it('should navigate a buffer without offsets', () => {
+      const root = doc.root();
+      const items = root.child('items');
+
+      assert.ok(root instanceof Lite3Ref);
+      assert.strictEqual(root.type, Type.OBJECT);
+      assert.strictEqual(items.type, Type.ARRAY);
+      assert.strictEqual(items.size, 2);
+      assert.strictEqual(items.at(1).get('price'), 2);
+      assert.strictEqual(doc.get('host', root.child('headers').offset), 'example.com');
+    });
+
+    it('should iterate entries and values', () => {
+      const root = doc.root();
+
+      assert.deepStrictEqual([...root.child('headers')], [['host', 'example.com']]);
+      assert.deepStrictEqual([...root.child('items')], [{ price: 1 }, { price: 2 }]);
+    });
+
+    it('should set through a ref and stay valid', () => {
+      const items = doc.root().child('items');
+      items.set(2, 'three');
+      items.at(0).set('price', 5);
+
+      assert.strictEqual(items.stale, true);
+      assert.deepStrictEqual(doc.get('items'), [{ price: 5 }, { price: 2 }, 'three']);
+    });
+
+    it('should detect stale refs after mutation', () => {
+      const headers = doc.root().child('headers');
+      assert.strictEqual(headers.stale, false);
+
+      doc.set('headers', 'replaced');
+
+      assert.strictEqual(headers.stale, true);
+      assert.throws(() => headers.get('host'), { code: 'EINVAL' });
+      assert.throws(() => [...headers], { code: 'EINVAL' });
+    });
+
+    it('should throw for missing or primitive children', () => {
+      const root = doc.root();
+
+      assert.throws(() => root.child('missing'), { code: 'ENOENT' });
+      assert.throws(() => root.child('headers').child('host'), { code: 'EINVAL' });
+      assert.throws(() => root.at(0), { code: 'EINVAL' });
+    });
+  });
+
+  describe('asObject()', () => {
+    let msg;
+
+    beforeEach(() => {
+      lite3.initObject();
+      lite3.set('headers', { 'user-agent': 'lite3' });
+      lite3.set('items', [{ price: 1 }, { price: 2 }]);
+      lite3.set('lap', 55);
+      msg = lite3.asObject();
+    });
+
+    it('should read nested values lazily', () => {
+      assert.strictEqual(msg.headers['user-agent'], 'lite3');
+      assert.strictEqual(msg.items.length, 2);
+      assert.strictEqual(msg.items[1].price, 2);
+      assert.strictEqual(msg.missing, undefined);
+      assert.strictEqual(msg.headers, msg.headers);
+    });
+
+    it('should support array methods and iteration', () => {
+      assert.ok(Array.isArray(msg.items));
+      assert.deepStrictEqual(msg.items.map((item) => item.price), [1, 2]);
+      assert.deepStrictEqual([...msg.items].map((item) => item.price), [1, 2]);
+    });
+
+    it('should write through set() and setAt()', () => {
+      msg.lap = 56;
+      msg.items[0].price = 9;
+      msg.items.push('extra');
+      delete msg.headers['user-agent'];
+
+      assert.deepStrictEqual(lite3.toJSON(), {
+        headers: {},
+        items: [{ price: 9 }, { price: 2 }, 'extra'],
+        lap: 56,
+      });
+    });
+
+    it('should truncate arrays by setting length', () => {
+      msg.items.length = 1;
+      assert.deepStrictEqual(lite3.get('items'), [{ price: 1 }]);
+    });
+
+    it('should behave like a plain object for keys and JSON', () => {
+      assert.deepStrictEqual(Object.keys(msg).sort(), ['headers', 'items', 'lap']);
+      assert.ok('lap' in msg);
+      assert.ok(!('missing' in msg));
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(msg)), lite3.toJSON());
+    });
+
+    it('should follow moved containers by path', () => {
+      const headers = msg.headers;
+      const item = msg.items[1];
+      lite3.rename('lap', 'laps');
+      lite3.set('padding', 'x'.repeat(100));
+      lite3.delete('padding');
+      lite3.compact();
+
+      assert.strictEqual(headers['user-agent'], 'lite3');
+      assert.strictEqual(item.price, 2);
+      item.price = 3;
+      assert.deepStrictEqual(lite3.get('items'), [{ price: 1 }, { price: 3 }]);
+      assert.strictEqual(lite3.asObject(lite3.getObjectOffset('headers'))['user-agent'], 'lite3');
+    });
+
+    it('should throw once the proxied container is gone', () => {
+      const headers = msg.headers;
+      const items = msg.items;
+      lite3.rename('headers', 'meta');
+      lite3.set('items', 'none');
+
+      assert.throws(() => headers['user-agent'], { code: 'EINVAL' });
+      assert.throws(() => JSON.stringify(headers), { code: 'EINVAL' });
+      assert.throws(() => { headers.host = 'x'; }, { code: 'EINVAL' });
+      assert.throws(() => items.length, { code: 'EINVAL' });
+      assert.strictEqual(msg.meta['user-agent'], 'lite3');
+      assert.throws(() => lite3.asObject(lite3.getObjectOffset('meta') + 4), { code: 'EINVAL' });
+    });
+  });
+
+  describe('arrayView()', () => {
+    let view;
+
+    beforeEach(() => {
+      lite3.initArray();
+      for (let i = 0; i < 40; i++) {
+        lite3.appendValue(i % 10 === 0 ? { id: i } : i);
+      }
+      view = lite3.arrayView();
+    });
+
+    it('should expose length and at()', () => {
+      assert.ok(view instanceof Lite3ArrayView);
+      assert.strictEqual(view.length, 40);
+      assert.strictEqual(view.at(1), 1);
+      assert.strictEqual(view.at(-1), 39);
+      assert.deepStrictEqual(view.at(10), { id: 10 });
+      assert.strictEqual(view.at(40), undefined);
+    });
+
+    it('should visit elements in order', () => {
+      const seen = [];
+      view.forEach((value, index) => seen.push(index));
+
+      assert.deepStrictEqual(seen, Array.from({ length: 40 }, (_, i) => i));
+      assert.deepStrictEqual(view.map((value) => value), lite3.toJSON());
+      assert.deepStrictEqual([...view], lite3.toJSON());
+    });
+
+    it('should support filter, find, some, every and reduce', () => {
+      assert.deepStrictEqual(view.filter((value) => typeof value === 'object'), [{ id: 0 }, { id: 10 }, { id: 20 }, { id: 30 }]);
+      assert.strictEqual(view.find((value) => value > 25), 26);
+      assert.strictEqual(view.some((value) => value === 5), true);
+      assert.strictEqual(view.every((value) => value !== null), true);
+      assert.strictEqual(view.reduce((sum, value) => sum + (typeof value === 'number' ? value : 0), 0), 780 - 60);
+    });
+
+    it('should stop decoding once find() matches', () => {
+      let calls = 0;
+      view.find(() => ++calls === 3);
+      assert.strictEqual(calls, 3);
+    });
+
+    it('should support slice and indexOf', () => {
+      assert.deepStrictEqual(view.slice(8, 12), [8, 9, { id: 10 }, 11]);
+      assert.deepStrictEqual(view.slice(-2), [38, 39]);
+      assert.strictEqual(view.indexOf(15), 15);
+      assert.strictEqual(view.indexOf(15, 16), -1);
+      assert.strictEqual(view.indexOf(39, -1), 39);
+    });
+
+    it('should slice from every start index', () => {
+      const expected = lite3.toJSON();
+      for (let start = 0; start <= 40; start++) {
+        assert.deepStrictEqual(view.slice(start), expected.slice(start));
+        assert.deepStrictEqual(view.slice(start, start + 3), expected.slice(start, start + 3));
+      }
+    });
+
+    it('should match indexOf() by type without decoding', () => {
+      const doc = Lite3.fromJSON([1, 1.5, 'x', 'xy', true, null, 2 ** 60, 9007199254740993n, 'x', { id: 1 }]);
+      const mixed = doc.arrayView();
+
+      assert.strictEqual(mixed.indexOf(1.5), 1);
+      assert.strictEqual(mixed.indexOf('xy'), 3);
+      assert.strictEqual(mixed.indexOf('x', 3), 8);
+      assert.strictEqual(mixed.indexOf(true), 4);
+      assert.strictEqual(mixed.indexOf(false), -1);
+      assert.strictEqual(mixed.indexOf(null), 5);
+      assert.strictEqual(mixed.indexOf(2 ** 60), 6);
+      assert.strictEqual(mixed.indexOf(9007199254740993n), 7);
+      assert.strictEqual(mixed.indexOf(1n), -1);
+      assert.strictEqual(mixed.indexOf('1'), -1);
+      assert.strictEqual(mixed.indexOf({ id: 1 }), -1);
+      assert.strictEqual(mixed.indexOf(undefined), -1);
+      for (let i = 0; i < 9; i++) {
+        assert.strictEqual(mixed.indexOf(mixed.at(i)), [...mixed].indexOf(mixed.at(i)));
+      }
+    });
+
+    it('should throw for non-array offset', () => {
+      const obj = Lite3.fromJSON({ a: 1 });
+      assert.throws(() => obj.arrayView(), { code: 'EINVAL' });
+    });
+  });
+
+  describe('has() method', () => {
+    beforeEach(() => {
+      lite3.initObject();
+      lite3.set('exists', 'value');
+    });
+
+    it('should return true for existing key', () => {
+      assert.strictEqual(lite3.has('exists'), true);
+    });
+
+    it('should return false for non-existing key', () => {
+      assert.strictEqual(lite3.has('notExists'), false);
+    });
+  });
+
+  describe('delete() and deleteAt()', () => {
+    it('should delete existing key', () => {
+      lite3.initObject();
+      lite3.set('a', 1);
+      lite3.set('b', 2);
+
+      assert.strictEqual(lite3.delete('a'), true);
+      assert.strictEqual(lite3.has('a'), false);
+      assert.strictEqual(lite3.get('a'), undefined);
+      assert.strictEqual(lite3.size(), 1);
+      assert.deepStrictEqual(lite3.toJSON(), { b: 2 });
+    });
+
+    it('should return false for non-existing key', () => {
+      lite3.initObject();
+      lite3.set('a', 1);
+
+      assert.strictEqual(lite3.delete('missing'), false);
+      assert.strictEqual(lite3.size(), 1);
+    });
+
+    it('should bump the generation', () => {
+      lite3.initObject();
+      lite3.set('a', 1);
+      const before = readUint32(lite3.buffer, 0) >>> 8;
+
+      lite3.delete('a');
+      assert.strictEqual(readUint32(lite3.buffer, 0) >>> 8, before + 1);
+    });
+
+    it('should delete from nested object', () => {
+      lite3.initObject();
+      const objOffset = lite3.setObject('headers');
+      lite3.set('host', 'example.com', objOffset);
+      lite3.set('accept', '*/*', objOffset);
+
+      assert.strictEqual(lite3.delete('host', objOffset), true);
+      assert.strictEqual(lite3.size(objOffset), 1);
+      assert.deepStrictEqual(lite3.toJSON(), { headers: { accept: '*/*' } });
+    });
+
+    it('should keep the tree consistent across many deletions', () => {
+      lite3.initObject();
+      const expected = {};
+      for (let i = 0; i < 200; i++) {
+        lite3.set(`key${i}`, i);
+        expected[`key${i}`] = i;
+      }
+
+      for (let i = 0; i < 200; i += 3) {
+        assert.strictEqual(lite3.delete(`key${i}`), true);
+        delete expected[`key${i}`];
+      }
+
+      assert.strictEqual(lite3.size(), Object.keys(expected).length);
+      assert.deepStrictEqual(lite3.toJSON(), expected);
+      for (let i = 0; i < 200; i++) {
+        assert.strictEqual(lite3.get(`key${i}`), expected[`key${i}`]);
+      }
+
+      for (const key of Object.keys(expected)) {
+        lite3.delete(key);
+      }
+      assert.strictEqual(lite3.size(), 0);
+      assert.deepStrictEqual(lite3.toJSON(), {});
+    });
+
+    it('should delete array element and shift following elements', () => {
+      lite3.initArray();
+      for (const v of ['a', 'b', 'c', 'd']) {
+        lite3.appendValue(v, 0);
+      }
+
+      assert.strictEqual(lite3.deleteAt(1), true);
+      assert.strictEqual(lite3.size(), 3);
+      assert.strictEqual(lite3.getAt(1), 'c');
+      assert.deepStrictEqual(lite3.toJSON(), ['a', 'c', 'd']);
+
+      lite3.appendValue('e', 0);
+      assert.deepStrictEqual(lite3.toJSON(), ['a', 'c', 'd', 'e']);
+    });
+
+    it('should return false for out of range index', () => {
+      lite3.initArray();
+      lite3.appendValue(1, 0);
+      assert.strictEqual(lite3.deleteAt(5), false);
+      assert.strictEqual(lite3.size(), 1);
+    });
+
+    it('should keep large arrays dense across many deletions', () => {
+      lite3.initArray();
+      const expected = [];
+      for (let i = 0; i < 300; i++) {
+        lite3.appendValue(i, 0);
+        expected.push(i);
+      }
+
+      for (let i = 0; i < 150; i++) {
+        const index = (i * 7) % expected.length;
+        expected.splice(index, 1);
+        lite3.deleteAt(index);
+      }
+
+      assert.strictEqual(lite3.size(), expected.length);
+      assert.deepStrictEqual(lite3.toJSON(), expected);
+    });
+  });
+
+  describe('Array mutation', () => {
+    beforeEach(() => {
+      lite3.initArray();
+      for (const v of [10, 20, 30]) {
+        lite3.appendValue(v, 0);
+      }
+    });
+
+    it('should overwrite element with setAt()', () => {
+      const lengthBefore = lite3.length;
+      lite3.setAt(1, 21);
+
+      assert.deepStrictEqual(lite3.toJSON(), [10, 21, 30]);
+      // Same-size primitive is rewritten in place
+      assert.strictEqual(lite3.length, lengthBefore);
+    });
+
+    it('should overwrite element with a larger value', () => {
+      lite3.setAt(0, 'a much longer string value');
+      lite3.setAt(2, { nested: [1, 2] });
+
+      assert.deepStrictEqual(lite3.toJSON(), ['a much longer string value', 20, { nested: [1, 2] }]);
+      assert.strictEqual(lite3.size(), 3);
+    });
+
+    it('should append with setAt() at size', () => {
+      lite3.setAt(3, 40);
+      assert.deepStrictEqual(lite3.toJSON(), [10, 20, 30, 40]);
+    });
+
+    it('should throw for out of range index', () => {
+      assert.throws(() => lite3.setAt(5, 1), (err) => err.code === ErrorCode.OUT_OF_BOUNDS);
+      assert.throws(() => lite3.insertAt(-1, 1), (err) => err.code === ErrorCode.OUT_OF_BOUNDS);
+    });
+
+    it('should insert element with insertAt()', () => {
+      lite3.insertAt(0, 5);
+      lite3.insertAt(2, 15);
+      lite3.insertAt(5, 35);
+
+      assert.deepStrictEqual(lite3.toJSON(), [5, 10, 15, 20, 30, 35]);
+      assert.strictEqual(lite3.size(), 6);
+      assert.strictEqual(lite3.getAt(3), 20);
+    });
+
+    it('should leave array unchanged when insertAt() value is unsupported', () => {
+      assert.throws(() => lite3.insertAt(1, undefined), Lite3Error);
+      assert.deepStrictEqual(lite3.toJSON(), [10, 20, 30]);
+    });
+
+    it('should remove element with removeAt()', () => {
+      assert.strictEqual(lite3.removeAt(0), 10);
+      assert.strictEqual(lite3.removeAt(5), undefined);
+      assert.deepStrictEqual(lite3.toJSON(), [20, 30]);
+    });
+
+    it('should remove last element with pop()', () => {
+      assert.strictEqual(lite3.pop(), 30);
+      assert.strictEqual(lite3.pop(), 20);
+      assert.strictEqual(lite3.pop(), 10);
+      assert.strictEqual(lite3.pop(), undefined);
+      assert.strictEqual(lite3.size(), 0);
+    });
+
+    it('should splice like Array.prototype.splice()', () => {
+      const removed = lite3.splice(1, 1, ['a', 'b']);
+      assert.deepStrictEqual(removed, [20]);
+      assert.deepStrictEqual(lite3.toJSON(), [10, 'a', 'b', 30]);
+
+      assert.deepStrictEqual(lite3.splice(-2), ['b', 30]);
+      assert.deepStrictEqual(lite3.toJSON(), [10, 'a']);
+
+      assert.deepStrictEqual(lite3.splice(1, 0, [true, null]), []);
+      assert.deepStrictEqual(lite3.toJSON(), [10, true, null, 'a']);
+    });
+
+    it('should edit nested arrays', () => {
+      const obj = new Lite3().initObject();
+      const arrOffset = obj.setArray('items');
+      for (let i = 0; i < 50; i++) {
+        obj.appendValue(i, arrOffset);
+      }
+      const expected = Array.from({ length: 50 }, (_, i) => i);
+
+      obj.insertAt(25, 'middle', arrOffset);
+      expected.splice(25, 0, 'middle');
+      obj.removeAt(0, arrOffset);
+      expected.splice(0, 1);
+      obj.splice(10, 5, ['x', 'y'], arrOffset);
+      expected.splice(10, 5, 'x', 'y');
+
+      assert.strictEqual(obj.size(arrOffset), expected.length);
+      assert.deepStrictEqual(obj.get('items'), expected);
+    });
+  });
+
+  describe('getPath(), setPath(), hasPath()', () => {
+    beforeEach(() => {
+      lite3.initObject();
+      lite3.set('headers', { 'user-agent': 'lite3', 'a/b': 1, 'm~n': 2, 'x.y': 3 });
+      lite3.set('items', [{ price: 10 }, { price: 20 }]);
+    });
+
+    it('should get values by JSON Pointer', () => {
+      assert.strictEqual(lite3.getPath('/headers/user-agent'), 'lite3');
+      assert.strictEqual(lite3.getPath('/headers/a~1b'), 1);
+      assert.strictEqual(lite3.getPath('/headers/m~0n'), 2);
+      assert.strictEqual(lite3.getPath('/items/1/price'), 20);
+      assert.deepStrictEqual(lite3.getPath(''), lite3.toJSON());
+    });
+
+    it('should get values by dot/bracket path', () => {
+      assert.strictEqual(lite3.getPath('items[1].price'), 20);
+      assert.strictEqual(lite3.getPath('items.0.price'), 10);
+      assert.strictEqual(lite3.getPath('headers["x.y"]'), 3);
+      assert.strictEqual(lite3.getPath(['headers', 'a/b']), 1);
+    });
+
+    it('should return undefined for missing paths', () => {
+      assert.strictEqual(lite3.getPath('/items/5'), undefined);
+      assert.strictEqual(lite3.getPath('items[0].price.currency'), undefined);
+      assert.strictEqual(lite3.hasPath('/headers/accept'), false);
+      assert.strictEqual(lite3.hasPath('/headers/user-agent'), true);
+    });
+
+    it('should create intermediate objects and arrays', () => {
+      lite3.setPath('order.lines[0].sku', 'A-1');
+      lite3.setPath('/order/lines/-', 'B-2');
+
+      assert.deepStrictEqual(lite3.get('order'), { lines: [{ sku: 'A-1' }, 'B-2'] });
+    });
+
+    it('should append a new container for a middle \'-\' segment', () => {
+      lite3.setPath('/items/-/name', 'x');
+      lite3.setPath(['items', '-', 'name'], 'y');
+
+      assert.deepStrictEqual(lite3.get('items'), [{ price: 10 }, { price: 20 }, { name: 'x' }, { name: 'y' }]);
+    });
+
+    it('should overwrite existing values', () => {
+      lite3.setPath('items[0].price', 15);
+      lite3.setPath('/headers/user-agent', { name: 'lite3' });
+
+      assert.strictEqual(lite3.getPath('items[0].price'), 15);
+      assert.strictEqual(lite3.getPath('/headers/user-agent/name'), 'lite3');
+    });
+
+    it('should throw when path goes through a primitive', () => {
+      assert.throws(() => lite3.setPath('items[0].price.currency', 'EUR'), { code: 'EINVAL' });
+    });
+
+    it('should throw for malformed paths', () => {
+      for (const path of ['a..b', 'a.', '.a', 'items[x]', 'items[1', '/a/~2']) {
+        assert.throws(() => lite3.getPath(path), { code: 'EINVAL' }, path);
+      }
+    });
+  });
+
+  describe('rename(), move(), copy(), merge()', () => {
+    beforeEach(() => {
+      lite3.initObject();
+      lite3.set('headers', { 'user-agent': 'lite3', accept: '*/*' });
+      lite3.set('items', [1, 2, { id: 3 }]);
+      lite3.set('name', 'demo');
+    });
+
+    it('should rename key and keep nested entries', () => {
+      const lengthBefore = lite3.length;
+
+      lite3.rename('headers', 'meta');
+
+      assert.strictEqual(lite3.has('headers'), false);
+      assert.deepStrictEqual(lite3.get('meta'), { 'user-agent': 'lite3', accept: '*/*' });
+      assert.strictEqual(lite3.size(), 3);
+      // Only the new key and the container's root node are written
+      assert.ok(lite3.length - lengthBefore < 2 * 96);
+    });
+
+    it('should replace existing key on rename', () => {
+      lite3.rename('name', 'items');
+
+      assert.deepStrictEqual(lite3.toJSON(), {
+        headers: { 'user-agent': 'lite3', accept: '*/*' },
+        items: 'demo'
+      });
+    });
+
+    it('should reject writes through the old offset of a renamed container', () => {
+      const oldOffset = lite3.setObject('box');
+      lite3.set('a', 1, oldOffset);
+      lite3.rename('box', 'meta');
+
+      assert.throws(() => lite3.set('b', 2, oldOffset), { code: 'EINVAL' });
+      assert.throws(() => lite3.delete('a', oldOffset), { code: 'EINVAL' });
+      assert.deepStrictEqual(lite3.get('meta'), { a: 1 });
+    });
+
+    it('should reject writes through the old offset of a moved container', () => {
+      const oldOffset = lite3.setArray('list');
+      lite3.appendValue(1, oldOffset);
+      lite3.move(['list'], ['headers', 'moved']);
+
+      assert.throws(() => lite3.appendValue(4, oldOffset), { code: 'EINVAL' });
+      assert.throws(() => lite3.insertAt(0, 0, oldOffset), { code: 'EINVAL' });
+      assert.deepStrictEqual(lite3.get('headers').moved, [1]);
+    });
+
+    it('should throw when renaming missing key', () => {
+      assert.throws(() => lite3.rename('missing', 'other'), { code: 'ENOENT' });
+    });
+
+    it('should move value between containers', () => {
+      lite3.move(['headers', 'user-agent'], ['items', 1]);
+
+      assert.deepStrictEqual(lite3.toJSON(), {
+        headers: { accept: '*/*' },
+        items: [1, 'lite3', 2, { id: 3 }],
+        name: 'demo'
+      });
+    });
+
+    it('should move array element to object key', () => {
+      lite3.move(['items', 2], ['headers', 'item']);
+
+      assert.deepStrictEqual(lite3.get('items'), [1, 2]);
+      assert.deepStrictEqual(lite3.get('headers'), { 'user-agent': 'lite3', accept: '*/*', item: { id: 3 } });
+    });
+
+    it('should reject moving a value into itself', () => {
+      assert.throws(() => lite3.move(['headers'], ['headers', 'nested']), { code: 'EINVAL' });
+    });
+
+    it('should leave document unchanged when move destination is missing', () => {
+      const before = lite3.toJSON();
+      assert.throws(() => lite3.move(['name'], ['missing', 'name']), { code: 'ENOENT' });
+      assert.deepStrictEqual(lite3.toJSON(), before);
+    });
+
+    it('should deep copy values', () => {
+      lite3.copy(['items'], ['headers', 'items']);
+      lite3.move(['items', 2, 'id'], ['name']);
+
+      assert.deepStrictEqual(lite3.get('items'), [1, 2, {}]);
+      assert.deepStrictEqual(lite3.get('headers').items, [1, 2, { id: 3 }]);
+    });
+
+    it('should deep merge plain objects', () => {
+      lite3.merge(0, { headers: { accept: 'text/plain', host: 'x' }, items: [9], extra: null });
+
+      assert.deepStrictEqual(lite3.toJSON(), {
+        headers: { 'user-agent': 'lite3', accept: 'text/plain', host: 'x' },
+        items: [9],
+        name: 'demo',
+        extra: null
+      });
+    });
+
+    it('should throw when merging non-object', () => {
+      assert.throws(() => lite3.merge(0, [1, 2]), { code: 'EINVAL' });
+    });
+  });
+
+  describe('keys(), values(), entries()', () => {
+    beforeEach(() => {
+      lite3.initObject();
+      lite3.set('a', 1);
+      lite3.set('b', 2);
+      lite3.set('c', 3);
+    });
+
+    it('should return all keys', () => {
+      const keys = lite3.keys();
+      assert.strictEqual(keys.length, 3);
+      assert.ok(keys.includes('a'));
+      assert.ok(keys.includes('b'));
+      assert.ok(keys.includes('c'));
+    });
+
+    it('should return all values', () => {
+      const values = lite3.values();
+      assert.strictEqual(values.length, 3);
+      assert.ok(values.includes(1));
+      assert.ok(values.includes(2));
+      assert.ok(values.includes(3));
+    });
+
+    it('should return all entries', () => {
+      const entries = lite3.entries();
+      assert.strictEqual(entries.length, 3);
+
+      const entriesObj = Object.fromEntries(entries);
+      assert.strictEqual(entriesObj.a, 1);
+      assert.strictEqual(entriesObj.b, 2);
+      assert.strictEqual(entriesObj.c, 3);
+    });
+  });
+
+  describe('toJSON()', () => {
+    it('should convert object to JSON', () => {
+      lite3.initObject();
+      lite3.set('name', 'test');
+      lite3.set('value', 123);
+
+      const json = lite3.toJSON();
+      assert.deepStrictEqual(json, { name: 'test', value: 123 });
+    });
+
+    it('should convert array to JSON', () => {
+      lite3.initArray();
+      lite3.appendValue(1, 0);
+      lite3.appendValue(2, 0);
+      lite3.appendValue(3, 0);
+
+      const json = lite3.toJSON();
+      assert.deepStrictEqual(json, [1, 2, 3]);
+    });
+  });
+
+  describe('stringify()', () => {
+    it('should match JSON.stringify for plain values', () => {
+      const data = { name: 'quote " and \\n', list: [1, 2.5, null, true, {}, []], nested: { a: { b: 'c' } } };
+      const doc = Lite3.fromJSON(data);
+
+      assert.strictEqual(doc.stringify(), JSON.stringify(doc.toJSON()));
+      assert.strictEqual(doc.stringify({ indent: 2 }), JSON.stringify(doc.toJSON(), null, 2));
+      assert.strictEqual(doc.stringify({ indent: '\t' }), JSON.stringify(doc.toJSON(), null, '\t'));
+    });
+
+    it('should encode bytes and big integers', () => {
+      const doc = Lite3.fromJSON({ data: new Uint8Array([0, 255, 16]), big: 2n ** 62n });
+
+      // Keys come out in hash order
+
+      assert.strictEqual(doc.stringify(), '{"big":4611686018427387904,"data":"AP8Q"}');
+      assert.strictEqual(doc.stringify({ bytes: 'hex', bigint: 'string' }), '{"big":"4611686018427387904","data":"00ff10"}');
+      assert.strictEqual(doc.stringify({ bytes: 'array' }), '{"big":4611686018427387904,"data":[0,255,16]}');
+    });
+
+    it('should reject invalid options', () => {
+      const doc = Lite3.fromJSON({});
+      assert.throws(() => doc.stringify({ bytes: 'base32' }), { code: 'EINVAL' });
+      assert.throws(() => doc.stringify({ bigint: 'bigint' }), { code: 'EINVAL' });
+    });
+
+    it('should write chunks to a Writable', async () => {
+      const doc = Lite3.fromJSON({ items: Array.from({ length: 500 }, (_, i) => ({ i, s: 'value' })) });
+      const chunks = [];
+      const writable = new Writable({
+        highWaterMark: 256,
+        write(chunk, encoding, callback) {
+          chunks.push(chunk.toString());
+          setImmediate(callback);
+        },
+      });
+
+      await doc.stringifyTo(writable, { chunkSize: 1024 });
+
+      assert.ok(chunks.length > 1);
+      assert.strictEqual(chunks.join(''), doc.stringify());
+    });
+
+    it('should reject stringifyTo() when the stream closes first', async () => {
+      const doc = Lite3.fromJSON({ items: Array.from({ length: 500 }, (_, i) => ({ i, s: 'value' })) });
+      const makeWritable = () => new Writable({
+        highWaterMark: 256,
+        write(chunk, encoding, callback) {
+          setImmediate(callback);
+        },
+      });
+
+      const destroyed = makeWritable();
+      const pending = doc.stringifyTo(destroyed, { chunkSize: 512 });
+      destroyed.destroy();
+      await assert.rejects(pending, { code: 'EINVAL' });
+
+      const ended = makeWritable();
+      ended.end();
+      await assert.rejects(doc.stringifyTo(ended), { code: 'EINVAL' });
+    });
+
+    it('should reject invalid chunk sizes', async () => {
+      const doc = Lite3.fromJSON({ a: 1 });
+      for (const chunkSize of [0, -1, 1.5, '64', NaN]) {
+        await assert.rejects(doc.stringifyTo(new Writable(), { chunkSize }), { code: 'EINVAL' });
+      }
+    });
+  });
+
+  describe('fromJSON()', () => {
+    it('should create from object', () => {
+      const data = { foo: 'bar', num: 42 };
+      const lite3 = Lite3.fromJSON(data);
+
+      assert.strictEqual(lite3.getType(), Type.OBJECT);
+      assert.deepStrictEqual(lite3.toJSON(), data);
+    });
+
+    it('should create from array', () => {
+      const data = [1, 2, 3, 'four'];
+      const lite3 = Lite3.fromJSON(data);
+
+      assert.strictEqual(lite3.getType(), Type.ARRAY);
+      assert.deepStrictEqual(lite3.toJSON(), data);
+    });
+
+    it('should create from complex nested data', () => {
+      const data = {
+        users: [
+          { name: 'Alice', scores: [95, 87, 92] },
+          { name: 'Bob', scores: [78, 82, 88] }
+        ],
+        meta: {
+          version: 1,
+          timestamp: 1234567890
+        }
+      };
+      const lite3 = Lite3.fromJSON(data);
+      assert.deepStrictEqual(lite3.toJSON(), data);
+    });
+  });
+
+  describe('Lite3.parse()', () => {
+    it('should parse JSON text', () => {
+      const text = '{"name":"Alice","tags":["a",{"b":[1.5,null]}],"ok":true,"esc":"line\\n\\u00e9\\ud83d\\ude00"}';
+      const parsed = Lite3.parse(text);
+
+      assert.deepStrictEqual(parsed.toJSON(), JSON.parse(text));
+      assert.strictEqual(parsed.typeOf('name'), Type.STRING);
+    });
+
+    it('should parse UTF-8 bytes', () => {
+      const parsed = Lite3.parse(new TextEncoder().encode('[ "h\u00e9llo" , 2 ]'));
+      assert.deepStrictEqual(parsed.toJSON(), ['h\u00e9llo', 2]);
+    });
+
+    it('should reject invalid UTF-8 in byte input', () => {
+      const bytes = (text, ...invalid) => Uint8Array.from([...new TextEncoder().encode(text), ...invalid, 0x22, 0x5D]);
+
+      assert.throws(() => Lite3.parse(bytes('["ab', 0xC3)), (err) => err.code === 'EINVAL' && err.column === 3);
+      assert.throws(() => Lite3.parse(bytes('[{"', 0xFF, 0x22, 0x3A, 0x31, 0x7D)), { code: 'EINVAL' });
+      assert.throws(() => Lite3.parse(bytes('["', 0xED, 0xA0, 0x80)), { code: 'EINVAL' });
+    });
+
+    it('should keep big integers exact as I64', () => {
+      const parsed = Lite3.parse('{"max":9223372036854775807,"min":-9223372036854775808,"unsafe":9007199254740993}');
+
+      assert.strictEqual(parsed.get('max'), 9223372036854775807n);
+      assert.strictEqual(parsed.get('min'), -9223372036854775808n);
+      assert.strictEqual(parsed.getInt64('unsafe'), 9007199254740993n);
+      assert.strictEqual(Lite3.parse('{"x":1.0}').typeOf('x'), Type.F64);
+      assert.strictEqual(Lite3.parse('[1e2]').typeAt(0), Type.F64);
+    });
+
+    it('should report syntax errors with line and column', () => {
+      assert.throws(() => Lite3.parse('{\n  "a": 1,\n  "b": tru\n}'), (err) => {
+        assert.ok(err instanceof Lite3Error);
+        assert.strictEqual(err.code, 'EBADMSG');
+        assert.strictEqual(err.line, 3);
+        assert.strictEqual(err.column, 8);
+        assert.match(err.message, /line 3, column 8/);
+        return true;
+      });
+    });
+
+    it('should reject invalid JSON', () => {
+      for (const text of ['', '{"a":}', '{"a":1,}', '[1 2]', '[01]', '"str"', '{"a":"\\x"}', '[1]x']) {
+        assert.throws(() => Lite3.parse(text), { code: 'EBADMSG' }, text);
+      }
+    });
+  });
+
+  describe('fromBuffer()', () => {
+    it('should create from existing buffer', () => {
+      const original = new Lite3();
+      original.initObject();
+      original.set('test', 'value');
+
+      const copy = Lite3.fromBuffer(original.buffer, original.length);
+      assert.deepStrictEqual(copy.toJSON(), original.toJSON());
+    });
+  });
+
+  describe('Buffer Management', () => {
+    it('should auto-resize buffer when needed', () => {
+      lite3.initObject();
+      const initialCapacity = lite3.capacity;
+
+      // Add many entries to trigger resize
+      for (let i = 0; i < 100; i++) {
+        lite3.set(`key${i}`, `value${i} with some extra text to increase size`);
+      }
+
+      assert.ok(lite3.capacity > initialCapacity);
+      assert.strictEqual(lite3.size(), 100);
+    });
+  });
+
+  describe('applyPatch()', () => {
+    beforeEach(() => {
+      lite3.initObject();
+      lite3.set('baz', 'qux');
+      lite3.set('foo', 'bar');
+      lite3.set('list', [1, 2, 3]);
+    });
+
+    it('should apply add, remove and replace', () => {
+      lite3.applyPatch([
+        { op: 'replace', path: '/baz', value: 'boo' },
+        { op: 'add', path: '/hello', value: ['world'] },
+        { op: 'remove', path: '/foo' },
+        { op: 'add', path: '/list/1', value: 9 },
+        { op: 'add', path: '/list/-', value: 4 },
+      ]);
+
+      assert.deepStrictEqual(lite3.toJSON(), { baz: 'boo', list: [1, 9, 2, 3, 4], hello: ['world'] });
+    });
+
+    it('should apply move, copy and test', () => {
+      lite3.applyPatch([
+        { op: 'move', from: '/foo', path: '/list/0' },
+        { op: 'copy', from: '/list', path: '/copy' },
+        { op: 'test', path: '/copy', value: ['bar', 1, 2, 3] },
+        { op: 'test', path: '/list/1', value: 1n },
+      ]);
+
+      assert.deepStrictEqual(lite3.toJSON(), { baz: 'qux', list: ['bar', 1, 2, 3], copy: ['bar', 1, 2, 3] });
+    });
+
+    it('should replace the whole document', () => {
+      lite3.applyPatch([{ op: 'replace', path: '', value: [true] }]);
+      assert.deepStrictEqual(lite3.toJSON(), [true]);
+    });
+
+    it('should leave buffer unchanged when an operation fails', () => {
+      const before = lite3.buffer.slice();
+
+      assert.throws(() => lite3.applyPatch([
+        { op: 'remove', path: '/foo' },
+        { op: 'add', path: '/list/-', value: 'x'.repeat(2000) },
+        { op: 'test', path: '/baz', value: 'nope' },
+      ]), { code: 'EINVAL' });
+      assert.throws(() => lite3.applyPatch([
+        { op: 'replace', path: '/baz', value: 1 },
+        { op: 'remove', path: '/missing' },
+      ]), { code: 'ENOENT' });
+
+      assert.deepStrictEqual(lite3.buffer, before);
+      assert.deepStrictEqual(lite3.toJSON(), { baz: 'qux', foo: 'bar', list: [1, 2, 3] });
+    });
+
+    it('should reject malformed operations', () => {
+      assert.throws(() => lite3.applyPatch([{ op: 'frobnicate', path: '/baz' }]), { code: 'EINVAL' });
+      assert.throws(() => lite3.applyPatch([{ op: 'add', path: 'baz', value: 1 }]), { code: 'EINVAL' });
+      assert.throws(() => lite3.applyPatch([{ op: 'add', path: '/baz' }]), { code: 'EINVAL' });
+      assert.throws(() => lite3.applyPatch([{ op: 'add', path: '/list/x', value: 1 }]), { code: 'EINVAL' });
+    });
+
+    it('should reject array indices past the end', () => {
+      assert.throws(() => lite3.applyPatch([{ op: 'add', path: '/list/4', value: 1 }]), { code: 'ENOENT' });
+      assert.throws(() => lite3.applyPatch([{ op: 'copy', from: '/baz', path: '/list/9' }]), { code: 'ENOENT' });
+      assert.throws(() => lite3.applyPatch([{ op: 'move', from: '/list/0', path: '/list/3' }]), { code: 'ENOENT' });
+      lite3.applyPatch([{ op: 'add', path: '/list/3', value: 4 }]);
+      assert.deepStrictEqual(lite3.get('list'), [1, 2, 3, 4]);
+    });
+  });
+
+  describe('mergePatch()', () => {
+    beforeEach(() => {
+      lite3.initObject();
+      lite3.set('title', 'Goodbye!');
+      lite3.set('author', { givenName: 'John', familyName: 'Doe' });
+      lite3.set('tags', ['example', 'sample']);
+      lite3.set('content', 'This will be unchanged');
+    });
+
+    it('should apply the RFC 7396 example', () => {
+      lite3.mergePatch({
+        title: 'Hello!',
+        phoneNumber: '+01-123-456-7890',
+        author: { familyName: null },
+        tags: ['example'],
+      });
+
+      assert.deepStrictEqual(lite3.toJSON(), {
+        title: 'Hello!',
+        author: { givenName: 'John' },
+        tags: ['example'],
+        content: 'This will be unchanged',
+        phoneNumber: '+01-123-456-7890',
+      });
+    });
+
+    it('should write into existing nested objects', () => {
+      const lengthBefore = lite3.length;
+      lite3.mergePatch({ author: { givenName: 'Jane' } });
+
+      assert.strictEqual(lite3.getPath('/author/givenName'), 'Jane');
+      assert.strictEqual(lite3.getPath('/author/familyName'), 'Doe');
+      // Same-size string is overwritten in place
+      assert.strictEqual(lite3.length, lengthBefore);
+    });
+
+    it('should replace non-objects with patched objects', () => {
+      lite3.mergePatch({ title: { text: 'Hi', draft: null } });
+      assert.deepStrictEqual(lite3.get('title'), { text: 'Hi' });
+    });
+
+    it('should accept a Lite3 patch', () => {
+      lite3.mergePatch(Lite3.fromJSON({ tags: null, content: 'changed' }));
+
+      assert.strictEqual(lite3.has('tags'), false);
+      assert.strictEqual(lite3.get('content'), 'changed');
+    });
+
+    it('should replace document with non-object patch', () => {
+      lite3.mergePatch(['a']);
+      assert.deepStrictEqual(lite3.toJSON(), ['a']);
+
+      lite3.mergePatch({ a: 1 });
+      assert.deepStrictEqual(lite3.toJSON(), { a: 1 });
+    });
+  });
+
+  describe('compact()', () => {
+    it('should reclaim overwritten and deleted values', () => {
+      lite3.initObject();
+      for (let i = 0; i < 20; i++) {
+        lite3.set(`key${i}`, 'short');
+        lite3.set(`key${i}`, { nested: [i, 'a longer replacement string'] });
+      }
+      for (let i = 0; i < 20; i += 2) {
+        lite3.delete(`key${i}`);
+      }
+      const before = lite3.toJSON();
+      const lengthBefore = lite3.length;
+
+      const reclaimed = lite3.compact();
+
+      assert.ok(reclaimed > 0);
+      assert.strictEqual(lite3.length, lengthBefore - reclaimed);
+      assert.deepStrictEqual(lite3.toJSON(), before);
+      assert.strictEqual(lite3.compact(), 0);
+    });
+
+    it('should keep working after compaction', () => {
+      lite3.initArray();
+      lite3.appendValue({ a: 1 });
+      lite3.setAt(0, 'replaced');
+      lite3.compact();
 
-      lite3.set('key', 'second');
-      assert.strictEqual(lite3.get('key'), 'second');
+      lite3.appendValue([1, 2]);
+      lite3.insertAt(0, true);
+      assert.deepStrictEqual(lite3.toJSON(), [true, 'replaced', [1, 2]]);
     });
 
-    it('should overwrite with different type', () => {
-      lite3.set('key', 'string');
-      assert.strictEqual(lite3.get('key'), 'string');
+    it('should shrink capacity to fit', () => {
+      lite3.initObject();
+      lite3.set('a', 1);
+      lite3.compact({ shrink: true });
 
-      lite3.set('key', 42);
-      assert.strictEqual(lite3.get('key'), 42);
+      assert.strictEqual(lite3.capacity, lite3.length);
+    });
+
+    it('should create compacted copy with Lite3.compacted()', () => {
+      lite3.initObject();
+      lite3.set('a', 'x');
+      lite3.set('a', 'a much longer value');
+
+      const compacted = Lite3.compacted(lite3.buffer);
+
+      assert.ok(compacted.length < lite3.length);
+      assert.strictEqual(compacted.capacity, compacted.length);
+      assert.deepStrictEqual(compacted.toJSON(), { a: 'a much longer value' });
     });
   });
 
-  describe('has() method', () => {
-    beforeEach(() => {
+  describe('stats()', () => {
+    it('should report live bytes per type and container', () => {
       lite3.initObject();
-      lite3.set('exists', 'value');
+      lite3.set('n', 1);
+      lite3.set('s', 'abc');
+      lite3.set('items', [true, null]);
+
+      const stats = lite3.stats();
+
+      assert.strictEqual(stats.length, lite3.length);
+      assert.strictEqual(stats.unusedCapacity, lite3.capacity - lite3.length);
+      assert.strictEqual(stats.liveBytes + stats.deadBytes, lite3.length);
+      assert.strictEqual(stats.bytesByType[Type.I64], 9);
+      assert.strictEqual(stats.bytesByType[Type.STRING], 9);
+      assert.strictEqual(stats.bytesByType[Type.BOOL], 2);
+      assert.strictEqual(stats.bytesByType[Type.NULL], 1);
+      assert.strictEqual(stats.bytesByType[Type.ARRAY], 96);
+      assert.strictEqual(stats.keyTagSizes[1], 3);
+      assert.deepStrictEqual(stats.containers.map((c) => [c.type, c.size, c.nodeCount, c.height]), [
+        [Type.OBJECT, 3, 1, 1],
+        [Type.ARRAY, 2, 1, 1],
+      ]);
+    });
+
+    it('should count dead bytes left by overwrites', () => {
+      lite3.initObject();
+      for (let i = 0; i < 20; i++) {
+        lite3.set(`key${i}`, i);
+      }
+      const before = lite3.stats();
+      lite3.set('key0', 'a value that no longer fits in place');
+
+      const after = lite3.stats();
+      // Old key entry (6 bytes) and I64 value (9 bytes)
+      assert.strictEqual(after.deadBytes - before.deadBytes, 15);
+      assert.strictEqual(after.nodeCount, before.nodeCount);
+      assert.ok(after.containers[0].height > 1);
     });
+  });
 
-    it('should return true for existing key', () => {
-      assert.strictEqual(lite3.has('exists'), true);
+  describe('Depth limits and cycles', () => {
+    const nest = (levels) => {
+      let value = 1;
+      for (let i = 0; i < levels; i++) {
+        value = { a: value };
+      }
+      return value;
+    };
+
+    it('should enforce maxDepth when encoding', () => {
+      assert.doesNotThrow(() => Lite3.fromJSON(nest(JSON_NESTING_DEPTH_MAX)));
+      assert.throws(() => Lite3.fromJSON(nest(JSON_NESTING_DEPTH_MAX + 1)), { code: 'EINVAL' });
+      assert.throws(() => Lite3.fromJSON(nest(4), { maxDepth: 3 }), { code: 'EINVAL' });
     });
 
-    it('should return false for non-existing key', () => {
-      assert.strictEqual(lite3.has('notExists'), false);
+    it('should enforce maxDepth when parsing', () => {
+      assert.throws(() => Lite3.parse('[[[[]]]]', { maxDepth: 3 }), { code: 'EBADMSG' });
     });
-  });
 
-  describe('keys(), values(), entries()', () => {
-    beforeEach(() => {
+    it('should enforce maxDepth when decoding', () => {
+      const buffer = Lite3.fromJSON(nest(5)).buffer;
+      const doc = Lite3.fromBuffer(buffer, undefined, { maxDepth: 4 });
+
+      assert.throws(() => doc.toJSON(), { code: 'EBADMSG' });
+      assert.throws(() => doc.stringify(), { code: 'EBADMSG' });
+    });
+
+    it('should detect cycles', () => {
+      const obj = { name: 'loop' };
+      obj.self = obj;
+      const arr = [1];
+      arr.push({ arr });
+
+      assert.throws(() => Lite3.fromJSON(obj), { code: 'EINVAL', message: /cyclic/ });
       lite3.initObject();
-      lite3.set('a', 1);
-      lite3.set('b', 2);
-      lite3.set('c', 3);
+      assert.throws(() => lite3.set('arr', arr), { code: 'EINVAL', message: /cyclic/ });
     });
 
-    it('should return all keys', () => {
-      const keys = lite3.keys();
-      assert.strictEqual(keys.length, 3);
-      assert.ok(keys.includes('a'));
-      assert.ok(keys.includes('b'));
-      assert.ok(keys.includes('c'));
+    it('should leave the document unchanged when encoding fails', () => {
+      const cyclic = { a: 1, b: { c: 2 } };
+      cyclic.b.d = cyclic;
+      lite3.initObject();
+      lite3.set('list', []);
+      const before = lite3.buffer.slice(0, lite3.length);
+
+      assert.throws(() => lite3.set('x', cyclic), { code: 'EINVAL', message: /cyclic/ });
+      assert.throws(() => lite3.appendValue({ a: 1, f: () => {} }, lite3.getArrayOffset('list')), { code: 'EINVAL' });
+      assert.throws(() => lite3.mergePatch([cyclic]), { code: 'EINVAL', message: /cyclic/ });
+      assert.deepStrictEqual(lite3.buffer.slice(0, lite3.length), before);
     });
 
-    it('should return all values', () => {
-      const values = lite3.values();
-      assert.strictEqual(values.length, 3);
-      assert.ok(values.includes(1));
-      assert.ok(values.includes(2));
-      assert.ok(values.includes(3));
+    it('should count depth from the root when writing into nested containers', () => {
+      const doc = new Lite3(1024, { maxDepth: 3 });
+      doc.initObject();
+      const p = doc.setObject('p');
+      const q = doc.setObject('q', p);
+      const list = doc.setArray('list', p);
+
+      assert.throws(() => doc.set('r', { s: 1 }, q), { code: 'EINVAL', message: /depth/ });
+      assert.throws(() => doc.appendValue([1], list), { code: 'EINVAL', message: /depth/ });
+      doc.set('r', 1, q);
+      doc.appendValue(1, list);
+      assert.deepStrictEqual(doc.toJSON(), { p: { q: { r: 1 }, list: [1] } });
     });
 
-    it('should return all entries', () => {
-      const entries = lite3.entries();
-      assert.strictEqual(entries.length, 3);
+    it('should keep track of depth when containers move, are copied or compacted', () => {
+      const doc = new Lite3(4096, { maxDepth: 5 });
+      doc.initObject();
+      doc.set('a', { b: { c: {} } });
+      doc.set('x', { y: {} });
+      doc.set('y', {}, doc.getObjectOffset('x'));
 
-      const entriesObj = Object.fromEntries(entries);
-      assert.strictEqual(entriesObj.a, 1);
-      assert.strictEqual(entriesObj.b, 2);
-      assert.strictEqual(entriesObj.c, 3);
+      doc.move(['x'], ['a', 'b', 'x']);
+      const moved = doc.getObjectOffset('y', doc.getObjectOffset('x', doc.getObjectOffset('b', doc.getObjectOffset('a'))));
+      assert.throws(() => doc.set('z', {}, moved), { code: 'EINVAL', message: /depth/ });
+
+      doc.move(['a', 'b', 'x'], ['x']);
+      doc.set('z', {}, doc.getObjectOffset('y', doc.getObjectOffset('x')));
+      doc.copy(['x'], ['a', 'b', 'w']);
+      const copied = doc.getObjectOffset('w', doc.getObjectOffset('b', doc.getObjectOffset('a')));
+      assert.throws(() => doc.set('z', { z: {} }, copied), { code: 'EINVAL', message: /depth/ });
+
+      doc.rename('x', 'v');
+      doc.delete('a');
+      doc.compact();
+      const v = doc.getObjectOffset('v');
+      doc.set('u', {}, v);
+      assert.throws(() => doc.set('u', { t: { s: { r: {} } } }, v), { code: 'EINVAL', message: /depth/ });
+      assert.deepStrictEqual(doc.toJSON(), { v: { y: { z: {} }, u: {} } });
+    });
+
+    it('should allow shared (non-cyclic) references', () => {
+      const shared = { s: 1 };
+      const doc = Lite3.fromJSON({ a: shared, b: [shared, shared] });
+      assert.deepStrictEqual(doc.toJSON(), { a: { s: 1 }, b: [{ s: 1 }, { s: 1 }] });
+    });
+
+    it('should reject invalid maxDepth', () => {
+      assert.throws(() => new Lite3(1024, { maxDepth: 0 }), { code: 'EINVAL' });
     });
   });
 
-  describe('toJSON()', () => {
-    it('should convert object to JSON', () => {
-      lite3.initObject();
-      lite3.set('name', 'test');
-      lite3.set('value', 123);
+  describe('validate()', () => {
+    // Root node, then kv for 'a': tag at 96, key at 97, value at 99
+    const encode = (data) => {
+      const doc = Lite3.fromJSON(data);
+      return doc.buffer.slice(0, doc.length);
+    };
 
-      const json = lite3.toJSON();
-      assert.deepStrictEqual(json, { name: 'test', value: 123 });
+    it('should accept buffers written by the encoder', () => {
+      const data = { a: 'x', list: Array.from({ length: 50 }, (_, i) => ({ i, s: 'é' + i })) };
+      for (let i = 0; i < 40; i++) data['key' + i] = i % 2 ? null : [true, 1.5, 'ü'];
+      const buffer = encode(data);
+
+      assert.doesNotThrow(() => Lite3.validate(buffer));
+      assert.doesNotThrow(() => Lite3.validate(encode([1, [2, [3]]])));
     });
 
-    it('should convert array to JSON', () => {
-      lite3.initArray();
-      lite3.appendValue(1, 0);
-      lite3.appendValue(2, 0);
-      lite3.appendValue(3, 0);
+    it('should report out-of-range offsets as EFAULT', () => {
+      const buffer = encode({ a: 'x' });
+      buffer[36] = 0xFF;   // kv_ofs[0]
 
-      const json = lite3.toJSON();
-      assert.deepStrictEqual(json, [1, 2, 3]);
+      assert.throws(() => Lite3.validate(buffer), (err) => err.code === 'EFAULT' && err.offset > buffer.length);
+      assert.throws(() => Lite3.validate(encode({ a: 'x' }), { length: 100 }), { code: 'EFAULT' });
+    });
+
+    it('should report malformed values as EBADMSG with offset', () => {
+      const badType = encode({ a: 'x' });
+      badType[99] = 9;
+      assert.throws(() => Lite3.validate(badType), { code: 'EBADMSG', offset: 99, message: /type 9 at offset 99/ });
+
+      const badUtf8 = encode({ a: 'x' });
+      badUtf8[104] = 0xFF;
+      assert.throws(() => Lite3.validate(badUtf8), { code: 'EBADMSG', message: /UTF-8/ });
+
+      const badHash = encode({ a: 'x' });
+      badHash[97] = 'b'.charCodeAt(0);
+      assert.throws(() => Lite3.validate(badHash), { code: 'EBADMSG', message: /hash/ });
+    });
+
+    it('should detect cycles', () => {
+      const doc = Lite3.fromJSON({ o: {} });
+      const nested = doc.getObjectOffset('o');
+      new DataView(doc.buffer.buffer).setUint32(nested + 64, nested, true);
+
+      assert.throws(() => Lite3.validate(doc.buffer, { length: doc.length }), { code: 'EBADMSG', message: /more than once/ });
+    });
+
+    it('should enforce maxDepth and maxSize', () => {
+      const buffer = encode([[[1]]]);
+      assert.doesNotThrow(() => Lite3.validate(buffer, { maxDepth: 3 }));
+      assert.throws(() => Lite3.validate(buffer, { maxDepth: 2 }), { code: 'EBADMSG' });
+      assert.throws(() => Lite3.validate(buffer, { maxSize: 96 }), { code: 'EBADMSG' });
+    });
+
+    it('should validate in fromBuffer() when asked', () => {
+      const buffer = encode({ a: 'x' });
+      assert.deepStrictEqual(Lite3.fromBuffer(buffer, { validate: true }).toJSON(), { a: 'x' });
+
+      buffer[99] = 9;
+      assert.throws(() => Lite3.fromBuffer(buffer, { validate: true }), { code: 'EBADMSG' });
+      assert.doesNotThrow(() => Lite3.fromBuffer(buffer));
     });
   });
 
-  describe('fromJSON()', () => {
-    it('should create from object', () => {
-      const data = { foo: 'bar', num: 42 };
-      const lite3 = Lite3.fromJSON(data);
+  describe('wrap()', () => {
+    const encode = (data) => {
+      const doc = Lite3.fromJSON(data);
+      return doc.buffer.slice(0, doc.length);
+    };
+
+    it('should alias the caller\'s memory', () => {
+      const memory = new Uint8Array(1024);
+      const src = encode({ n: 1, s: 'abc' });
+      memory.set(src);
+
+      const doc = Lite3.wrap(memory, { length: src.length });
+      assert.strictEqual(doc.buffer.buffer, memory.buffer);
+      assert.strictEqual(doc.capacity, 1024);
+
+      doc.set('n', 2);
+      assert.deepStrictEqual(Lite3.fromBuffer(memory, doc.length).toJSON(), { n: 2, s: 'abc' });
+    });
+
+    it('should move to a copy when growing', () => {
+      const memory = encode({ n: 1 });
+      const before = memory.slice();
+      const doc = Lite3.wrap(memory);
+
+      doc.set('big', 'x'.repeat(500));
+      assert.notStrictEqual(doc.buffer.buffer, memory.buffer);
+      assert.deepStrictEqual(memory, before);
+      assert.strictEqual(doc.get('big').length, 500);
+    });
+
+    it('should throw ENOBUFS when not growable', () => {
+      const memory = new Uint8Array(512);
+      const src = encode({ n: 1 });
+      memory.set(src);
+      const doc = Lite3.wrap(memory, { length: src.length, growable: false });
+
+      assert.throws(() => doc.set('big', 'x'.repeat(1000)), { code: 'ENOBUFS' });
+      assert.throws(() => doc.applyPatch([{ op: 'add', path: '/big', value: 'x'.repeat(1000) }]), { code: 'ENOBUFS' });
+      assert.strictEqual(doc.buffer.buffer, memory.buffer);
+      assert.deepStrictEqual(doc.toJSON(), { n: 1 });
+
+      doc.set('n', 'replaced');
+      doc.compact();
+      assert.strictEqual(doc.buffer.buffer, memory.buffer);
+      assert.deepStrictEqual(doc.toJSON(), { n: 'replaced' });
+    });
+
+    it('should reject every mutating method when read-only', () => {
+      const memory = encode({ a: 1, list: [1, 2], o: {} });
+      const before = memory.slice();
+      const doc = Lite3.wrap(memory, { readOnly: true });
+      const list = doc.getArrayOffset('list');
+      const mutators = [
+        () => doc.initObject(),
+        () => doc.set('a', 2),
+        () => doc.setNull('a'),
+        () => doc.setString('a', 'x'),
+        () => doc.setObject('o'),
+        () => doc.appendValue(3, list),
+        () => doc.setAt(0, 3, list),
+        () => doc.insertAt(0, 3, list),
+        () => doc.pop(list),
+        () => doc.splice(0, 1, [], list),
+        () => doc.delete('a'),
+        () => doc.deleteAt(0, list),
+        () => doc.rename('a', 'b'),
+        () => doc.move('a', 'b'),
+        () => doc.copy('a', 'b'),
+        () => doc.setPath('/o/x', 1),
+        () => doc.merge(0, { b: 1 }),
+        () => doc.applyPatch([{ op: 'remove', path: '/a' }]),
+        () => doc.mergePatch({ a: null }),
+        () => doc.compact(),
+        () => doc.root().set('a', 2),
+        () => { doc.asObject().a = 2; },
+      ];
 
-      assert.strictEqual(lite3.getType(), Type.OBJECT);
-      assert.deepStrictEqual(lite3.toJSON(), data);
+      assert.strictEqual(doc.readOnly, true);
+      for (const mutate of mutators) {
+        assert.throws(mutate, { code: 'EROFS' });
+      }
+      assert.deepStrictEqual(memory, before);
+      assert.deepStrictEqual(doc.toJSON(), { a: 1, list: [1, 2], o: {} });
     });
 
-    it('should create from array', () => {
-      const data = [1, 2, 3, 'four'];
-      const lite3 = Lite3.fromJSON(data);
+    it('should validate when asked', () => {
+      const memory = encode({ a: 'x' });
+      memory[99] = 9;
+      assert.throws(() => Lite3.wrap(memory, { validate: true }), { code: 'EBADMSG' });
+      assert.throws(() => Lite3.wrap(memory, { length: memory.length + 1 }), { code: 'EINVAL' });
+    });
+  });
 
-      assert.strictEqual(lite3.getType(), Type.ARRAY);
-      assert.deepStrictEqual(lite3.toJSON(), data);
+  describe('Fixed capacity', () => {
+    const fill = (doc) => {
+      let i = 0;
+      try {
+        for (;;) {
+          doc.set(`key${i}`, i % 2 ? 'value'.repeat(i % 7) : i);
+          i++;
+        }
+      } catch (err) {
+        assert.strictEqual(err.code, 'ENOBUFS');
+      }
+      return i;
+    };
+
+    it('should build the document in the given buffer', () => {
+      const memory = new Uint8Array(512);
+      const doc = new Lite3({ buffer: memory, growable: false }).initObject();
+      doc.set('a', 1).set('b', 'two');
+
+      assert.strictEqual(doc.buffer.buffer, memory.buffer);
+      assert.deepStrictEqual(Lite3.fromBuffer(memory, doc.length).toJSON(), { a: 1, b: 'two' });
+    });
+
+    it('should throw ENOBUFS without changing the document when full', () => {
+      const doc = new Lite3({ buffer: new Uint8Array(2048), growable: false }).initObject();
+      const count = fill(doc);
+      const json = doc.stringify();
+      const length = doc.length;
+
+      for (const write of [
+        () => doc.set('more', 'x'.repeat(100)),
+        () => doc.setArray('list'),
+        () => doc.rename('key0', 'a much longer name for key0'),
+      ]) {
+        assert.throws(write, { code: 'ENOBUFS' });
+        assert.strictEqual(doc.stringify(), json);
+        assert.strictEqual(doc.length, length);
+        assert.doesNotThrow(() => Lite3.validate(doc.buffer));
+      }
+
+      // Updates that fit in place still work
+      doc.set('key0', -1);
+      assert.strictEqual(doc.get('key0'), -1);
+      assert.strictEqual(doc.size(), count);
+    });
+
+    it('should not leave part of a nested write behind', () => {
+      const doc = new Lite3({ buffer: new Uint8Array(400), growable: false }).initObject();
+      doc.set('a', 1).set('list', [1, 2, 3]);
+      const before = doc.buffer.slice(0, doc.length);
+      const big = { x: 1, y: 'z'.repeat(200), w: 'q'.repeat(200) };
+
+      for (const write of [
+        () => doc.set('big', big),
+        () => doc.appendMany([1, 2, { s: 'z'.repeat(300) }, 4], doc.getArrayOffset('list')),
+        () => doc.insertAt(0, [big], doc.getArrayOffset('list')),
+        () => doc.merge(0, { a: 2, big }),
+        () => doc.mergePatch({ a: null, big }),
+        () => doc.setPath('p.q[0].r', big),
+        () => doc.setPath(['list', '-', 'r'], big),
+        () => doc.splice(0, 2, [9, big], doc.getArrayOffset('list')),
+      ]) {
+        assert.throws(write, { code: 'ENOBUFS' });
+        assert.deepStrictEqual(doc.buffer.slice(0, doc.length), before);
+      }
+
+      // Fill up with nested writes until one no longer fits
+      let json;
+      assert.throws(() => {
+        for (let i = 0; ; i++) {
+          json = doc.stringify();
+          doc.set(`n${i}`, { i, tags: ['t'.repeat(i % 20)] });
+        }
+      }, { code: 'ENOBUFS' });
+      assert.strictEqual(doc.stringify(), json);
+      assert.doesNotThrow(() => Lite3.validate(doc.buffer, { length: doc.length }));
     });
 
-    it('should create from complex nested data', () => {
-      const data = {
-        users: [
-          { name: 'Alice', scores: [95, 87, 92] },
-          { name: 'Bob', scores: [78, 82, 88] }
-        ],
-        meta: {
-          version: 1,
-          timestamp: 1234567890
+    it('should not grow past maxSize', () => {
+      const doc = new Lite3({ initialSize: 64, maxSize: 4096 }).initObject();
+      fill(doc);
+
+      assert.ok(doc.length <= 4096);
+      assert.ok(doc.capacity <= 4096);
+      assert.doesNotThrow(() => Lite3.validate(doc.buffer));
+    });
+
+    it('should reject invalid options', () => {
+      assert.throws(() => new Lite3({ buffer: [0, 0] }), { code: 'EINVAL' });
+      assert.throws(() => new Lite3({ maxSize: -1 }), { code: 'EINVAL' });
+    });
+
+    it('should encode into a preallocated buffer', () => {
+      const data = { id: 7, tags: ['a', 'b'], nested: { ok: true, blob: new Uint8Array([1, 2]) } };
+      const target = new Uint8Array(Lite3.estimateSize(data));
+      const written = Lite3.encodeInto(data, target);
+      const expected = Lite3.fromJSON(data);
+
+      assert.strictEqual(written, expected.length);
+      assert.deepStrictEqual(target.subarray(0, written), expected.buffer);
+      assert.throws(() => Lite3.encodeInto(data, new Uint8Array(written - 1)), { code: 'ENOBUFS' });
+      assert.throws(() => Lite3.encodeInto(data, new ArrayBuffer(1024)), { code: 'EINVAL' });
+    });
+
+    it('should estimate an upper bound without encoding', () => {
+      const samples = [
+        {},
+        [],
+        { text: 'ünïcödé'.repeat(50), list: Array.from({ length: 500 }, (_, i) => i) },
+        Array.from({ length: 300 }, (_, i) => ({ [`k${i}`]: [i, `${i}`, null] })),
+        { 'ключ\u{1F600}': ['\u20AC', '\u{1F600}'.repeat(3), 'lone \uD800'] },
+      ];
+      for (const data of samples) {
+        for (const keyOrder of ['hash', 'insertion']) {
+          const size = Lite3.estimateSize(data, { keyOrder });
+          assert.ok(size >= Lite3.fromJSON(data, { keyOrder }).length);
+          assert.doesNotThrow(() => Lite3.encodeInto(data, new Uint8Array(size), { keyOrder }));
         }
-      };
-      const lite3 = Lite3.fromJSON(data);
-      assert.deepStrictEqual(lite3.toJSON(), data);
+      }
+      assert.deepStrictEqual(Lite3.fromJSON(samples[4]).get('ключ\u{1F600}'), ['\u20AC', '\u{1F600}'.repeat(3), 'lone \uFFFD']);
+
+      assert.throws(() => Lite3.estimateSize('text'), { code: 'EINVAL' });
+      assert.throws(() => Lite3.estimateSize({ f: () => {} }), { code: 'EINVAL' });
     });
   });
 
-  describe('fromBuffer()', () => {
-    it('should create from existing buffer', () => {
-      const original = new Lite3();
-      original.initObject();
-      original.set('test', 'value');
+  describe('Shared documents', () => {
+    it('should share writes between instances', () => {
+      const doc = Lite3.createShared(4096);
+      const other = Lite3.fromShared(doc.sharedBuffer);
 
-      const copy = Lite3.fromBuffer(original.buffer, original.length);
-      assert.deepStrictEqual(copy.toJSON(), original.toJSON());
+      doc.write((d) => d.initObject().set('a', 1));
+      assert.deepStrictEqual(other.read((d) => d.toJSON()), { a: 1 });
+      assert.strictEqual(other.read((d) => d.generation), doc.generation);
+      assert.strictEqual(new Lite3().sharedBuffer, null);
+    });
+
+    it('should only allow modification inside write()', () => {
+      const doc = Lite3.createShared(4096);
+      assert.throws(() => doc.initObject(), { code: 'EINVAL', message: /write\(\)/ });
+
+      doc.write((d) => {
+        d.initObject();
+        d.write(() => d.set('nested', true));
+      });
+      assert.strictEqual(doc.get('nested'), true);
+    });
+
+    it('should throw ENOBUFS instead of growing', () => {
+      const doc = Lite3.createShared(1024);
+      doc.write((d) => d.initObject());
+      assert.throws(() => doc.write((d) => d.set('big', 'x'.repeat(2000))), { code: 'ENOBUFS' });
+    });
+
+    it('should retry reads that overlap a write', () => {
+      const doc = Lite3.createShared(4096);
+      const writer = Lite3.fromShared(doc.sharedBuffer);
+      writer.write((d) => d.initObject().set('n', 1));
+
+      let calls = 0;
+      const value = doc.read((d) => {
+        if (calls++ === 0) {
+          writer.write((w) => w.set('n', 2));
+        }
+        return d.get('n');
+      });
+
+      assert.strictEqual(calls, 2);
+      assert.strictEqual(value, 2);
+    });
+
+    it('should compareAndSet against the generation', () => {
+      const doc = Lite3.createShared(4096);
+      doc.write((d) => d.initObject().set('n', 1));
+
+      const gen = doc.read((d) => d.generation);
+      assert.strictEqual(doc.compareAndSet('n', gen, 2), true);
+      assert.strictEqual(doc.compareAndSet('n', gen, 3), false);
+      assert.strictEqual(doc.get('n'), 2);
+
+      const local = Lite3.fromJSON({ n: 1 });
+      assert.strictEqual(local.compareAndSet('n', local.generation, 5), true);
+      assert.strictEqual(local.get('n'), 5);
+    });
+
+    it('should coordinate writers across worker threads', async () => {
+      const doc = Lite3.createShared(4096);
+      doc.write((d) => d.initObject().set('count', 0));
+
+      const source = `
+        import { workerData, parentPort } from 'node:worker_threads';
+        import { Lite3 } from ${JSON.stringify(new URL('../src/index.js', import.meta.url).href)};
+        const doc = Lite3.fromShared(workerData);
+        for (let done = 0; done < 100;) {
+          const [gen, count] = doc.read((d) => [d.generation, d.get('count')]);
+          if (doc.compareAndSet('count', gen, count + 1)) done++;
+        }
+        parentPort.postMessage('done');
+      `;
+      const run = () => new Promise((resolve, reject) => {
+        const worker = new Worker(new URL('data:text/javascript,' + encodeURIComponent(source)), {
+          workerData: doc.sharedBuffer,
+        });
+        worker.once('message', resolve);
+        worker.once('error', reject);
+      });
+
+      await Promise.all([run(), run()]);
+      assert.strictEqual(doc.read((d) => d.get('count')), 200);
     });
   });
 
-  describe('Buffer Management', () => {
-    it('should auto-resize buffer when needed', () => {
-      lite3.initObject();
-      const initialCapacity = lite3.capacity;
+  describe('Concurrent modification', () => {
+    const items = () => Array.from({ length: 50 }, (_, i) => i);
 
-      // Add many entries to trigger resize
+    it('should throw when a lazy iteration sees a write', () => {
+      const doc = Lite3.fromJSON({ list: items() });
+      const ref = doc.root().child('list');
+
+      assert.throws(() => {
+        for (const value of ref) {
+          if (value === 3) {
+            ref.set(50, 50);
+          }
+        }
+      }, { code: 'EINVAL', message: /modified during iteration/ });
+
+      const view = doc.arrayView(doc.getArrayOffset('list'));
+      assert.throws(() => view.forEach((value) => doc.set('seen', value)), { code: 'EINVAL' });
+    });
+
+    it('should iterate a snapshot while the document changes', () => {
+      const doc = Lite3.fromJSON({ list: items() });
+      const list = doc.getArrayOffset('list');
+      const view = doc.arrayView(list, { snapshot: true });
+
+      let sum = 0;
+      view.forEach((value) => {
+        doc.appendValue(value, list);
+        sum += value;
+      });
+
+      assert.strictEqual(sum, 1225);
+      assert.strictEqual(view.length, 50);
+      assert.strictEqual(doc.size(list), 100);
+
+      const root = doc.root({ snapshot: true });
+      for (const [key] of root) {
+        doc.delete(key);
+      }
+      assert.strictEqual(doc.size(), 0);
+      assert.throws(() => root.set('x', 1), { code: 'EROFS' });
+    });
+
+    it('should take snapshots of frozen copies', () => {
+      const doc = Lite3.fromJSON({ a: 1 });
+      const copy = doc.snapshot();
+      doc.set('a', 2);
+
+      assert.strictEqual(copy.get('a'), 1);
+      assert.strictEqual(copy.readOnly, true);
+      assert.notStrictEqual(copy.buffer.buffer, doc.buffer.buffer);
+    });
+
+    it('should reject stringifyTo() when written to meanwhile', async () => {
+      const makeWritable = (onWrite) => new Writable({
+        highWaterMark: 256,
+        write(chunk, encoding, callback) {
+          onWrite(chunk.toString());
+          setImmediate(callback);
+        },
+      });
+      const doc = Lite3.fromJSON({ list: Array.from({ length: 500 }, (_, i) => ({ i })) });
+
+      await assert.rejects(
+        doc.stringifyTo(makeWritable(() => doc.set('extra', true)), { chunkSize: 256 }),
+        { code: 'EINVAL' }
+      );
+
+      const expected = doc.stringify();
+      const chunks = [];
+      await doc.stringifyTo(makeWritable((chunk) => {
+        chunks.push(chunk);
+        doc.set('extra', chunks.length);
+      }), { chunkSize: 256, snapshot: true });
+      assert.strictEqual(chunks.join(''), expected);
+      assert.strictEqual(doc.get('extra'), chunks.length);
+    });
+  });
+
+  describe('Lazy iteration', () => {
+    it('should iterate the document itself', () => {
+      const doc = Lite3.fromJSON({ a: 1, b: [2] });
+      assert.deepStrictEqual(new Map(doc), new Map([['a', 1], ['b', [2]]]));
+      assert.deepStrictEqual([...Lite3.fromJSON([1, 'x', null])], [1, 'x', null]);
+    });
+
+    it('should yield keys, values and entries lazily', () => {
+      const doc = Lite3.fromJSON({ a: 1, b: 'two', c: { d: true } });
+
+      assert.deepStrictEqual([...doc.iterKeys()], doc.keys());
+      assert.deepStrictEqual([...doc.iterValues()], doc.values());
+      assert.deepStrictEqual([...doc.iterEntries()], doc.entries());
+
+      const it = doc.iterEntries();
+      const first = it.next().value;
+      it.return();
+      assert.deepStrictEqual(first, doc.entries()[0]);
+    });
+
+    it('should yield raw entry records', () => {
+      const doc = Lite3.fromJSON({ s: 'str', o: { x: 1 }, l: [true, null] });
+      const records = new Map([...doc.iterRaw()].map((entry) => [entry.key, entry]));
+
+      assert.strictEqual(records.get('s').type, Type.STRING);
+      assert.strictEqual(records.get('o').valueOffset, doc.getObjectOffset('o'));
+      assert.ok(records.get('o').kvOffset < records.get('o').valueOffset);
+
+      const list = records.get('l').valueOffset;
+      assert.deepStrictEqual(
+        [...doc.iterRaw(list)].map(({ key, type }) => [key, type]),
+        [[0, Type.BOOL], [1, Type.NULL]]
+      );
+      for (const { kvOffset, valueOffset } of doc.iterRaw(list)) {
+        assert.strictEqual(kvOffset, valueOffset);
+      }
+    });
+
+    it('should not decode skipped values', () => {
+      const doc = Lite3.fromJSON({ big: 'x'.repeat(1000), n: 1 });
+      const big = [...doc.iterRaw()].find((entry) => entry.key === 'big');
+      doc.buffer[big.valueOffset] = 99;
+
+      // big is now corrupt, but iterKeys() and iterRaw() never decode it
+      assert.deepStrictEqual([...doc.iterKeys()].sort(), ['big', 'n']);
+      assert.strictEqual([...doc.iterRaw()].length, 2);
+      assert.throws(() => [...doc.iterValues()], { code: 'EBADMSG' });
+    });
+
+    it('should support snapshots and detect writes', () => {
+      const doc = Lite3.fromJSON({ a: 1, b: 2 });
+
+      assert.throws(() => {
+        for (const key of doc.iterKeys()) {
+          doc.set(key + key, 0);
+        }
+      }, { code: 'EINVAL' });
+
+      for (const key of doc.iterKeys(0, { snapshot: true })) {
+        doc.delete(key);
+      }
+      assert.strictEqual(doc.size(), 0);
+    });
+
+    it('should throw when not initialized', () => {
+      assert.throws(() => new Lite3().iterKeys().next(), { code: 'EINVAL' });
+    });
+  });
+
+  describe('Key order', () => {
+    const data = { zeta: 1, alpha: { y: 1, b: 2 }, mid: [1, { q: 1, a: 2 }] };
+
+    it('should keep insertion order with keyOrder: insertion', () => {
+      const doc = Lite3.fromJSON(data, { keyOrder: 'insertion' });
+
+      assert.deepStrictEqual(doc.keys(), ['zeta', 'alpha', 'mid']);
+      assert.strictEqual(doc.stringify(), JSON.stringify(data));
+      assert.strictEqual(JSON.stringify(doc.toJSON()), JSON.stringify(data));
+      assert.strictEqual(JSON.stringify(doc), JSON.stringify(data));
+      assert.strictEqual(
+        Lite3.parse('{"b":1,"a":{"z":1,"y":2}}', { keyOrder: 'insertion' }).stringify(),
+        '{"b":1,"a":{"z":1,"y":2}}'
+      );
+    });
+
+    it('should move re-added keys to the end and keep overwritten ones', () => {
+      const doc = Lite3.fromJSON({ a: 1, b: 2, c: 3 }, { keyOrder: 'insertion' });
+      doc.set('a', 10);
+      doc.delete('b');
+      doc.set('b', 20);
+      doc.rename('c', 'd');
+
+      assert.deepStrictEqual(doc.entries(), [['a', 10], ['b', 20], ['d', 3]]);
+    });
+
+    it('should keep insertion order when reading between writes', () => {
+      const doc = Lite3.fromJSON({ a: 1, b: 2, c: 3 }, { keyOrder: 'insertion' });
+      assert.deepStrictEqual(doc.keys(), ['a', 'b', 'c']);
+      doc.delete('a');
+      doc.set('a', 1);
+      assert.deepStrictEqual(doc.keys(), ['b', 'c', 'a']);
+      doc.rename('b', 'e');
+      assert.deepStrictEqual(doc.keys(), ['c', 'a', 'e']);
+
+      assert.throws(() => doc.applyPatch([
+        { op: 'add', path: '/f', value: 1 },
+        { op: 'move', from: '/c', path: '/g' },
+        { op: 'remove', path: '/missing' },
+      ]), { code: 'ENOENT' });
+      assert.deepStrictEqual(doc.keys(), ['c', 'a', 'e']);
+      doc.compact();
+      doc.set('h', 1);
+      assert.deepStrictEqual(doc.keys(), ['c', 'a', 'e', 'h']);
+    });
+
+    it('should sort keys with keyOrder: sorted', () => {
+      const doc = Lite3.fromJSON(data);
+
+      assert.deepStrictEqual(doc.keys(0, { keyOrder: 'sorted' }), ['alpha', 'mid', 'zeta']);
+      assert.strictEqual(
+        doc.stringify({ keyOrder: 'sorted' }),
+        '{"alpha":{"b":2,"y":1},"mid":[1,{"a":2,"q":1}],"zeta":1}'
+      );
+      assert.strictEqual(
+        JSON.stringify(new Lite3(1024, { keyOrder: 'sorted' }).initObject().set('b', 1).set('a', 2)),
+        '{"a":2,"b":1}'
+      );
+    });
+
+    it('should preserve insertion order through compact(), copy() and move()', () => {
+      const doc = Lite3.fromJSON({ src: { z: 1, m: 2, a: 3 } }, { keyOrder: 'insertion' });
+      doc.copy('src', 'dup');
+      doc.move('src', 'moved');
+      doc.compact();
+
+      assert.deepStrictEqual(doc.keys(), ['dup', 'moved']);
+      assert.deepStrictEqual(doc.keys(doc.getObjectOffset('dup')), ['z', 'm', 'a']);
+      assert.deepStrictEqual(doc.keys(doc.getObjectOffset('moved')), ['z', 'm', 'a']);
+    });
+
+    it('should drop superseded records on compact()', () => {
+      const doc = new Lite3(1024, { keyOrder: 'insertion' }).initObject().set('a', 1).set('b', 2);
+      const length = doc.length;
       for (let i = 0; i < 100; i++) {
-        lite3.set(`key${i}`, `value${i} with some extra text to increase size`);
+        doc.delete('a');
+        doc.set('a', 1);
       }
+      assert.ok(doc.length > length + 100 * KeyOrderIndex.RECORD_SIZE);
 
-      assert.ok(lite3.capacity > initialCapacity);
-      assert.strictEqual(lite3.size(), 100);
+      doc.compact();
+      assert.strictEqual(doc.length, length);
+      assert.deepStrictEqual(doc.keys(), ['b', 'a']);
+    });
+
+    it('should store the index in the buffer where other readers ignore it', () => {
+      const doc = Lite3.fromJSON(data, { keyOrder: 'insertion' });
+      const plain = Lite3.fromBuffer(doc.buffer.slice());
+
+      assert.doesNotThrow(() => Lite3.validate(doc.buffer));
+      assert.deepStrictEqual(plain.toJSON(), data);
+      assert.deepStrictEqual(plain.keys(0, { keyOrder: 'insertion' }), ['zeta', 'alpha', 'mid']);
+
+      // Writers without the option keep the index up to date
+      plain.set('new', 0);
+      assert.deepStrictEqual(plain.keys(0, { keyOrder: 'insertion' }), ['zeta', 'alpha', 'mid', 'new']);
+
+      plain.applyPatch([{ op: 'replace', path: '', value: { z: 1, a: 2 } }]);
+      assert.deepStrictEqual(plain.keys(0, { keyOrder: 'insertion' }), ['z', 'a']);
+      plain.mergePatch([1]);
+      plain.mergePatch({ z: 1, a: 2 });
+      assert.deepStrictEqual(plain.keys(0, { keyOrder: 'insertion' }), ['z', 'a']);
+    });
+
+    it('should fall back to hash order without an index', () => {
+      const doc = Lite3.fromJSON(data);
+      assert.deepStrictEqual(doc.keys(0, { keyOrder: 'insertion' }), doc.keys());
+    });
+
+    it('should reject unknown orders', () => {
+      assert.throws(() => new Lite3(1024, { keyOrder: 'random' }), { code: 'EINVAL' });
+      assert.throws(() => Lite3.fromJSON(data).keys(0, { keyOrder: 'random' }), { code: 'EINVAL' });
     });
   });
 
@@ -511,6 +2305,116 @@ describe('Hash Functions', () => {
   });
 });
 
+describe('Hash Collisions', () => {
+  // Known DJB2 collisions
+  const collidingPairs = [
+    ['hetairas', 'mentioner'],
+    ['heliotropes', 'neurospora'],
+    ['depravement', 'serafins'],
+    ['stylist', 'subgenera'],
+    ['joyful', 'synaphea'],
+    ['redescribed', 'urites'],
+    ['dram', 'vivency'],
+    ['AA', 'B '],
+  ];
+
+  it('should use pairs that really collide', () => {
+    for (const [a, b] of collidingPairs) {
+      assert.strictEqual(djb2Hash(a), djb2Hash(b), `${a} / ${b}`);
+    }
+  });
+
+  it('should keep colliding keys side by side', () => {
+    const lite3 = new Lite3().initObject();
+    const expected = {};
+    for (const [a, b] of collidingPairs) {
+      lite3.set(a, `${a}-value`);
+      lite3.set(b, `${b}-value`);
+      expected[a] = `${a}-value`;
+      expected[b] = `${b}-value`;
+    }
+
+    assert.strictEqual(lite3.size(), collidingPairs.length * 2);
+    for (const [a, b] of collidingPairs) {
+      assert.strictEqual(lite3.get(a), `${a}-value`);
+      assert.strictEqual(lite3.get(b), `${b}-value`);
+    }
+    assert.deepStrictEqual(lite3.toJSON(), expected);
+  });
+
+  it('should overwrite only the matching colliding key', () => {
+    const lite3 = new Lite3().initObject();
+    lite3.set('stylist', 1);
+    lite3.set('subgenera', 2);
+    lite3.set('subgenera', 'changed');
+
+    assert.strictEqual(lite3.get('stylist'), 1);
+    assert.strictEqual(lite3.get('subgenera'), 'changed');
+    assert.strictEqual(lite3.size(), 2);
+  });
+
+  it('should not report a colliding key as present', () => {
+    const lite3 = new Lite3().initObject();
+    lite3.set('joyful', true);
+
+    assert.strictEqual(lite3.has('synaphea'), false);
+    assert.strictEqual(lite3.get('synaphea'), undefined);
+    assert.strictEqual(lite3.delete('synaphea'), false);
+  });
+
+  it('should keep probed key reachable after deleting the first', () => {
+    for (const [first, second] of [['dram', 'vivency'], ['vivency', 'dram']]) {
+      const lite3 = new Lite3().initObject();
+      lite3.set(first, 1);
+      lite3.set(second, 2);
+
+      assert.strictEqual(lite3.delete(first), true);
+      assert.strictEqual(lite3.get(second), 2);
+      assert.strictEqual(lite3.has(first), false);
+    }
+  });
+
+  it('should repair probe chains that cross other hashes', () => {
+    // 'AA' and 'B ' share a hash; 'AB' hashes to the slot 'B ' probed into
+    const lite3 = new Lite3().initObject();
+    lite3.set('AA', 1);
+    lite3.set('B ', 2);
+    lite3.set('AB', 3);
+
+    lite3.delete('B ');
+    assert.strictEqual(lite3.get('AA'), 1);
+    assert.strictEqual(lite3.get('AB'), 3);
+    assert.strictEqual(lite3.size(), 2);
+  });
+
+  it('should handle many colliding keys in nested objects', () => {
+    // Two-character keys over a small alphabet collide heavily
+    const keys = [];
+    for (let a = 0x40; a < 0x44; a++) {
+      for (let b = 0x20; b < 0x7F; b++) {
+        keys.push(String.fromCharCode(a, b));
+      }
+    }
+
+    const lite3 = new Lite3().initObject();
+    const objOffset = lite3.setObject('nested');
+    const expected = new Map();
+    for (let i = 0; i < keys.length; i++) {
+      lite3.set(keys[i], i, objOffset);
+      expected.set(keys[i], i);
+    }
+    for (let i = 0; i < keys.length; i += 2) {
+      lite3.delete(keys[i], objOffset);
+      expected.delete(keys[i]);
+    }
+
+    assert.strictEqual(lite3.size(objOffset), expected.size);
+    for (const key of keys) {
+      assert.strictEqual(lite3.get(key, objOffset), expected.get(key), JSON.stringify(key));
+    }
+  });
+});
+
 describe('Real-world Example', () => {
   it('should handle F1 lap data example (like in C)', () => {
     // Recreate the example from C implementation